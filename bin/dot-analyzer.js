@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+// Batch command-line front end for the analysis engine in src/analysis.
+//
+//   node bin/dot-analyzer.js <folder> [--function d86|d4sigma|gaussfit|count|grid|multispot] [options]
+//
+// Every PNG/JPEG/TIFF/PGM/PPM/FITS/raw image in <folder> is analysed with the
+// same parameters and the results are written to results.json and results.csv
+// in --out (defaults to <folder>). Energy analysis also writes levels.csv with
+// the diameters at every --levels energy level and profiles.csv with the
+// intensity profiles along the major and minor axes, Count Points objects.csv with
+// the per-object measurements (and --subpixel fits) of every image and
+// histograms.csv with their size and nearest-neighbour distributions, and Grid
+// Analysis grid.csv with every dot's lattice position and displacement and
+// Multi-Spot Energy spots.csv with the D86 fit of every spot.
+// With --calibration or --pixel-size, lengths and areas are in that unit
+// instead of the --hx / --hy frame size. --documents also writes one
+// <image>.result.json per image, laid out as docs/result-schema.json.
+// With --time-series, energy analysis treats the images, in natural name
+// order (frame_2 before frame_10), as the frames of one sequence:
+// timeseries.csv gets the per-frame centroid, axes, angle and gamma, and the
+// drift statistics are printed.
+// With --reference, every image is also compared with that before image:
+// comparison.csv gets the metric deltas and the registration / difference
+// map statistics are printed.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import {
+  analyzeD4Sigma,
+  analyzeD86,
+  analyzeGaussianFit,
+  analyzeGrid,
+  analyzeMultiSpot,
+  analyzeProfile,
+  compareImages,
+  compareResults,
+  countPoints,
+  decodeImageFile,
+  decodePng,
+  driftStats,
+  formatComparison,
+  formatDrift,
+  formatReport,
+  gridRows,
+  histogramRows,
+  intensityImage,
+  normalizeCalibration,
+  objectColumns,
+  objectRows,
+  opencvVersion,
+  parseEnergyLevels,
+  parseRoi,
+  resultDocument,
+  resultRow,
+  timeSeriesCsv,
+  timeSeriesRows,
+  toCsv,
+  COMPARE_MAPS,
+  COMPARISON_COLUMNS,
+  DEFAULT_BEAM_PARAMS,
+  DEFAULT_D86_PARAMS,
+  DEFAULT_COUNT_PARAMS,
+  DEFAULT_GRID_PARAMS,
+  DEFAULT_MULTISPOT_PARAMS,
+  DEFAULT_RAW_OPTIONS,
+  GRID_COLUMNS,
+  HISTOGRAM_COLUMNS,
+  LEVEL_COLUMNS,
+  NATIVE_EXTENSIONS,
+  PROFILE_COLUMNS,
+  REGISTRATION_METHODS,
+  SPOT_COLUMNS,
+} from '../src/analysis/index.js';
+
+const USAGE = `Usage: dot-analyzer <folder> [options]
+
+Options:
+  -f, --function <d86|d4sigma|gaussfit|count|grid|multispot>
+                               Analysis to run (default: d86)
+  -o, --out <dir>              Output folder for results.json / results.csv
+                               (default: the input folder)
+  -q, --quiet                  Do not print per-image reports
+  --documents                  Also write <image>.result.json per image with
+                               the parameters, software and OpenCV versions
+                               (schema: docs/result-schema.json)
+  --roi <spec>                 Only analyse pixels inside this region, in
+                               full-image pixels: rect:x,y,w,h,
+                               ellipse:cx,cy,rx,ry or polygon:x1,y1,x2,y2,...
+  --time-series                Treat the images, sorted by name with numbers in
+                               numeric order (frame_2 before frame_10), as the
+                               frames of one sequence: write timeseries.csv and
+                               print the drift statistics (d86 only)
+  --frame-interval <s>         Seconds between frames, fills the time column
+
+Before / after comparison (all functions):
+  --reference <file>           Before image: analyse it with the same options,
+                               compare every image with it and write
+                               comparison.csv with the metric deltas
+  --registration <none|centroid|correlation>
+                               Align each image to the reference first by its
+                               bright centroid or by cross-correlation
+                               (default: none)
+  --compare-map <difference|ratio>
+                               Pixel map whose statistics are printed
+                               (default: difference)
+
+Spatial calibration (all functions; replaces --hx / --hy):
+  --calibration <file>         Calibration profile JSON, one profile or an array
+                               as exported by the web app
+  --profile <name>             Profile to use from a --calibration array
+  --pixel-size <w>[,<h>]       Pixel size in --unit per px instead of a file
+  --unit <unit>                Unit for --pixel-size: nm, um, mm, cm, m or in
+                               (default: µm)
+
+Energy Analysis (d86), Beam Width (d4sigma), Gaussian Fit (gaussfit) and
+Multi-Spot Energy (multispot); --hx / --hy also give Grid Analysis (grid) its
+actual units:
+  --hx <n>                     Actual width of the frame (default: ${DEFAULT_D86_PARAMS.hx})
+  --hy <n>                     Actual height of the frame (default: ${DEFAULT_D86_PARAMS.hy})
+  --energy-ratio <n>           Energy ratio in percent (default: ${DEFAULT_D86_PARAMS.energyRatio})
+  --levels <list>              Energy levels in percent to report diameters at,
+                               comma separated (default: ${DEFAULT_D86_PARAMS.energyLevels.join(',')})
+  --channel <luminance|red|green|blue|max|custom>
+                               Intensity the energy is summed over (default: ${DEFAULT_D86_PARAMS.channel})
+  --weights <r,g,b>            Channel weights for --channel custom, scaled to
+                               sum to 1
+  --linearize                  Undo the sRGB curve before summing energy, for
+                               gamma-encoded 8-bit camera images
+  --background <none|dark|border|corner>
+                               Background correction (default: ${DEFAULT_D86_PARAMS.background})
+  --dark-frame <file>          Dark frame to subtract, for --background dark
+  --border-width <n>           Border band in px, for --background border (default: ${DEFAULT_D86_PARAMS.borderWidth})
+  --corner <tl|tr|bl|br>       Corner patch, for --background corner (default: ${DEFAULT_D86_PARAMS.corner})
+  --patch-size <n>             Corner patch size in px (default: ${DEFAULT_D86_PARAMS.patchSize})
+  --noise-floor <n>            Clip gray levels at or below this to zero (default: ${DEFAULT_D86_PARAMS.noiseFloor})
+  --area-factor <n>            D4-sigma integration area in beam widths, also the
+                               Gaussian fit window (default: ${DEFAULT_BEAM_PARAMS.areaFactor})
+  --spot-margin <n>            Multi-spot neighbourhood around each spot, in
+                               spot sizes (default: ${DEFAULT_MULTISPOT_PARAMS.spotMargin})
+
+Count Points (count), also used to find the dots for Grid Analysis (grid) and
+the spots for Multi-Spot Energy (multispot):
+  --min-area <n>               Minimum component area in px (default: ${DEFAULT_COUNT_PARAMS.minArea})
+  --blur <n>                   Gaussian blur kernel size, 0 for none (default: ${DEFAULT_COUNT_PARAMS.blur})
+  --threshold <mode>           Threshold mode: otsu, triangle, yen, li,
+                               adaptiveMean, adaptiveGaussian, binary or custom
+                               (default: ${DEFAULT_COUNT_PARAMS.thresholdType})
+  --threshold-value <n>        Threshold for custom mode (default: ${DEFAULT_COUNT_PARAMS.thresholdValue})
+  --block-size <n>             Adaptive neighbourhood in px, odd (default: ${DEFAULT_COUNT_PARAMS.blockSize})
+  --adaptive-c <n>             Adaptive offset below the local mean (default: ${DEFAULT_COUNT_PARAMS.adaptiveC})
+  --invert                     Black dots on white background
+  --morphology <none|open|close>
+                               Clean up the mask (default: ${DEFAULT_COUNT_PARAMS.morphology})
+  --morph-kernel <n>           Morphology kernel size in px (default: ${DEFAULT_COUNT_PARAMS.morphKernel})
+  --morph-shape <ellipse|rect|cross>
+                               Morphology kernel shape (default: ${DEFAULT_COUNT_PARAMS.morphShape})
+  --separate                   Split touching dots (distance-transform watershed)
+  --min-separation <n>         Min distance between split dot centres in px (default: ${DEFAULT_COUNT_PARAMS.minSeparation})
+  --prominence <n>             Min distance-peak prominence in px (default: ${DEFAULT_COUNT_PARAMS.prominence})
+  --subpixel                   Refine every dot with a 2D Gaussian fit (not
+                               for multispot)
+  --bins <n>                   Bins of the histograms.csv size and nearest-
+                               neighbour distributions (count; default: 20)
+
+Raw images (.raw / .bin, headerless little-endian):
+  --raw-width <n>              Image width in px
+  --raw-height <n>             Image height in px
+  --raw-bit-depth <n>          Bits per sample, 1-16 (default: ${DEFAULT_RAW_OPTIONS.bitDepth})
+  --raw-offset <n>             Header bytes to skip (default: ${DEFAULT_RAW_OPTIONS.offset})
+`;
+
+const FUNCTIONS = ['d86', 'd4sigma', 'gaussfit', 'count', 'grid', 'multispot'];
+
+// Analyses that take the energy (background) parameters and no OpenCV
+const BEAM_ANALYSES = { d4sigma: analyzeD4Sigma, gaussfit: analyzeGaussianFit };
+
+// Analyses that segment the image with OpenCV first
+const CV_ANALYSES = { count: countPoints, grid: analyzeGrid, multispot: analyzeMultiSpot };
+
+// Calibration from --pixel-size / --unit, or a profile of a --calibration
+// file. Null for none.
+const loadCalibration = async (values) => {
+  if (values['pixel-size']) {
+    const [width, height] = values['pixel-size'].split(',');
+    return normalizeCalibration({ unit: values.unit ?? 'µm', pixelWidth: width, pixelHeight: height });
+  }
+  if (!values.calibration) return null;
+  const parsed = JSON.parse(await fs.readFile(values.calibration, 'utf8'));
+  const profiles = Array.isArray(parsed) ? parsed : [parsed];
+  if (!values.profile && profiles.length > 1) {
+    throw new Error(`${values.calibration} holds several profiles, choose one with --profile: ${profiles.map(p => p.name).join(', ')}`);
+  }
+  const profile = values.profile ? profiles.find(p => p.name === values.profile) : profiles[0];
+  if (!profile) throw new Error(`No calibration profile "${values.profile}" in ${values.calibration}.`);
+  return normalizeCalibration(profile);
+};
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', ...NATIVE_EXTENSIONS.map(ext => `.${ext}`)]);
+
+// 16-bit PNGs and the scientific formats keep their full precision; 8-bit
+// PNG / JPEG decode to RGBA like the browser does.
+const decodeImage = async (file, rawOptions) => {
+  const buffer = await fs.readFile(file);
+  const ext = path.extname(file).toLowerCase();
+  if (ext !== '.png' && ext !== '.jpg' && ext !== '.jpeg') {
+    const bytes = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    return decodeImageFile(bytes, file, rawOptions);
+  }
+  if (ext === '.png') {
+    return decodePng(PNG, buffer);
+  }
+  const jpg = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+  return { width: jpg.width, height: jpg.height, data: jpg.data };
+};
+
+// opencv.js is an Emscripten module whose `then` never settles cleanly when
+// awaited directly, so hand it back wrapped in an object.
+const loadOpenCV = async () => {
+  const { default: cv } = await import('@techstark/opencv-js');
+  return new Promise((resolve) => {
+    if (cv.Mat) {
+      resolve({ cv });
+    } else {
+      cv.onRuntimeInitialized = () => resolve({ cv });
+    }
+  });
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      function: { type: 'string', short: 'f', default: 'd86' },
+      out: { type: 'string', short: 'o' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      documents: { type: 'boolean', default: false },
+      'time-series': { type: 'boolean', default: false },
+      'frame-interval': { type: 'string' },
+      reference: { type: 'string' },
+      registration: { type: 'string', default: 'none' },
+      'compare-map': { type: 'string', default: 'difference' },
+      help: { type: 'boolean', short: 'h', default: false },
+      roi: { type: 'string' },
+      calibration: { type: 'string' },
+      profile: { type: 'string' },
+      'pixel-size': { type: 'string' },
+      unit: { type: 'string' },
+      hx: { type: 'string' },
+      hy: { type: 'string' },
+      'energy-ratio': { type: 'string' },
+      levels: { type: 'string' },
+      channel: { type: 'string' },
+      weights: { type: 'string' },
+      linearize: { type: 'boolean', default: false },
+      background: { type: 'string' },
+      'dark-frame': { type: 'string' },
+      'border-width': { type: 'string' },
+      corner: { type: 'string' },
+      'patch-size': { type: 'string' },
+      'noise-floor': { type: 'string' },
+      'area-factor': { type: 'string' },
+      'spot-margin': { type: 'string' },
+      'min-area': { type: 'string' },
+      blur: { type: 'string' },
+      threshold: { type: 'string' },
+      'threshold-value': { type: 'string' },
+      'block-size': { type: 'string' },
+      'adaptive-c': { type: 'string' },
+      invert: { type: 'boolean', default: false },
+      morphology: { type: 'string' },
+      'morph-kernel': { type: 'string' },
+      'morph-shape': { type: 'string' },
+      separate: { type: 'boolean', default: false },
+      'min-separation': { type: 'string' },
+      prominence: { type: 'string' },
+      subpixel: { type: 'boolean', default: false },
+      bins: { type: 'string' },
+      'raw-width': { type: 'string' },
+      'raw-height': { type: 'string' },
+      'raw-bit-depth': { type: 'string' },
+      'raw-offset': { type: 'string' },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    process.stdout.write(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  if (!FUNCTIONS.includes(values.function)) {
+    throw new Error(`Unknown function "${values.function}". Expected ${FUNCTIONS.join(', ')}.`);
+  }
+  if (values['time-series'] && values.function !== 'd86') {
+    throw new Error('--time-series needs --function d86.');
+  }
+  const bins = values.bins ? parseInt(values.bins) : 20;
+  if (!(bins >= 1)) {
+    throw new Error(`Invalid --bins "${values.bins}", expected a positive whole number.`);
+  }
+  const frameInterval = values['frame-interval'] ? parseFloat(values['frame-interval']) : null;
+  if (frameInterval !== null && !(frameInterval > 0)) {
+    throw new Error(`Invalid --frame-interval "${values['frame-interval']}", expected a positive number of seconds.`);
+  }
+  if (!REGISTRATION_METHODS.includes(values.registration)) {
+    throw new Error(`Unknown registration "${values.registration}". Expected ${REGISTRATION_METHODS.join(', ')}.`);
+  }
+  if (!COMPARE_MAPS.includes(values['compare-map'])) {
+    throw new Error(`Unknown comparison map "${values['compare-map']}". Expected ${COMPARE_MAPS.join(', ')}.`);
+  }
+
+  const folder = positionals[0];
+  const outDir = values.out || folder;
+  const files = (await fs.readdir(folder))
+    .filter(name => IMAGE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  if (files.length === 0) {
+    throw new Error(`No supported images found in ${folder}`);
+  }
+
+  const roi = values.roi ? parseRoi(values.roi) : null;
+  const calibration = await loadCalibration(values);
+  const rawOptions = {
+    width: values['raw-width'] ?? DEFAULT_RAW_OPTIONS.width,
+    height: values['raw-height'] ?? DEFAULT_RAW_OPTIONS.height,
+    bitDepth: values['raw-bit-depth'] ?? DEFAULT_RAW_OPTIONS.bitDepth,
+    offset: values['raw-offset'] ?? DEFAULT_RAW_OPTIONS.offset,
+  };
+
+  const energyBased = values.function !== 'count' && values.function !== 'grid';
+  const segmented = Boolean(CV_ANALYSES[values.function]);
+  let analyze;
+  let params = {};
+  let darkFrame = null;
+  let opencv = null;
+  if (energyBased) {
+    params = {
+      hx: values.hx ?? DEFAULT_D86_PARAMS.hx,
+      hy: values.hy ?? DEFAULT_D86_PARAMS.hy,
+      channel: values.channel ?? DEFAULT_D86_PARAMS.channel,
+      channelWeights: values.weights ?? DEFAULT_D86_PARAMS.channelWeights,
+      linearize: values.linearize,
+      background: values.background ?? DEFAULT_D86_PARAMS.background,
+      borderWidth: values['border-width'] ?? DEFAULT_D86_PARAMS.borderWidth,
+      corner: values.corner ?? DEFAULT_D86_PARAMS.corner,
+      patchSize: values['patch-size'] ?? DEFAULT_D86_PARAMS.patchSize,
+      noiseFloor: values['noise-floor'] ?? DEFAULT_D86_PARAMS.noiseFloor,
+      darkFrame: values['dark-frame'] ?? null,
+      roi,
+      calibration,
+    };
+    if (values.function === 'd86') {
+      params.energyRatio = values['energy-ratio'] ?? DEFAULT_D86_PARAMS.energyRatio;
+      params.energyLevels = values.levels ? parseEnergyLevels(values.levels) : DEFAULT_D86_PARAMS.energyLevels;
+    } else if (values.function === 'multispot') {
+      params.energyRatio = values['energy-ratio'] ?? DEFAULT_MULTISPOT_PARAMS.energyRatio;
+      params.spotMargin = values['spot-margin'] ?? DEFAULT_MULTISPOT_PARAMS.spotMargin;
+    } else {
+      params.areaFactor = values['area-factor'] ?? DEFAULT_BEAM_PARAMS.areaFactor;
+    }
+    // params is written to results.json, so keep the file name there
+    darkFrame = params.darkFrame ? await decodeImage(params.darkFrame, rawOptions) : null;
+  }
+  if (segmented) {
+    params = {
+      ...params,
+      minArea: values['min-area'] ?? DEFAULT_COUNT_PARAMS.minArea,
+      blur: values.blur ?? DEFAULT_COUNT_PARAMS.blur,
+      thresholdType: values.threshold ?? DEFAULT_COUNT_PARAMS.thresholdType,
+      thresholdValue: values['threshold-value'] ?? DEFAULT_COUNT_PARAMS.thresholdValue,
+      blockSize: values['block-size'] ?? DEFAULT_COUNT_PARAMS.blockSize,
+      adaptiveC: values['adaptive-c'] ?? DEFAULT_COUNT_PARAMS.adaptiveC,
+      invert: values.invert,
+      morphology: values.morphology ?? DEFAULT_COUNT_PARAMS.morphology,
+      morphKernel: values['morph-kernel'] ?? DEFAULT_COUNT_PARAMS.morphKernel,
+      morphShape: values['morph-shape'] ?? DEFAULT_COUNT_PARAMS.morphShape,
+      separate: values.separate,
+      minSeparation: values['min-separation'] ?? DEFAULT_COUNT_PARAMS.minSeparation,
+      prominence: values.prominence ?? DEFAULT_COUNT_PARAMS.prominence,
+      ...(values.function !== 'multispot' && { subpixel: values.subpixel }),
+      roi,
+      calibration,
+    };
+    if (values.function === 'grid') {
+      params.hx = values.hx ?? DEFAULT_GRID_PARAMS.hx;
+      params.hy = values.hy ?? DEFAULT_GRID_PARAMS.hy;
+    }
+    const { cv } = await loadOpenCV();
+    opencv = opencvVersion(cv);
+    const run = CV_ANALYSES[values.function];
+    analyze = energyBased
+      ? (image) => run(cv, image, { ...params, darkFrame })
+      : (image) => run(cv, image, params);
+  } else {
+    const run = BEAM_ANALYSES[values.function] || analyzeD86;
+    analyze = (image) => run(image, { ...params, darkFrame });
+  }
+
+  const pkg = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+  const software = { name: pkg.name, version: pkg.version };
+  const documents = [];
+
+  const results = [];
+  const rows = [];
+  const objectTable = [];
+  const levelTable = [];
+  const profileTable = [];
+  const gridTable = [];
+  const spotTable = [];
+  const histogramTable = [];
+  const comparisonTable = [];
+  const frames = [];
+  let failures = 0;
+
+  // The before image is analysed once and compared with every image
+  let reference = null;
+  if (values.reference) {
+    const image = await decodeImage(values.reference, rawOptions);
+    reference = { image, result: analyze(image) };
+  }
+
+  for (const [index, name] of files.entries()) {
+    const time = frameInterval !== null ? index * frameInterval : null;
+    try {
+      const image = await decodeImage(path.join(folder, name), rawOptions);
+      const result = analyze(image);
+      // Compared first, so an image that cannot be compared counts as failed
+      const compared = reference && {
+        comparison: compareImages(image, {
+          reference: reference.image,
+          registration: values.registration,
+          map: values['compare-map'],
+          roi,
+        }),
+        deltas: compareResults(reference.result, result),
+      };
+      results.push({ file: name, ...result });
+      frames.push({ file: name, time, result });
+      rows.push(resultRow(name, result));
+      if (values.documents) {
+        documents.push({ name, doc: resultDocument({ file: name, result, params, software, opencv }) });
+      }
+      if (result.function === 'd86') {
+        levelTable.push(...result.levels.map(level => ({ file: name, ...level })));
+        // Sampled on the channel mix the energy was summed on, as the report
+        const intensity = intensityImage(image, params);
+        for (const [axis, { line }] of Object.entries(result.profiles)) {
+          const { samples } = analyzeProfile(intensity, line, result.calibration);
+          profileTable.push(...samples.map(sample => ({ file: name, profile: axis, ...sample })));
+        }
+      }
+      if (compared) {
+        comparisonTable.push(...compared.deltas.map(row => ({ file: name, ...row })));
+      }
+      if (result.function === 'multispot') {
+        spotTable.push(...result.spots.map(spot => ({ file: name, ...spot })));
+      }
+      if (result.function === 'grid') {
+        gridTable.push(...gridRows(result).map(row => ({ file: name, ...row })));
+      }
+      if (result.function === 'count') {
+        histogramTable.push(...histogramRows(result, bins).map(row => ({ file: name, ...row })));
+      }
+      if (result.function === 'count' || result.function === 'grid') {
+        objectTable.push(...objectRows(result).map(row => ({ file: name, ...row })));
+      }
+      if (!values.quiet) {
+        process.stdout.write(`== ${name}\n${formatReport(result)}\n\n`);
+      }
+      if (compared && !values.quiet) {
+        process.stdout.write(`== ${name} vs ${path.basename(values.reference)}\n${formatComparison(compared.comparison, compared.deltas)}\n\n`);
+      }
+    } catch (err) {
+      failures++;
+      results.push({ file: name, function: values.function, error: err.message });
+      frames.push({ file: name, time, result: null });
+      rows.push({ file: name, function: values.function });
+      process.stderr.write(`${name}: Error: ${err.message}\n`);
+    }
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  const jsonPath = path.join(outDir, 'results.json');
+  const csvPath = path.join(outDir, 'results.csv');
+  await fs.writeFile(jsonPath, JSON.stringify({ function: values.function, params, results }, null, 2) + '\n');
+  await fs.writeFile(csvPath, toCsv(rows));
+
+  process.stdout.write(`Processed ${files.length} image(s), ${failures} failed.\nWrote ${jsonPath}\nWrote ${csvPath}\n`);
+  if (values.documents) {
+    for (const { name, doc } of documents) {
+      await fs.writeFile(path.join(outDir, `${name.replace(/\.[^.]+$/, '')}.result.json`), JSON.stringify(doc, null, 2) + '\n');
+    }
+    process.stdout.write(`Wrote ${documents.length} result document(s)\n`);
+  }
+  if (values.function === 'd86') {
+    const levelsPath = path.join(outDir, 'levels.csv');
+    await fs.writeFile(levelsPath, toCsv(levelTable, ['file', ...LEVEL_COLUMNS]));
+    const profilesPath = path.join(outDir, 'profiles.csv');
+    await fs.writeFile(profilesPath, toCsv(profileTable, ['file', ...PROFILE_COLUMNS]));
+    process.stdout.write(`Wrote ${levelsPath}\nWrote ${profilesPath}\n`);
+  }
+  if (values['time-series']) {
+    const seriesRows = timeSeriesRows(frames);
+    const seriesPath = path.join(outDir, 'timeseries.csv');
+    await fs.writeFile(seriesPath, timeSeriesCsv(seriesRows));
+    const unit = calibration ? calibration.unit : 'Actual Unit';
+    process.stdout.write(`Wrote ${seriesPath}\n\n== Drift\n${formatDrift(driftStats(seriesRows), unit)}\n`);
+  }
+  if (reference) {
+    const comparisonPath = path.join(outDir, 'comparison.csv');
+    await fs.writeFile(comparisonPath, toCsv(comparisonTable, ['file', ...COMPARISON_COLUMNS]));
+    process.stdout.write(`Wrote ${comparisonPath}\n`);
+  }
+  if (values.function === 'grid') {
+    const gridPath = path.join(outDir, 'grid.csv');
+    await fs.writeFile(gridPath, toCsv(gridTable, ['file', ...GRID_COLUMNS]));
+    process.stdout.write(`Wrote ${gridPath}\n`);
+  }
+  if (values.function === 'multispot') {
+    const spotsPath = path.join(outDir, 'spots.csv');
+    await fs.writeFile(spotsPath, toCsv(spotTable, ['file', ...SPOT_COLUMNS]));
+    process.stdout.write(`Wrote ${spotsPath}\n`);
+  }
+  if (values.function === 'count' || values.function === 'grid') {
+    const objectsPath = path.join(outDir, 'objects.csv');
+    await fs.writeFile(objectsPath, toCsv(objectTable, ['file', ...objectColumns(params)]));
+    process.stdout.write(`Wrote ${objectsPath}\n`);
+  }
+  if (values.function === 'count') {
+    const histogramsPath = path.join(outDir, 'histograms.csv');
+    await fs.writeFile(histogramsPath, toCsv(histogramTable, ['file', ...HISTOGRAM_COLUMNS]));
+    process.stdout.write(`Wrote ${histogramsPath}\n`);
+  }
+  if (failures > 0) process.exitCode = 1;
+};
+
+main().catch((err) => {
+  process.stderr.write(`Error: ${err.message}\n`);
+  process.exitCode = 1;
+});
@@ -1,394 +1,766 @@
-import React, { useState, useEffect } from 'react';
-import { Upload, Play, Save, Copy, Loader2, AlertCircle, CheckCircle2, Image as ImageIcon } from 'lucide-react';
-
-// OpenCV.js URL
-const OPENCV_URL = "https://docs.opencv.org/4.8.0/opencv.js";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Upload, Play, Save, Copy, Loader2, AlertCircle, CheckCircle2, Image as ImageIcon, MousePointer2, Square, Circle, Pentagon, Eraser, X, Eye, EyeOff, Ruler, FileText, Printer, Download, RefreshCw, ZoomIn, ZoomOut, Maximize, MousePointerClick, Undo2, Activity } from 'lucide-react';
+import { formatReport, formatCalibration, unitLabel, resultRow, toCsv, objectsCsv, objectsJson, curveCsv, levelsCsv, gridRows, gridCsv, spotsCsv, histogramsCsv, densityMapCsv, compareResults, comparisonCsv, resultDocument, pixelValue, applyCorrections, hasCorrections, toggleCorrection, timeSeriesRows, driftStats, timeSeriesCsv, analyzeProfile, axisProfileLines, profileCsv, intensityImage, NATIVE_EXTENSIONS } from './analysis/index.js';
+import { createAnalysisClient } from './worker/client.js';
+import { OPENCV_TIMEOUT_MS, OPENCV_URLS } from './opencvConfig.js';
+import { drawMask, drawOverlay, overlayLayers, ALL_LAYERS, OVERLAY_LAYERS } from './overlay.js';
+import { zoomView } from './viewport.js';
+import { downloadSvgAsPng, downloadText, downloadUrl } from './download.js';
+import { reportHtml } from './reportHtml.js';
+import { name as appName, version as appVersion } from '../package.json';
+import { isSupportedUpload, isVideoUpload, loadImageCanvas, loadUpload, loadVideoFrames, releaseUpload } from './imageFile.js';
+import { loadCalibrations, mergeCalibrations, parseCalibrations, storeCalibrations } from './calibrationStore.js';
+import { encodeRecipe, initialRecipe, loadPresets, mergePresets, normalizeRecipe, parsePresets, storePresets, storeSettings, DEFAULT_RECIPE } from './recipeStore.js';
+import ResultsTable from './components/ResultsTable.jsx';
+import ObjectsTable from './components/ObjectsTable.jsx';
+import CountStats from './components/CountStats.jsx';
+import EnergyCurve from './components/EnergyCurve.jsx';
+import TimeSeriesChart from './components/TimeSeriesChart.jsx';
+import ProfileChart from './components/ProfileChart.jsx';
+import GridTable from './components/GridTable.jsx';
+import SpotsTable from './components/SpotsTable.jsx';
+import ComparePanel from './components/ComparePanel.jsx';
+import RoiEditor from './components/RoiEditor.jsx';
+import ImageViewer from './components/ImageViewer.jsx';
+import CalibrationPanel from './components/CalibrationPanel.jsx';
+import PresetPanel from './components/PresetPanel.jsx';
+
+const UPLOAD_ACCEPT = ['image/*', 'video/*', ...NATIVE_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+const ROI_TOOLS = [
+  { id: 'none', title: 'No ROI Drawing', Icon: MousePointer2 },
+  { id: 'rect', title: 'Rectangle ROI', Icon: Square },
+  { id: 'ellipse', title: 'Ellipse ROI', Icon: Circle },
+  { id: 'polygon', title: 'Polygon ROI (double-click to close)', Icon: Pentagon },
+  { id: 'line', title: 'Measure Line (Calibration)', Icon: Ruler },
+  { id: 'profile', title: 'Intensity Profile Line', Icon: Activity },
+];
+
+// Hover readout of one pixel's samples, grey or RGB
+const formatPixel = (values) => {
+  const fmt = (v) => (Number.isInteger(v) ? String(v) : v.toPrecision(5));
+  if (values.length === 1) return `I ${fmt(values[0])}`;
+  return values.map((v, i) => `${"RGB"[i]} ${fmt(v)}`).join("  ");
+};
 
 const App = () => {
+  // Defaults, the last session's settings and the URL, see recipeStore.js
+  const [initial] = useState(initialRecipe);
+
   const [cvReady, setCvReady] = useState(false);
-  const [cvError, setCvError] = useState(false);
-  const [selectedFunction, setSelectedFunction] = useState('d86'); // 'd86' or 'count'
-  const [imageSrc, setImageSrc] = useState(null);
-  const [resultImageSrc, setResultImageSrc] = useState(null);
+  const [cvError, setCvError] = useState(null); // message of a failed load
+  const [cvVersion, setCvVersion] = useState(null);
+  const [cvSource, setCvSource] = useState(null); // URL OpenCV was loaded from
+  const [selectedFunction, setSelectedFunction] = useState(initial.function); // 'd86', 'd4sigma', 'gaussfit', 'count', 'grid' or 'multispot'
+  const [images, setImages] = useState([]); // [{ name, src, raster, time? }], see imageFile.js
+  const [results, setResults] = useState([]); // aligned with images: { result, params, analyzedAt, autoResult?, corrections? } or { error }
+  const [activeIndex, setActiveIndex] = useState(0);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [resultText, setResultText] = useState("");
+  const [progressText, setProgressText] = useState("");
+  const [progress, setProgress] = useState(0); // 0..1 across the whole batch
+  const clientRef = useRef(null);
 
   // Parameters
-  const [hx, setHx] = useState("1.0");
-  const [hy, setHy] = useState("1.0");
-  const [energyRatio, setEnergyRatio] = useState("86"); // Default 86%
-  const [minArea, setMinArea] = useState("5");
-  const [blur, setBlur] = useState("0"); // 0 means none
-  const [thresholdType, setThresholdType] = useState("otsu"); // 'otsu', 'binary', or number
-  const [thresholdValue, setThresholdValue] = useState("127");
-  const [invert, setInvert] = useState(false);
-
-  // Load OpenCV
+  const [hx, setHx] = useState(initial.hx);
+  const [hy, setHy] = useState(initial.hy);
+  const [energyRatio, setEnergyRatio] = useState(initial.energyRatio); // percent
+  const [energyLevels, setEnergyLevels] = useState(initial.energyLevels);
+  const [areaFactor, setAreaFactor] = useState(initial.areaFactor); // D4-sigma integration area, in beam widths
+  const [background, setBackground] = useState(initial.background); // 'none', 'dark', 'border' or 'corner'
+  const [darkFrameImage, setDarkFrameImage] = useState(null); // { name, src, raster }
+  const [borderWidth, setBorderWidth] = useState(initial.borderWidth);
+  const [corner, setCorner] = useState(initial.corner);
+  const [patchSize, setPatchSize] = useState(initial.patchSize);
+  const [noiseFloor, setNoiseFloor] = useState(initial.noiseFloor);
+
+  // Radiometric input of the energy functions, see analysis/radiometry.js
+  const [channel, setChannel] = useState(initial.channel);
+  const [channelWeights, setChannelWeights] = useState(initial.channelWeights); // "r, g, b", for channel 'custom'
+  const [linearize, setLinearize] = useState(initial.linearize); // undo the sRGB curve
+
+  const [minArea, setMinArea] = useState(initial.minArea);
+  const [blur, setBlur] = useState(initial.blur); // 0 means none
+  const [thresholdType, setThresholdType] = useState(initial.thresholdType); // see THRESHOLD_TYPES in analysis/count.js
+  const [thresholdValue, setThresholdValue] = useState(initial.thresholdValue);
+  const [blockSize, setBlockSize] = useState(initial.blockSize);
+  const [adaptiveC, setAdaptiveC] = useState(initial.adaptiveC);
+  const [invert, setInvert] = useState(initial.invert);
+  const [morphology, setMorphology] = useState(initial.morphology); // 'none', 'open' or 'close'
+  const [morphKernel, setMorphKernel] = useState(initial.morphKernel);
+  const [morphShape, setMorphShape] = useState(initial.morphShape);
+  const [separate, setSeparate] = useState(initial.separate);
+  const [minSeparation, setMinSeparation] = useState(initial.minSeparation);
+  const [prominence, setProminence] = useState(initial.prominence);
+  const [subpixel, setSubpixel] = useState(initial.subpixel);
+  const [spotMargin, setSpotMargin] = useState(initial.spotMargin); // multi-spot neighbourhood, in spot sizes
+
+  // Before / after comparison of two loaded images
+  const [registration, setRegistration] = useState(initial.registration); // 'none', 'centroid' or 'correlation'
+  const [compareMap, setCompareMap] = useState(initial.compareMap); // 'difference' or 'ratio'
+  const [compareReference, setCompareReference] = useState(0);
+  const [compareSample, setCompareSample] = useState(1);
+  const [comparison, setComparison] = useState(null);
+
+  // Layout of headerless .raw / .bin uploads
+  const [rawWidth, setRawWidth] = useState(initial.rawWidth);
+  const [rawHeight, setRawHeight] = useState(initial.rawHeight);
+  const [rawBitDepth, setRawBitDepth] = useState(initial.rawBitDepth);
+  const [rawOffset, setRawOffset] = useState(initial.rawOffset);
+  const [videoInterval, setVideoInterval] = useState(initial.videoInterval); // s between video frames
+
+  // Region of interest, shared by both functions
+  const [roi, setRoi] = useState(null);
+  const [roiTool, setRoiTool] = useState('none');
+
+  // Spatial calibration profiles, see calibrationStore.js
+  // A recipe's profile is added to the local ones
+  const [calibrations, setCalibrations] = useState(() => (initial.calibration
+    ? mergeCalibrations(loadCalibrations(), [initial.calibration])
+    : loadCalibrations()));
+  const [activeCalibration, setActiveCalibration] = useState(initial.calibration?.name ?? ''); // profile name, '' for none
+  const [measureLine, setMeasureLine] = useState(null); // [x1, y1, x2, y2] in image px
+  const [profileLines, setProfileLines] = useState([]); // intensity profile lines, like measureLine
+
+  // Named parameter presets, see recipeStore.js
+  const [presets, setPresets] = useState(loadPresets);
+
+  // Live binary mask of the active image while tuning Count Points
+  const [maskPreview, setMaskPreview] = useState(false);
+  const [maskSrc, setMaskSrc] = useState(null);
+  const maskRequestRef = useRef(0);
+
+  // Viewers: shared zoom and pan (see viewport.js), the pixel under the
+  // pointer and the overlay layers shown
+  const [view, setView] = useState(null);
+  const [hoverPixel, setHoverPixel] = useState(null); // [x, y]
+  const [layers, setLayers] = useState(ALL_LAYERS);
+  const [pixels, setPixels] = useState(null); // { src, image }, samples of the active image
+  const [editDetections, setEditDetections] = useState(false); // clicks on the result correct Count Points
+
+  // Start the analysis worker, which loads OpenCV in the background
   useEffect(() => {
-    if (window.cv) {
-      setCvReady(true);
-      return;
-    }
+    const client = createAnalysisClient({
+      opencvUrls: OPENCV_URLS,
+      timeoutMs: OPENCV_TIMEOUT_MS,
+      onCvStatus: (status, message, version, source) => {
+        setCvReady(status === 'ready');
+        setCvError(status === 'error' ? message || "Unknown error" : null);
+        if (version) setCvVersion(version);
+        if (source) setCvSource(source);
+      },
+    });
+    clientRef.current = client;
+    return () => client.dispose();
+  }, []);
 
-    const script = document.createElement('script');
-    script.src = OPENCV_URL;
-    script.async = true;
-    script.onload = () => {
-      // opencv.js takes a moment to initialize even after load
-      if (window.cv.getBuildInformation) {
-        setCvReady(true);
-      } else {
-        window.cv['onRuntimeInitialized'] = () => {
-          setCvReady(true);
-        };
-      }
-    };
-    script.onerror = () => {
-      setCvError(true);
-    };
-    document.body.appendChild(script);
+  const imageSrc = images[activeIndex]?.src ?? null;
+  const activeResult = results[activeIndex];
+  const activeImage = images[activeIndex] ?? null;
+  const hasResultImage = Boolean(activeResult?.result);
+  // D86, D4-sigma, Gaussian fit and multi-spot work on background-corrected
+  // energy; Count Points, Grid Analysis and multi-spot segment the image
+  // into dots first, which takes OpenCV
+  const energyBased = selectedFunction !== 'count' && selectedFunction !== 'grid';
+  const segmented = selectedFunction === 'count' || selectedFunction === 'grid' || selectedFunction === 'multispot';
+  const showMaskPreview = maskPreview && segmented;
+  const canAnalyze = (cvReady || !segmented) && images.length > 0 && !isProcessing;
+  // Lengths and areas use this profile instead of the Hx / Hy frame size
+  const calibration = calibrations.find(p => p.name === activeCalibration) ?? null;
+
+  // Everything a recipe holds, and how to set it
+  const recipe = {
+    function: selectedFunction, hx, hy, energyRatio, energyLevels, areaFactor,
+    channel, channelWeights, linearize, background, borderWidth, corner, patchSize, noiseFloor,
+    minArea, blur, thresholdType, thresholdValue, blockSize, adaptiveC, invert,
+    morphology, morphKernel, morphShape, separate, minSeparation, prominence, subpixel, spotMargin,
+    registration, compareMap, rawWidth, rawHeight, rawBitDepth, rawOffset, videoInterval, calibration,
+  };
+  const recipeSetters = {
+    function: setSelectedFunction, hx: setHx, hy: setHy, energyRatio: setEnergyRatio,
+    energyLevels: setEnergyLevels, areaFactor: setAreaFactor, channel: setChannel,
+    channelWeights: setChannelWeights, linearize: setLinearize, background: setBackground,
+    borderWidth: setBorderWidth, corner: setCorner, patchSize: setPatchSize, noiseFloor: setNoiseFloor,
+    minArea: setMinArea, blur: setBlur, thresholdType: setThresholdType, thresholdValue: setThresholdValue,
+    blockSize: setBlockSize, adaptiveC: setAdaptiveC, invert: setInvert, morphology: setMorphology,
+    morphKernel: setMorphKernel, morphShape: setMorphShape, separate: setSeparate,
+    minSeparation: setMinSeparation, prominence: setProminence, subpixel: setSubpixel, spotMargin: setSpotMargin,
+    registration: setRegistration, compareMap: setCompareMap, rawWidth: setRawWidth, rawHeight: setRawHeight, rawBitDepth: setRawBitDepth, rawOffset: setRawOffset,
+    videoInterval: setVideoInterval,
+  };
+
+  // The settings survive a reload
+  const recipeJson = JSON.stringify(recipe);
+  useEffect(() => {
+    storeSettings(recipeJson);
+  }, [recipeJson]);
 
+  // Samples of the active image for the hover readout; decoded scientific
+  // formats already have theirs
+  useEffect(() => {
+    if (!activeImage || activeImage.raster) return;
+    let stale = false;
+    loadImageCanvas(activeImage).then(({ image }) => {
+      if (!stale) setPixels({ src: activeImage.src, image });
+    }).catch(err => console.error(err));
     return () => {
-      // Cleanup not really possible for global script, but safer to leave it
+      stale = true;
     };
-  }, []);
+  }, [activeImage]);
+  const activePixels = activeImage?.raster ?? (pixels?.src === imageSrc ? pixels.image : null);
+  const hoverValue = hoverPixel && activePixels ? pixelValue(activePixels, hoverPixel[0], hoverPixel[1]) : null;
+
+  // The viewer redraws with this whenever the result or the layers change
+  const drawResult = useCallback((ctx, scale) => {
+    if (activeResult?.result) drawOverlay(ctx, activeResult.result, { layers, scale });
+  }, [activeResult, layers]);
+  const resultLayers = activeResult?.result ? overlayLayers(activeResult.result) : [];
+
+  // Intensity profiles of the active image: the axes of a D86 result and the
+  // lines drawn on it. Drawn lines are in image px with pixel centres at
+  // half-pixels, the profiles (like the centroids) have them at whole ones.
+  // Positions are in the result's unit, else the active calibration's or px.
+  // They sample the intensity the result's energy was summed on, else the
+  // current Input Channel settings (luminance while those are invalid).
+  // Memoised since the hover readout re-renders on every pointer move.
+  const profileCalibration = activeResult?.result?.calibration ?? calibration;
+  const profileUnit = profileCalibration ? (profileCalibration.unit || "Actual Unit") : "px";
+  const profiles = useMemo(() => {
+    if (!activePixels) return [];
+    const radiometry = activeResult?.result?.radiometry;
+    const input = radiometry
+      ? { channel: radiometry.channel, channelWeights: radiometry.weights, linearize: radiometry.linearize }
+      : { channel, channelWeights, linearize };
+    let intensity;
+    try {
+      intensity = intensityImage(activePixels, input);
+    } catch {
+      intensity = intensityImage(activePixels);
+    }
+    const sources = [
+      ...(activeResult?.result?.function === 'd86'
+        ? Object.entries(axisProfileLines(activeResult.result)).map(([axis, line]) => ({
+          name: axis === 'major' ? "Major Axis" : "Minor Axis",
+          lineIndex: null,
+          line,
+        }))
+        : []),
+      ...profileLines.map((line, i) => ({ name: `P${i + 1}`, lineIndex: i, line: line.map(v => v - 0.5) })),
+    ];
+    return sources.map(({ name, lineIndex, line }) => ({ name, lineIndex, ...analyzeProfile(intensity, line, profileCalibration) }));
+  }, [activePixels, activeResult, profileLines, profileCalibration, channel, channelWeights, linearize]);
+
+  // Manual corrections of a Count Points result (see analysis/corrections.js).
+  // The entry keeps the automatic result; `result` is the corrected one.
+  const canEditDetections = activeResult?.result?.function === 'count' && !isProcessing && !showMaskPreview;
+  const editing = editDetections && canEditDetections;
+
+  const updateCorrections = (corrections) => {
+    const entry = results[activeIndex];
+    const autoResult = entry.autoResult ?? entry.result;
+    const next = [...results];
+    next[activeIndex] = {
+      ...entry,
+      autoResult,
+      corrections: hasCorrections(corrections) ? corrections : null,
+      result: applyCorrections(autoResult, corrections),
+    };
+    setResults(next);
+  };
+
+  // A click within a few screen px of a dot counts as on it
+  const correctAt = ([x, y], scale) => {
+    const entry = results[activeIndex];
+    updateCorrections(toggleCorrection(entry.autoResult ?? entry.result, entry.corrections, x, y, 6 / scale));
+  };
+
+  const zoomBy = (factor) => {
+    if (activePixels) setView(zoomView(view, activePixels.width, activePixels.height, factor));
+  };
+
+  // Recompute the mask preview shortly after the settings stop changing.
+  // Only the newest request may update the picture.
+  useEffect(() => {
+    if (!showMaskPreview || !activeImage || !cvReady || isProcessing) return;
+    const requestId = ++maskRequestRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const { image } = await loadImageCanvas(activeImage);
+        const params = { blur, thresholdType, thresholdValue, blockSize, adaptiveC, invert, morphology, morphKernel, morphShape, roi };
+        const result = await clientRef.current.run('mask', image, params);
+        if (requestId !== maskRequestRef.current) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = result.width;
+        canvas.height = result.height;
+        drawMask(canvas.getContext('2d'), result);
+        setMaskSrc(canvas.toDataURL());
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error(err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [showMaskPreview, activeImage, cvReady, isProcessing, blur, thresholdType, thresholdValue, blockSize, adaptiveC, invert, morphology, morphKernel, morphShape, roi]);
+
+  let resultText = "";
+  if (isProcessing) {
+    resultText = progressText;
+  } else if (activeResult?.error) {
+    resultText = `Error: ${activeResult.error}`;
+  } else if (activeResult) {
+    resultText = formatReport(activeResult.result);
+  } else {
+    resultText = progressText;
+  }
+
+  const rawOptions = { width: rawWidth, height: rawHeight, bitDepth: rawBitDepth, offset: rawOffset };
+
+  const loadFiles = async (fileList) => {
+    const picked = Array.from(fileList).filter(file => isSupportedUpload(file) || isVideoUpload(file));
+    if (picked.length === 0) return;
+    // Images are sequence frames, so they go in name order with numbers
+    // compared as numbers (frame_2 before frame_10); videos keep their place
+    // and become one image per frame
+    const stills = picked
+      .filter(file => !isVideoUpload(file))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const files = picked.map(file => (isVideoUpload(file) ? file : stills.shift()));
+    const loaded = [];
+    try {
+      for (const file of files) {
+        if (isVideoUpload(file)) {
+          const onProgress = (fraction) => setProgressText(`Decoding ${file.name}: ${Math.round(fraction * 100)}%`);
+          loaded.push(...await loadVideoFrames(file, { interval: videoInterval, onProgress }));
+        } else {
+          loaded.push(await loadUpload(file, rawOptions));
+        }
+      }
+    } catch (err) {
+      console.error(err);
+      loaded.forEach(releaseUpload);
+      setProgressText("");
+      alert(`Could not read image: ${err.message}`);
+      return;
+    }
+    images.forEach(releaseUpload);
+    setImages(loaded);
+    setResults([]);
+    setActiveIndex(0);
+    setCompareReference(0);
+    setCompareSample(Math.min(1, loaded.length - 1));
+    setComparison(null);
+    setRoi(null);
+    setMeasureLine(null);
+    setProfileLines([]);
+    setView(null);
+    setProgressText("");
+  };
 
   const handleImageUpload = (e) => {
+    loadFiles(e.target.files);
+  };
+
+  const handleDarkFrameUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        setImageSrc(event.target.result);
-        setResultImageSrc(null);
-        setResultText("");
+    if (!file) return;
+    try {
+      setDarkFrameImage(await loadUpload(file, rawOptions));
+    } catch (err) {
+      console.error(err);
+      alert(`Could not read dark frame: ${err.message}`);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    loadFiles(e.dataTransfer.files);
+  };
+
+  const analyzeImage = async (entry, darkFrame, onProgress) => {
+    const { image } = await loadImageCanvas(entry);
+
+    const energyParams = {
+      hx, hy, calibration, channel, channelWeights, linearize,
+      background, darkFrame, borderWidth, corner, patchSize, noiseFloor, roi,
+    };
+    const segmentParams = {
+      minArea, blur, thresholdType, thresholdValue, blockSize, adaptiveC, invert,
+      morphology, morphKernel, morphShape, separate, minSeparation, prominence,
+    };
+    const params = selectedFunction === 'd86'
+      ? { ...energyParams, energyRatio, energyLevels }
+      : selectedFunction === 'multispot'
+      ? { ...segmentParams, ...energyParams, energyRatio, spotMargin }
+      : energyBased
+      ? { ...energyParams, areaFactor }
+      : {
+        ...segmentParams, subpixel, roi, calibration,
+        ...(selectedFunction === 'grid' && { hx, hy }),
       };
-      reader.readAsDataURL(file);
+    const result = await clientRef.current.run(selectedFunction, image, params, onProgress);
+
+    // The report names the dark frame instead of embedding its pixels
+    const usedParams = energyBased ? { ...params, darkFrame: darkFrame ? darkFrameImage.name : null } : params;
+    return { result, params: usedParams, analyzedAt: new Date() };
+  };
+
+  // Pixels of the dark frame when the selected function subtracts one
+  const loadDarkFrame = async () => {
+    if (!energyBased || background !== 'dark' || !darkFrameImage) return null;
+    try {
+      return (await loadImageCanvas(darkFrameImage)).image;
+    } catch (err) {
+      throw new Error(`Dark frame ${darkFrameImage.name}: ${err.message}`);
     }
   };
 
-  // --- D86 Analysis Logic (Ported from d86_analysis.py) ---
-  const analyzeD86 = async () => {
-    if (!imageSrc || !cvReady) return;
+  // Runs the selected function on every loaded image with the same parameters
+  const runAnalysis = async () => {
+    if (!canAnalyze) return;
     setIsProcessing(true);
-    setResultText("Analyzing...");
+    setResults([]);
+    setProgress(0);
+
+    const verb = energyBased ? "Analyzing" : "Counting";
+    const next = [];
 
     try {
-      // Create an image element to draw on canvas
-      const img = new Image();
-      img.src = imageSrc;
-      await new Promise(r => img.onload = r);
-
-      const canvas = document.createElement('canvas');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-
-      const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const w = canvas.width;
-      const h = canvas.height;
-      const data = imgData.data; // RGBA
-
-      // 1. Convert to Gray and Calculate Energy
-      // In python: Image.open().convert('L') uses formula L = R * 299/1000 + G * 587/1000 + B * 114/1000
-      let E = 0;
-      let pixelData = []; // Store non-zero pixels for faster iteration: {x, y, val}
-
-      for (let y = 0; y < h; y++) {
-        for (let x = 0; x < w; x++) {
-          const idx = (y * w + x) * 4;
-          // Standard grayscale conversion
-          const val = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-
-          if (val > 0) {
-            E += val;
-            pixelData.push({ x, y, val });
+      // The same dark frame is subtracted from every image in the batch
+      const darkFrame = await loadDarkFrame();
+
+      for (let i = 0; i < images.length; i++) {
+        const label = images.length > 1 ? `${verb} ${i + 1}/${images.length}: ${images[i].name}` : verb;
+        setProgressText(`${label}...`);
+        const onProgress = (fraction, stage) => {
+          setProgress((i + fraction) / images.length);
+          setProgressText(`${label}... ${stage}`);
+        };
+        try {
+          next.push(await analyzeImage(images[i], darkFrame, onProgress));
+        } catch (err) {
+          if (err.name === 'AbortError') {
+            setProgressText(`Cancelled after ${i} of ${images.length} image(s).`);
+            break;
           }
+          console.error(err);
+          next.push({ error: err.message });
         }
+        setResults([...next]);
       }
+    } catch (err) {
+      console.error(err);
+      setProgressText(`Error: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-      if (E <= 0) throw new Error("Total energy is zero. Please provide a non-black image.");
-
-      // 2. Energy Weighted Center
-      let sum_cx = 0;
-      let sum_cy = 0;
-      for (let p of pixelData) {
-        sum_cx += p.val * p.x;
-        sum_cy += p.val * p.y;
+  // Runs the selected function on the reference and the sample image, then
+  // maps their difference or ratio after the chosen registration
+  const runComparison = async () => {
+    if (!canAnalyze || compareReference === compareSample) return;
+    setIsProcessing(true);
+    setComparison(null);
+    setProgress(0);
+
+    const steps = [
+      ["Analyzing reference", images[compareReference]],
+      ["Analyzing sample", images[compareSample]],
+    ];
+    const step = (i, label) => (fraction, stage) => {
+      setProgress((i + fraction) / 3);
+      setProgressText(`${label}... ${stage}`);
+    };
+    try {
+      const darkFrame = await loadDarkFrame();
+      const analyzed = [];
+      for (let i = 0; i < steps.length; i++) {
+        const [label, entry] = steps[i];
+        setProgressText(`${label}: ${entry.name}...`);
+        analyzed.push((await analyzeImage(entry, darkFrame, step(i, label))).result);
       }
-      const cx = sum_cx / E;
-      const cy = sum_cy / E;
-
-      // 3. Scale
-      const HxVal = parseFloat(hx) || 1.0;
-      const HyVal = parseFloat(hy) || 1.0;
-      const s_x = HxVal / w;
-      const s_y = HyVal / h;
-
-      // 4. Covariance Matrix
-      let Cov_xx = 0, Cov_yy = 0, Cov_xy = 0;
-
-      // Optimize loop by pre-calculating dx_r, dy_r for valid pixels
-      const validPixels = pixelData.map(p => {
-        const dx_r = (p.x - cx) * s_x;
-        const dy_r = (p.y - cy) * s_y;
-        return { val: p.val, dx_r, dy_r };
-      });
 
-      for (let p of validPixels) {
-        Cov_xx += p.val * p.dx_r * p.dx_r;
-        Cov_yy += p.val * p.dy_r * p.dy_r;
-        Cov_xy += p.val * p.dx_r * p.dy_r;
-      }
-      Cov_xx /= E;
-      Cov_yy /= E;
-      Cov_xy /= E;
-
-      // 5. Eigen Decomposition for 2x2 Matrix
-      // [[A, B], [B, C]] => characteristic eq: lambda^2 - (A+C)lambda + (AC-B^2) = 0
-      const trace = Cov_xx + Cov_yy;
-      const det = Cov_xx * Cov_yy - Cov_xy * Cov_xy;
-      const delta = Math.sqrt(Math.pow(trace, 2) - 4 * det);
-      const lambda1 = (trace + delta) / 2; // Larger eigenvalue
-      const lambda2 = (trace - delta) / 2; // Smaller eigenvalue
-
-      // Eigenvector for lambda1 (v1)
-      // (A - lambda1)x + By = 0  =>  By = -(A-lambda1)x  => direction (B, lambda1 - A)
-      // or (B, lambda1 - Cov_xx) if B != 0. If B=0, axes are aligned.
-      let theta_rad = 0;
-      if (Math.abs(Cov_xy) > 1e-9) {
-        theta_rad = Math.atan2(lambda1 - Cov_xx, Cov_xy);
+      // The analyses took the pixels over, so both images are read again
+      setProgressText("Comparing...");
+      const reference = (await loadImageCanvas(images[compareReference])).image;
+      const sample = (await loadImageCanvas(images[compareSample])).image;
+      const map = await clientRef.current.run('compare', sample, {
+        reference, registration, map: compareMap, roi,
+      }, step(2, "Comparing"));
+      setComparison({
+        reference: images[compareReference].name,
+        sample: images[compareSample].name,
+        map,
+        rows: compareResults(analyzed[0], analyzed[1]),
+      });
+      setProgressText("");
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setProgressText("Comparison cancelled.");
       } else {
-        // Aligned with axes. If Cov_xx > Cov_yy, angle 0, else 90 deg (PI/2)
-        theta_rad = (Cov_xx >= Cov_yy) ? 0 : Math.PI / 2;
+        console.error(err);
+        setComparison({ error: err.message });
+        setProgressText("");
       }
-      // Normalize to 0 ~ PI
-      theta_rad = theta_rad % Math.PI;
-      if (theta_rad < 0) theta_rad += Math.PI;
-
-      const a0_real = Math.sqrt(lambda1);
-      const b0_real = Math.sqrt(lambda2);
-      const cos_theta = Math.cos(theta_rad);
-      const sin_theta = Math.sin(theta_rad);
-
-      // 6. Project coordinates to ellipse axis
-      // u = dx_r * cos + dy_r * sin
-      // v = -dx_r * sin + dy_r * cos
-      // Pre-calculate u, v terms squared for the loop
-      const projectedPixels = validPixels.map(p => {
-        const u = p.dx_r * cos_theta + p.dy_r * sin_theta;
-        const v = -p.dx_r * sin_theta + p.dy_r * cos_theta;
-        return { val: p.val, u2: u * u, v2: v * v };
-      });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-      // User defined energy percentage
-      const ratio = parseFloat(energyRatio) || 86;
-      const thresholdE = (ratio / 100.0) * E;
+  const cancelAnalysis = () => {
+    clientRef.current.cancel();
+  };
 
-      // 7. Binary Search for Gamma
-      const energyInGamma = (g) => {
-        const g2 = g * g;
-        const a2 = g2 * lambda1; // (gamma * a0)^2 = gamma^2 * lambda1
-        const b2 = g2 * lambda2;
+  const tableRows = results.map((entry, index) => ({
+    index,
+    row: entry.result ? resultRow(images[index].name, entry.result) : { file: images[index].name },
+    error: entry.error,
+  }));
 
-        let currentE = 0;
-        for (let p of projectedPixels) {
-          if ((p.u2 / a2) + (p.v2 / b2) <= 1.0) {
-            currentE += p.val;
-          }
-        }
-        return currentE;
-      };
+  const exportCsv = () => {
+    downloadText(toCsv(tableRows.map(r => r.row)), `results_${selectedFunction}.csv`, 'text/csv');
+  };
 
-      let gamma_lo = 0.0;
-      let gamma_hi = 1.0;
+  // Per-object exports of the active Count Points result
+  const objectsFileBase = () => `objects_${images[activeIndex].name.replace(/\.[^.]+$/, '')}`;
 
-      // Extend upper bound
-      while (energyInGamma(gamma_hi) < thresholdE) {
-        gamma_hi *= 2.0;
-        if (gamma_hi > 1e6) break;
-      }
+  const exportObjectsCsv = () => {
+    downloadText(objectsCsv(activeResult.result), `${objectsFileBase()}.csv`, 'text/csv');
+  };
 
-      // Binary search
-      for (let i = 0; i < 60; i++) {
-        const gm = (gamma_lo + gamma_hi) / 2.0;
-        if (energyInGamma(gm) >= thresholdE) {
-          gamma_hi = gm;
-        } else {
-          gamma_lo = gm;
-        }
-      }
-      const gamma = gamma_hi;
+  const exportObjectsJson = () => {
+    downloadText(objectsJson(images[activeIndex].name, activeResult.result), `${objectsFileBase()}.json`, 'application/json');
+  };
 
-      // 8. Final Parameters
-      const a_real = gamma * a0_real;
-      const b_real = gamma * b0_real;
+  // Size distribution and spatial statistics of the active count result
+  const statsFileBase = () => `stats_${images[activeIndex].name.replace(/\.[^.]+$/, '')}`;
 
-      const a_px = a_real / s_x;
-      const b_px = b_real / s_y;
+  const exportHistogramsCsv = (bins) => {
+    downloadText(histogramsCsv(activeResult.result, bins), `${statsFileBase()}_histograms.csv`, 'text/csv');
+  };
 
-      const major_axis_real = 2.0 * Math.max(a_real, b_real);
-      const minor_axis_real = 2.0 * Math.min(a_real, b_real);
-      const major_axis_px = 2.0 * Math.max(a_px, b_px);
-      const minor_axis_px = 2.0 * Math.min(a_px, b_px);
+  const exportDensityCsv = (map) => {
+    const { width, height } = activeResult.result;
+    downloadText(densityMapCsv(map, width, height), `${statsFileBase()}_density.csv`, 'text/csv');
+  };
 
-      const circle_tol = 0.05;
-      const is_circle = Math.abs(a_real - b_real) / Math.max(a_real, b_real) < circle_tol;
+  const exportStatsPng = (svg, name) => {
+    downloadSvgAsPng(svg, `${statsFileBase()}_${name}.png`);
+  };
 
-      let radius_real = null;
-      let angle_deg = (theta_rad * 180.0 / Math.PI) % 180.0;
+  const exportGridCsv = () => {
+    downloadText(gridCsv(activeResult.result), `grid_${images[activeIndex].name.replace(/\.[^.]+$/, '')}.csv`, 'text/csv');
+  };
 
-      let resStr = `Analysis Result (${ratio}% Energy):\n`;
-      if (is_circle) {
-        radius_real = gamma * a0_real; // Approx
-        resStr += `Shape: Circle (Approx)\n`;
-        resStr += `Diameter (Actual Unit): ${(radius_real * 2).toFixed(6)}\n`;
-      } else {
-        resStr += `Shape: Ellipse\n`;
-        resStr += `Major Axis (Actual Unit): ${major_axis_real.toFixed(6)}\n`;
-        resStr += `Minor Axis (Actual Unit): ${minor_axis_real.toFixed(6)}\n`;
-        resStr += `Angle (Degrees): ${angle_deg.toFixed(2)}\n`;
-      }
-      resStr += `Gamma: ${gamma.toFixed(6)}`;
+  const exportSpotsCsv = () => {
+    downloadText(spotsCsv(activeResult.result), `spots_${images[activeIndex].name.replace(/\.[^.]+$/, '')}.csv`, 'text/csv');
+  };
 
-      setResultText(resStr);
+  const comparisonFileBase = () => {
+    const base = (name) => name.replace(/\.[^.]+$/, '');
+    return `compare_${base(comparison.reference)}_${base(comparison.sample)}`;
+  };
 
-      // 9. Draw Result
-      // Re-draw original on canvas
-      ctx.drawImage(img, 0, 0);
+  const exportComparisonCsv = () => {
+    downloadText(comparisonCsv(comparison.rows), `${comparisonFileBase()}.csv`, 'text/csv');
+  };
 
-      // Draw Center
-      ctx.fillStyle = '#00FF00';
-      ctx.beginPath();
-      ctx.arc(cx, cy, 3, 0, 2 * Math.PI);
-      ctx.fill();
+  const exportComparisonPng = (canvas) => {
+    downloadUrl(canvas.toDataURL('image/png'), `${comparisonFileBase()}_${comparison.map.mode}.png`);
+  };
 
-      // Draw Ellipse/Circle
-      ctx.strokeStyle = '#FF0000';
-      ctx.lineWidth = 2;
-      ctx.beginPath();
+  // Encircled-energy exports of the active D86 result
+  const curveFileBase = () => `energy_${images[activeIndex].name.replace(/\.[^.]+$/, '')}`;
 
-      if (is_circle) {
-        const rx = radius_real / s_x;
-        const ry = radius_real / s_y;
-        ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
-      } else {
-        ctx.ellipse(cx, cy, a_px, b_px, theta_rad, 0, 2 * Math.PI);
-      }
-      ctx.stroke();
+  const exportCurveCsv = () => {
+    downloadText(curveCsv(activeResult.result), `${curveFileBase()}_curve.csv`, 'text/csv');
+  };
 
-      setResultImageSrc(canvas.toDataURL());
+  const exportLevelsCsv = () => {
+    downloadText(levelsCsv(activeResult.result), `${curveFileBase()}_levels.csv`, 'text/csv');
+  };
 
-    } catch (err) {
-      console.error(err);
-      setResultText(`Error: ${err.message}`);
-    } finally {
-      setIsProcessing(false);
-    }
+  const exportCurvePng = (svg) => {
+    downloadSvgAsPng(svg, `${curveFileBase()}_curve.png`);
   };
 
-  // --- Counting Logic (Ported from counting.py) ---
-  const countPoints = async () => {
-    if (!imageSrc || !cvReady) return;
-    setIsProcessing(true);
-    setResultText("Counting...");
+  const profilesFileBase = () => `profiles_${images[activeIndex].name.replace(/\.[^.]+$/, '')}`;
 
-    try {
-      const imgElement = document.createElement('img');
-      imgElement.src = imageSrc;
-      await new Promise(r => imgElement.onload = r);
-
-      const src = window.cv.imread(imgElement);
-      const dst = new window.cv.Mat();
-      const gray = new window.cv.Mat();
-
-      // 1. Gray
-      window.cv.cvtColor(src, gray, window.cv.COLOR_RGBA2GRAY, 0);
-
-      // 2. Blur
-      const blurVal = parseFloat(blur);
-      if (blurVal > 0) {
-        let k = Math.floor(blurVal);
-        if (k % 2 === 0) k += 1;
-        const ksize = new window.cv.Size(k, k);
-        window.cv.GaussianBlur(gray, gray, ksize, 0, 0, window.cv.BORDER_DEFAULT);
-      }
+  const exportProfilesCsv = () => {
+    downloadText(profileCsv(profiles), `${profilesFileBase()}.csv`, 'text/csv');
+  };
 
-      // 3. Threshold
-      let bw = new window.cv.Mat();
-      if (thresholdType === 'otsu') {
-        window.cv.threshold(gray, bw, 0, 255, window.cv.THRESH_BINARY + window.cv.THRESH_OTSU);
-      } else if (thresholdType === 'binary') {
-        window.cv.threshold(gray, bw, 127, 255, window.cv.THRESH_BINARY);
-      } else {
-        const t = parseInt(thresholdValue) || 127;
-        window.cv.threshold(gray, bw, t, 255, window.cv.THRESH_BINARY);
-      }
+  const exportProfilePng = (svg, name) => {
+    downloadSvgAsPng(svg, `${profilesFileBase()}_${name.replace(/\s+/g, '_')}.png`);
+  };
 
-      if (invert) {
-        window.cv.bitwise_not(bw, bw);
-      }
+  // Drift of the D86 results over an image sequence or the frames of a video
+  const seriesRows = timeSeriesRows(results.map((entry, index) => ({
+    file: images[index].name,
+    time: images[index].time ?? null,
+    result: entry.result,
+  })));
+  const seriesDrift = seriesRows.length > 1 ? driftStats(seriesRows) : null;
+  const seriesUnit = seriesDrift ? unitLabel(results[seriesRows[0].frame].result) : null;
+  const seriesFileBase = () => `timeseries_${images[0].name.replace(/\.[^.]+$/, '')}`;
+
+  const exportSeriesCsv = () => {
+    downloadText(timeSeriesCsv(seriesRows), `${seriesFileBase()}.csv`, 'text/csv');
+  };
 
-      // 4. Connected Components
-      const labels = new window.cv.Mat();
-      const stats = new window.cv.Mat();
-      const centroids = new window.cv.Mat();
-      const connectivity = 8;
+  const exportSeriesPng = (svg) => {
+    downloadSvgAsPng(svg, `${seriesFileBase()}.png`);
+  };
 
-      const numLabels = window.cv.connectedComponentsWithStats(bw, labels, stats, centroids, connectivity, window.cv.CV_32S);
+  // Calibration profiles are saved to localStorage on every change
+  const updateCalibrations = (profiles) => {
+    setCalibrations(profiles);
+    storeCalibrations(profiles);
+  };
 
-      // 5. Filter and Count
-      let count = 0;
-      const minAreaVal = parseInt(minArea) || 5;
+  const saveCalibration = (draft) => {
+    const [profile] = parseCalibrations({ ...draft, name: draft.name.trim() });
+    if (!profile) return;
+    updateCalibrations(mergeCalibrations(calibrations, [profile]));
+    setActiveCalibration(profile.name);
+  };
 
-      const color = new window.cv.Scalar(255, 0, 0, 255);
+  const deleteCalibration = (name) => {
+    if (!confirm(`Delete calibration "${name}"?`)) return;
+    updateCalibrations(calibrations.filter(p => p.name !== name));
+    setActiveCalibration('');
+  };
 
-      for (let i = 1; i < numLabels; i++) { // 0 is background
-        const area = stats.intAt(i, window.cv.CC_STAT_AREA);
-        if (area >= minAreaVal) {
-          count++;
-          const x = stats.intAt(i, window.cv.CC_STAT_LEFT);
-          const y = stats.intAt(i, window.cv.CC_STAT_TOP);
-          const w = stats.intAt(i, window.cv.CC_STAT_WIDTH);
-          const h = stats.intAt(i, window.cv.CC_STAT_HEIGHT);
+  const importCalibrations = async (file) => {
+    try {
+      const added = parseCalibrations(JSON.parse(await file.text()));
+      if (added.length === 0) throw new Error("No valid named profiles found.");
+      updateCalibrations(mergeCalibrations(calibrations, added));
+    } catch (err) {
+      console.error(err);
+      alert(`Could not import calibrations: ${err.message}`);
+    }
+  };
 
-          const point1 = new window.cv.Point(x, y);
-          const point2 = new window.cv.Point(x + w, y + h);
-          window.cv.rectangle(src, point1, point2, color, 2, window.cv.LINE_8, 0);
-        }
-      }
+  const exportCalibrations = () => {
+    downloadText(JSON.stringify(calibrations, null, 2) + '\n', 'calibrations.json', 'application/json');
+  };
+
+  // Replaces the function and every parameter; fields the recipe lacks get
+  // their defaults
+  const applyRecipe = (next) => {
+    const full = { ...DEFAULT_RECIPE, ...normalizeRecipe(next) };
+    for (const [key, set] of Object.entries(recipeSetters)) set(full[key]);
+    if (full.calibration) {
+      updateCalibrations(mergeCalibrations(calibrations, [full.calibration]));
+      setActiveCalibration(full.calibration.name);
+    } else {
+      setActiveCalibration('');
+    }
+  };
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    storePresets(next);
+  };
+
+  const loadPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (preset) applyRecipe(preset);
+  };
+
+  const savePreset = (name) => {
+    if (presets.some(p => p.name === name) && !confirm(`Replace preset "${name}"?`)) return;
+    updatePresets(mergePresets(presets, [{ name, ...recipe }]));
+  };
 
-      setResultText(`Count ≈ ${count}`);
+  const deletePreset = (name) => {
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    updatePresets(presets.filter(p => p.name !== name));
+  };
 
-      // Show result
-      window.cv.imshow('resultCanvas', src); // We need a hidden canvas or reference to extract dataURL
-      const resultCanvas = document.getElementById('resultCanvas');
-      setResultImageSrc(resultCanvas.toDataURL());
+  // Imported recipes become presets; a file with a single one is also applied
+  const importRecipes = async (file) => {
+    try {
+      const parsed = JSON.parse(await file.text());
+      const added = parsePresets(Array.isArray(parsed) ? parsed : { name: file.name.replace(/\.[^.]+$/, ''), ...parsed });
+      if (added.length === 0) throw new Error("No recipes found.");
+      updatePresets(mergePresets(presets, added));
+      if (added.length === 1) applyRecipe(added[0]);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not import recipe: ${err.message}`);
+    }
+  };
 
-      // Cleanup
-      src.delete(); dst.delete(); gray.delete(); bw.delete();
-      labels.delete(); stats.delete(); centroids.delete();
+  const exportRecipe = (name) => {
+    const text = JSON.stringify({ name: name || selectedFunction, ...recipe }, null, 2) + '\n';
+    downloadText(text, `recipe_${(name || selectedFunction).replace(/[^\w.-]+/g, '_')}.json`, 'application/json');
+  };
 
+  const copyRecipeLink = async () => {
+    const query = encodeRecipe(recipe);
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("Link copied to clipboard");
     } catch (err) {
       console.error(err);
-      setResultText(`Error: ${err.message}`);
-    } finally {
-      setIsProcessing(false);
+      prompt("Copy this link:", url);
     }
   };
 
-  const runAnalysis = () => {
-    if (selectedFunction === 'd86') {
-      analyzeD86();
-    } else {
-      countPoints();
+  const resetParameters = () => {
+    if (confirm("Reset all parameters to their defaults?")) applyRecipe({});
+  };
+
+  // Lab-notebook report of the active result: the JSON result document
+  // (docs/result-schema.json) and a printable HTML page built from it
+  const activeDocument = () => resultDocument({
+    file: images[activeIndex].name,
+    result: activeResult.result,
+    params: activeResult.params,
+    software: { name: appName, version: appVersion },
+    // D86 and the beam widths do not use OpenCV
+    opencv: ['count', 'grid', 'multispot'].includes(activeResult.result.function) ? cvVersion : null,
+    createdAt: activeResult.analyzedAt,
+  });
+
+  const reportFileBase = () => `report_${images[activeIndex].name.replace(/\.[^.]+$/, '')}`;
+
+  // The active image with the result drawn on top, in the layers shown
+  const resultImageUrl = async () => {
+    const { canvas, ctx } = await loadImageCanvas(activeImage);
+    drawOverlay(ctx, activeResult.result, { layers });
+    return canvas.toDataURL();
+  };
+
+  const activeReportHtml = async (autoPrint) => {
+    const { canvas } = await loadImageCanvas(activeImage);
+    return reportHtml({ doc: activeDocument(), originalSrc: canvas.toDataURL(), annotatedSrc: await resultImageUrl(), autoPrint });
+  };
+
+  const exportReportJson = () => {
+    downloadText(JSON.stringify(activeDocument(), null, 2) + '\n', `${reportFileBase()}.json`, 'application/json');
+  };
+
+  const exportReportHtml = async () => {
+    downloadText(await activeReportHtml(false), `${reportFileBase()}.html`, 'text/html');
+  };
+
+  // Opens the report in a new tab and prints it, for "Save as PDF"
+  const printReport = async () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert("Allow pop-ups to print the report.");
+      return;
     }
+    win.document.write(await activeReportHtml(true));
+    win.document.close();
   };
 
   const copyToClipboard = async () => {
-    if (!resultImageSrc) return;
+    if (!hasResultImage) return;
     try {
-      const response = await fetch(resultImageSrc);
+      const response = await fetch(await resultImageUrl());
       const blob = await response.blob();
       await navigator.clipboard.write([
         new ClipboardItem({
@@ -402,16 +774,17 @@ const App = () => {
     }
   };
 
-  const saveImage = () => {
-    if (!resultImageSrc) return;
-    const link = document.createElement('a');
-    link.href = resultImageSrc;
-    link.download = `result_${selectedFunction}.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const saveImage = async () => {
+    if (!hasResultImage) return;
+    downloadUrl(await resultImageUrl(), `result_${selectedFunction}.png`);
   };
 
+  const calibrationNote = calibration && (
+    <div className="col-span-2 p-2 text-xs text-blue-700 bg-blue-50 border border-blue-100 rounded-md">
+      Calibrated: {formatCalibration(calibration)}. Lengths in {calibration.unit}, areas in {calibration.unit}².
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gray-50 p-6 font-sans text-gray-800">
       <div className="max-w-6xl mx-auto space-y-6">
@@ -421,19 +794,34 @@ const App = () => {
           <h1 className="text-3xl font-bold text-center text-gray-900 mb-2">Image Analysis Tool</h1>
           <div className="flex justify-center items-center gap-2 text-sm text-gray-500">
             {cvReady ? (
-              <span className="flex items-center text-green-600 font-medium">
+              <span className="flex items-center text-green-600 font-medium" title={`OpenCV ${cvVersion ?? ''} from ${cvSource}`}>
                 <CheckCircle2 className="w-4 h-4 mr-1" /> OpenCV Ready
               </span>
             ) : cvError ? (
-              <span className="flex items-center text-red-600 font-medium">
-                <AlertCircle className="w-4 h-4 mr-1" /> OpenCV Failed to Load
-              </span>
+              <>
+                <span className="flex items-center text-red-600 font-medium" title={cvError}>
+                  <AlertCircle className="w-4 h-4 mr-1" /> OpenCV Failed to Load
+                </span>
+                <button
+                  onClick={() => clientRef.current.retry()}
+                  disabled={isProcessing}
+                  className="flex items-center px-2 py-1 text-xs text-gray-600 rounded-lg hover:text-blue-600 hover:bg-blue-50 transition"
+                  title="Try loading OpenCV again"
+                >
+                  <RefreshCw className="w-4 h-4 mr-1" /> Retry
+                </button>
+              </>
             ) : (
               <span className="flex items-center text-blue-600 font-medium">
                 <Loader2 className="w-4 h-4 mr-1 animate-spin" /> Loading OpenCV...
               </span>
             )}
           </div>
+          {cvError && (
+            <p className="mt-2 text-xs text-center text-gray-500 break-all">
+              {cvError}. Energy Analysis, Beam Width and Gaussian Fit work without OpenCV.
+            </p>
+          )}
         </div>
 
         {/* Controls */}
@@ -448,19 +836,89 @@ const App = () => {
               onChange={(e) => setSelectedFunction(e.target.value)}
             >
               <option value="d86">Energy Analysis (D86)</option>
+              <option value="d4sigma">Beam Width (ISO 11146 D4σ)</option>
+              <option value="gaussfit">Gaussian Fit (1/e²)</option>
               <option value="count">Count Points</option>
+              <option value="grid">Grid Analysis</option>
+              <option value="multispot">Multi-Spot Energy (D86)</option>
             </select>
 
-            <label className="block w-full cursor-pointer">
-              <span className="sr-only">Upload Image</span>
+            <label className="block w-full cursor-pointer" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
+              <span className="sr-only">Upload Images</span>
               <div className="w-full flex items-center justify-center px-4 py-3 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition group">
                 <div className="space-y-1 text-center">
                   <Upload className="mx-auto h-6 w-6 text-gray-400 group-hover:text-blue-500" />
-                  <div className="text-sm text-gray-500 group-hover:text-blue-600">Upload Image</div>
+                  <div className="text-sm text-gray-500 group-hover:text-blue-600">
+                    {images.length > 1 ? `${images.length} Images Loaded` : "Upload or Drop Images / Video"}
+                  </div>
                 </div>
               </div>
-              <input type="file" className="hidden" accept="image/*" onChange={handleImageUpload} />
+              <input type="file" className="hidden" accept={UPLOAD_ACCEPT} multiple onChange={handleImageUpload} />
             </label>
+
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-500 hover:text-blue-600">Raw Format Settings (.raw / .bin)</summary>
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Width (px)</label>
+                  <input type="number" min="1" value={rawWidth} onChange={(e) => setRawWidth(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Height (px)</label>
+                  <input type="number" min="1" value={rawHeight} onChange={(e) => setRawHeight(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Bit Depth</label>
+                  <input type="number" min="1" max="16" value={rawBitDepth} onChange={(e) => setRawBitDepth(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Header Offset (bytes)</label>
+                  <input type="number" min="0" value={rawOffset} onChange={(e) => setRawOffset(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                </div>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">Little-endian, one sample per pixel. Set before uploading.</p>
+            </details>
+
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-500 hover:text-blue-600">Video Frames</summary>
+              <div className="mt-2">
+                <label className="block text-xs font-medium text-gray-500 mb-1">Frame Interval (s)</label>
+                <input type="number" min="0.001" step="0.1" value={videoInterval} onChange={(e) => setVideoInterval(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+              </div>
+              <p className="text-xs text-gray-400 mt-1">A video is decoded in the browser into one image every interval. Set before uploading.</p>
+            </details>
+
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-500 hover:text-blue-600">Presets & Recipes</summary>
+              <PresetPanel
+                presets={presets}
+                onLoad={loadPreset}
+                onSave={savePreset}
+                onDelete={deletePreset}
+                onImport={importRecipes}
+                onExport={exportRecipe}
+                onCopyLink={copyRecipeLink}
+                onReset={resetParameters}
+              />
+            </details>
+
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-500 hover:text-blue-600">
+                Spatial Calibration{calibration ? `: ${calibration.name}` : ""}
+              </summary>
+              <CalibrationPanel
+                profiles={calibrations}
+                active={activeCalibration}
+                onSelect={setActiveCalibration}
+                onSave={saveCalibration}
+                onDelete={deleteCalibration}
+                onImport={importCalibrations}
+                onExport={exportCalibrations}
+                line={measureLine}
+                measuring={roiTool === 'line'}
+                onMeasure={() => setRoiTool(roiTool === 'line' ? 'none' : 'line')}
+              />
+            </details>
           </div>
 
           {/* Parameters */}
@@ -469,32 +927,151 @@ const App = () => {
               <label className="block text-sm font-semibold text-gray-700 mb-2">Parameters</label>
             </div>
 
-            {selectedFunction === 'd86' ? (
+            {energyBased && (
               <>
-                <div>
-                  <label className="block text-xs font-medium text-gray-500 mb-1">Hx (Actual Width)</label>
-                  <input type="number" step="0.1" value={hx} onChange={(e) => setHx(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
-                </div>
-                <div>
-                  <label className="block text-xs font-medium text-gray-500 mb-1">Hy (Actual Height)</label>
-                  <input type="number" step="0.1" value={hy} onChange={(e) => setHy(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                {calibration ? calibrationNote : (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Hx (Actual Width)</label>
+                      <input type="number" step="0.1" value={hx} onChange={(e) => setHx(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Hy (Actual Height)</label>
+                      <input type="number" step="0.1" value={hy} onChange={(e) => setHy(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                  </>
+                )}
+                {selectedFunction === 'd86' || selectedFunction === 'multispot' ? (
+                  <>
+                    <div className="col-span-2">
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Energy Ratio (%)</label>
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="1"
+                        max="100"
+                        value={energyRatio}
+                        onChange={(e) => setEnergyRatio(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">e.g., 86 for 86%</p>
+                    </div>
+                    {selectedFunction === 'd86' ? (
+                      <div className="col-span-2">
+                        <label className="block text-xs font-medium text-gray-500 mb-1">Report Levels (%)</label>
+                        <input
+                          type="text"
+                          value={energyLevels}
+                          onChange={(e) => setEnergyLevels(e.target.value)}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                        />
+                        <p className="text-xs text-gray-400 mt-1">Comma separated, e.g., 50, 80, 86, 95</p>
+                      </div>
+                    ) : (
+                      <div className="col-span-2">
+                        <label className="block text-xs font-medium text-gray-500 mb-1">Spot Neighbourhood (× Spot Size)</label>
+                        <input type="number" step="0.1" min="0" value={spotMargin} onChange={(e) => setSpotMargin(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                        <p className="text-xs text-gray-400 mt-1">Margin around each detected spot that counts towards its energy</p>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="col-span-2">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Integration Area (× Beam Width)</label>
+                    <input type="number" step="0.5" min="1" value={areaFactor} onChange={(e) => setAreaFactor(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    <p className="text-xs text-gray-400 mt-1">ISO 11146 uses 3</p>
+                  </div>
+                )}
+                <div className={channel === 'custom' ? '' : 'col-span-2'}>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Input Channel</label>
+                  <select value={channel} onChange={(e) => setChannel(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                    <option value="luminance">Luminance (0.299 R + 0.587 G + 0.114 B)</option>
+                    <option value="red">Red</option>
+                    <option value="green">Green</option>
+                    <option value="blue">Blue</option>
+                    <option value="max">Max of R, G, B</option>
+                    <option value="custom">Custom Weights</option>
+                  </select>
                 </div>
-                <div className="col-span-2">
-                  <label className="block text-xs font-medium text-gray-500 mb-1">Energy Ratio (%)</label>
+                {channel === 'custom' && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Weights (R, G, B)</label>
+                    <input type="text" value={channelWeights} onChange={(e) => setChannelWeights(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                  </div>
+                )}
+                <div className="col-span-2 flex items-center">
                   <input
-                    type="number"
-                    step="0.1"
-                    min="1"
-                    max="100"
-                    value={energyRatio}
-                    onChange={(e) => setEnergyRatio(e.target.value)}
-                    className="w-full p-2 border border-gray-300 rounded-md"
+                    type="checkbox"
+                    id="linearize"
+                    checked={linearize}
+                    onChange={(e) => setLinearize(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500 border-gray-300"
                   />
-                  <p className="text-xs text-gray-400 mt-1">e.g., 86 for 86%</p>
+                  <label htmlFor="linearize" className="ml-2 text-sm text-gray-700">Linearise sRGB (gamma-encoded camera output)</label>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Background Correction</label>
+                  <select value={background} onChange={(e) => setBackground(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                    <option value="none">None</option>
+                    <option value="dark">Dark Frame</option>
+                    <option value="border">Border Offset</option>
+                    <option value="corner">Corner Patch Offset</option>
+                  </select>
                 </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Noise Floor (Gray Level)</label>
+                  <input type="number" step="0.1" min="0" value={noiseFloor} onChange={(e) => setNoiseFloor(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                </div>
+                {background === 'dark' && (
+                  <div className="col-span-2">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Dark Frame</label>
+                    <label className="flex items-center w-full p-2 border border-gray-300 rounded-md cursor-pointer text-sm text-gray-600 hover:border-blue-500">
+                      <Upload className="w-4 h-4 mr-2 text-gray-400" />
+                      <span className="truncate">{darkFrameImage ? darkFrameImage.name : "Upload dark frame (same size)"}</span>
+                      <input type="file" className="hidden" accept={UPLOAD_ACCEPT} onChange={handleDarkFrameUpload} />
+                    </label>
+                  </div>
+                )}
+                {background === 'border' && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Border Width (px)</label>
+                    <input type="number" min="1" value={borderWidth} onChange={(e) => setBorderWidth(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                  </div>
+                )}
+                {background === 'corner' && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Corner</label>
+                      <select value={corner} onChange={(e) => setCorner(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                        <option value="tl">Top Left</option>
+                        <option value="tr">Top Right</option>
+                        <option value="bl">Bottom Left</option>
+                        <option value="br">Bottom Right</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Patch Size (px)</label>
+                      <input type="number" min="1" value={patchSize} onChange={(e) => setPatchSize(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                  </>
+                )}
               </>
-            ) : (
+            )}
+            {segmented && (
               <>
+                {selectedFunction === 'grid' && !calibration && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Hx (Actual Width)</label>
+                      <input type="number" step="0.1" value={hx} onChange={(e) => setHx(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Hy (Actual Height)</label>
+                      <input type="number" step="0.1" value={hy} onChange={(e) => setHy(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                  </>
+                )}
+                {calibration && !energyBased && calibrationNote}
                 <div>
                   <label className="block text-xs font-medium text-gray-500 mb-1">Min Area (px)</label>
                   <input type="number" value={minArea} onChange={(e) => setMinArea(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
@@ -507,6 +1084,11 @@ const App = () => {
                   <label className="block text-xs font-medium text-gray-500 mb-1">Threshold Mode</label>
                   <select value={thresholdType} onChange={(e) => setThresholdType(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
                     <option value="otsu">Otsu (Auto)</option>
+                    <option value="triangle">Triangle (Auto)</option>
+                    <option value="yen">Yen (Auto)</option>
+                    <option value="li">Li (Auto)</option>
+                    <option value="adaptiveMean">Adaptive Mean (Local)</option>
+                    <option value="adaptiveGaussian">Adaptive Gaussian (Local)</option>
                     <option value="binary">Binary (127)</option>
                     <option value="custom">Custom Value</option>
                   </select>
@@ -515,8 +1097,46 @@ const App = () => {
                   <div>
                     <label className="block text-xs font-medium text-gray-500 mb-1">Threshold (0-255)</label>
                     <input type="number" value={thresholdValue} onChange={(e) => setThresholdValue(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    <p className="text-xs text-gray-400 mt-1">Scaled to the sensor range for 16-bit images</p>
                   </div>
                 )}
+                {(thresholdType === 'adaptiveMean' || thresholdType === 'adaptiveGaussian') && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Block Size (px, odd)</label>
+                      <input type="number" min="3" step="2" value={blockSize} onChange={(e) => setBlockSize(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">C (Offset, 0-255)</label>
+                      <input type="number" step="0.5" value={adaptiveC} onChange={(e) => setAdaptiveC(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                      <p className="text-xs text-gray-400 mt-1">Foreground above local mean − C</p>
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Morphology</label>
+                  <select value={morphology} onChange={(e) => setMorphology(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                    <option value="none">None</option>
+                    <option value="open">Open (Remove Specks)</option>
+                    <option value="close">Close (Fill Gaps)</option>
+                  </select>
+                </div>
+                {morphology !== 'none' && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Kernel Size (px, odd)</label>
+                      <input type="number" min="1" step="2" value={morphKernel} onChange={(e) => setMorphKernel(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Kernel Shape</label>
+                      <select value={morphShape} onChange={(e) => setMorphShape(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                        <option value="ellipse">Ellipse</option>
+                        <option value="rect">Rectangle</option>
+                        <option value="cross">Cross</option>
+                      </select>
+                    </div>
+                  </>
+                )}
                 <div className="col-span-2 flex items-center mt-2">
                   <input
                     type="checkbox"
@@ -527,6 +1147,40 @@ const App = () => {
                   />
                   <label htmlFor="invert" className="ml-2 text-sm text-gray-700">Invert Color (Black dots on White)</label>
                 </div>
+                <div className="col-span-2 flex items-center">
+                  <input
+                    type="checkbox"
+                    id="separate"
+                    checked={separate}
+                    onChange={(e) => setSeparate(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500 border-gray-300"
+                  />
+                  <label htmlFor="separate" className="ml-2 text-sm text-gray-700">Separate Touching Dots (Watershed)</label>
+                </div>
+                {separate && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Min Separation (px)</label>
+                      <input type="number" step="0.5" min="0" value={minSeparation} onChange={(e) => setMinSeparation(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Peak Prominence (px)</label>
+                      <input type="number" step="0.1" min="0" value={prominence} onChange={(e) => setProminence(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                  </>
+                )}
+                {selectedFunction !== 'multispot' && (
+                  <div className="col-span-2 flex items-center">
+                    <input
+                      type="checkbox"
+                      id="subpixel"
+                      checked={subpixel}
+                      onChange={(e) => setSubpixel(e.target.checked)}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500 border-gray-300"
+                    />
+                    <label htmlFor="subpixel" className="ml-2 text-sm text-gray-700">Sub-pixel Gaussian Fit</label>
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -535,15 +1189,28 @@ const App = () => {
           <div className="md:col-span-3 flex flex-col justify-end space-y-3">
             <button
               onClick={runAnalysis}
-              disabled={!cvReady || !imageSrc || isProcessing}
+              disabled={!canAnalyze}
               className={`w-full py-3 px-4 rounded-lg flex items-center justify-center font-bold text-white transition shadow-sm
-                  ${!cvReady || !imageSrc || isProcessing
+                  ${!canAnalyze
                   ? 'bg-gray-400 cursor-not-allowed'
                   : 'bg-blue-600 hover:bg-blue-700 active:scale-95'}`}
             >
               {isProcessing ? <Loader2 className="w-5 h-5 animate-spin mr-2" /> : <Play className="w-5 h-5 mr-2" />}
-              Analyze
+              {images.length > 1 ? `Analyze ${images.length} Images` : "Analyze"}
             </button>
+            {isProcessing && (
+              <>
+                <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+                  <div className="bg-blue-600 h-2 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+                </div>
+                <button
+                  onClick={cancelAnalysis}
+                  className="w-full py-2 px-4 rounded-lg flex items-center justify-center font-semibold text-red-600 border border-red-200 hover:bg-red-50 transition"
+                >
+                  <X className="w-5 h-5 mr-2" /> Cancel
+                </button>
+              </>
+            )}
           </div>
         </div>
 
@@ -551,12 +1218,43 @@ const App = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {/* Original Image */}
           <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-200 flex flex-col h-[500px]">
-            <h3 className="text-lg font-semibold text-gray-700 mb-3 flex items-center">
-              <ImageIcon className="w-5 h-5 mr-2" /> Original Image
+            <h3 className="text-lg font-semibold text-gray-700 mb-3 flex items-center justify-between">
+              <span className="flex items-center min-w-0">
+                <ImageIcon className="w-5 h-5 mr-2" /> Original Image
+                {images.length > 1 && <span className="ml-2 text-sm font-normal text-gray-400 truncate">{images[activeIndex].name}</span>}
+              </span>
+              <div className="flex gap-1">
+                {ROI_TOOLS.map(tool => (
+                  <button
+                    key={tool.id}
+                    onClick={() => setRoiTool(tool.id)}
+                    disabled={!imageSrc}
+                    className={`p-2 rounded-full transition ${roiTool === tool.id ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:text-blue-600 hover:bg-blue-50'}`}
+                    title={tool.title}
+                  >
+                    <tool.Icon className="w-5 h-5" />
+                  </button>
+                ))}
+                <button onClick={() => setRoi(null)} disabled={!roi} className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-full transition" title="Clear ROI">
+                  <Eraser className="w-5 h-5" />
+                </button>
+              </div>
             </h3>
-            <div className="flex-1 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden relative">
+            <div className="flex-1 min-h-0 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden relative">
               {imageSrc ? (
-                <img src={imageSrc} alt="Original" className="max-w-full max-h-full object-contain" />
+                <RoiEditor
+                  src={imageSrc}
+                  roi={roi}
+                  tool={roiTool}
+                  onChange={setRoi}
+                  line={measureLine}
+                  onLine={setMeasureLine}
+                  profileLines={profileLines}
+                  onProfileLine={(line) => setProfileLines([...profileLines, line])}
+                  view={view}
+                  onView={setView}
+                  onHover={setHoverPixel}
+                />
               ) : (
                 <span className="text-gray-400">No Image Loaded</span>
               )}
@@ -566,19 +1264,76 @@ const App = () => {
           {/* Result Image */}
           <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-200 flex flex-col h-[500px]">
             <h3 className="text-lg font-semibold text-gray-700 mb-3 flex items-center justify-between">
-              <span className="flex items-center"><CheckCircle2 className="w-5 h-5 mr-2" /> Analysis Result</span>
+              <span className="flex items-center"><CheckCircle2 className="w-5 h-5 mr-2" /> {showMaskPreview ? "Mask Preview" : "Analysis Result"}</span>
               <div className="flex gap-2">
-                <button onClick={copyToClipboard} disabled={!resultImageSrc} className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition" title="Copy Image">
+                {canEditDetections && activeResult.corrections && (
+                  <button onClick={() => updateCorrections(null)} className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-full transition" title="Undo All Manual Corrections">
+                    <Undo2 className="w-5 h-5" />
+                  </button>
+                )}
+                {canEditDetections && (
+                  <button
+                    onClick={() => setEditDetections(!editDetections)}
+                    className={`p-2 rounded-full transition ${editing ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:text-blue-600 hover:bg-blue-50'}`}
+                    title={editing ? "Stop Correcting Detections" : "Correct Detections: click a dot to delete it, an empty spot to add one"}
+                  >
+                    <MousePointerClick className="w-5 h-5" />
+                  </button>
+                )}
+                {segmented && (
+                  <button
+                    onClick={() => setMaskPreview(!maskPreview)}
+                    className={`p-2 rounded-full transition ${maskPreview ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:text-blue-600 hover:bg-blue-50'}`}
+                    title={maskPreview ? "Hide Mask Preview" : "Show Live Mask Preview"}
+                  >
+                    {maskPreview ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                )}
+                <button onClick={copyToClipboard} disabled={!hasResultImage} className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition" title="Copy Image">
                   <Copy className="w-5 h-5" />
                 </button>
-                <button onClick={saveImage} disabled={!resultImageSrc} className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-full transition" title="Download Image">
+                <button onClick={saveImage} disabled={!hasResultImage} className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-full transition" title="Download Image">
                   <Save className="w-5 h-5" />
                 </button>
               </div>
             </h3>
-            <div className="flex-1 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden relative">
-              {resultImageSrc ? (
-                <img src={resultImageSrc} alt="Result" className="max-w-full max-h-full object-contain" />
+            {!showMaskPreview && resultLayers.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-2">
+                {OVERLAY_LAYERS.filter(layer => resultLayers.includes(layer.id)).map(layer => (
+                  <button
+                    key={layer.id}
+                    onClick={() => setLayers({ ...layers, [layer.id]: !layers[layer.id] })}
+                    className={`px-2 py-0.5 text-xs rounded-full border transition ${layers[layer.id]
+                      ? 'text-blue-700 bg-blue-50 border-blue-200'
+                      : 'text-gray-400 bg-white border-gray-200 line-through'}`}
+                    title={layers[layer.id] ? `Hide ${layer.label}` : `Show ${layer.label}`}
+                  >
+                    {layer.label}
+                  </button>
+                ))}
+                {activeResult.result.corrections && (
+                  <span className="ml-auto px-2 py-0.5 text-xs font-mono text-gray-600" title="Automatic count, manual additions and deletions, final count">
+                    {activeResult.result.corrections.autoCount} +{activeResult.result.corrections.added} −{activeResult.result.corrections.removed} = {activeResult.result.count}
+                  </span>
+                )}
+              </div>
+            )}
+            <div className="flex-1 min-h-0 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden relative">
+              {showMaskPreview ? (
+                maskSrc && imageSrc ? (
+                  <ImageViewer src={maskSrc} view={view} onView={setView} onHover={setHoverPixel} />
+                ) : (
+                  <span className="text-gray-400">{imageSrc ? "Computing Mask..." : "No Image Loaded"}</span>
+                )
+              ) : hasResultImage ? (
+                <ImageViewer
+                  src={imageSrc}
+                  view={view}
+                  onView={setView}
+                  onHover={setHoverPixel}
+                  draw={drawResult}
+                  onPick={editing ? correctAt : null}
+                />
               ) : (
                 <span className="text-gray-400">Waiting for Result...</span>
               )}
@@ -586,16 +1341,151 @@ const App = () => {
           </div>
         </div>
 
+        {/* Zoom and pixel readout, shared by both viewers */}
+        {imageSrc && (
+          <div className="flex items-center justify-between gap-4 px-4 py-2 bg-white rounded-xl shadow-sm border border-gray-200 text-xs text-gray-600">
+            <span className="font-mono truncate">
+              {hoverPixel
+                ? `x ${hoverPixel[0]}, y ${hoverPixel[1]}${hoverValue ? `   ${formatPixel(hoverValue)}` : ""}`
+                : "Wheel to zoom, drag to pan (middle button while drawing an ROI)"}
+            </span>
+            <div className="flex items-center gap-1 shrink-0">
+              <span className="w-12 text-right font-mono">{Math.round((view?.zoom ?? 1) * 100)}%</span>
+              <button onClick={() => zoomBy(0.5)} disabled={!activePixels || !view || view.zoom <= 1} className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition" title="Zoom Out">
+                <ZoomOut className="w-4 h-4" />
+              </button>
+              <button onClick={() => zoomBy(2)} disabled={!activePixels} className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition" title="Zoom In">
+                <ZoomIn className="w-4 h-4" />
+              </button>
+              <button onClick={() => setView(null)} disabled={!view} className="p-1.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition" title="Fit Image">
+                <Maximize className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Batch Results */}
+        {images.length > 1 && tableRows.length > 0 && (
+          <ResultsTable rows={tableRows} activeIndex={activeIndex} onSelect={setActiveIndex} onExportCsv={exportCsv} />
+        )}
+
+        {/* Before / After Comparison */}
+        {images.length > 1 && (
+          <ComparePanel
+            names={images.map(img => img.name)}
+            reference={compareReference}
+            sample={compareSample}
+            onReferenceChange={setCompareReference}
+            onSampleChange={setCompareSample}
+            registration={registration}
+            onRegistrationChange={setRegistration}
+            mapMode={compareMap}
+            onMapModeChange={setCompareMap}
+            canCompare={canAnalyze}
+            isProcessing={isProcessing}
+            onCompare={runComparison}
+            comparison={comparison}
+            onExportCsv={exportComparisonCsv}
+            onExportPng={exportComparisonPng}
+          />
+        )}
+
+        {/* Spot Drift */}
+        {seriesDrift && (
+          <TimeSeriesChart
+            rows={seriesRows}
+            drift={seriesDrift}
+            unit={seriesUnit}
+            activeFrame={activeIndex}
+            onSelect={setActiveIndex}
+            onExportCsv={exportSeriesCsv}
+            onExportPng={exportSeriesPng}
+          />
+        )}
+
+        {/* Encircled Energy */}
+        {activeResult?.result?.function === 'd86' && (
+          <EnergyCurve
+            curve={activeResult.result.curve}
+            levels={activeResult.result.levels}
+            unit={unitLabel(activeResult.result)}
+            onExportCurveCsv={exportCurveCsv}
+            onExportLevelsCsv={exportLevelsCsv}
+            onExportPng={exportCurvePng}
+          />
+        )}
+
+        {/* Intensity Profiles */}
+        {profiles.length > 0 && (
+          <ProfileChart
+            profiles={profiles}
+            unit={profileUnit}
+            onRemove={(index) => setProfileLines(profileLines.filter((l, i) => i !== index))}
+            onExportCsv={exportProfilesCsv}
+            onExportPng={exportProfilePng}
+          />
+        )}
+
+        {/* Grid Lattice */}
+        {activeResult?.result?.function === 'grid' && (
+          <GridTable grid={activeResult.result.grid} rows={gridRows(activeResult.result)} onExportCsv={exportGridCsv} />
+        )}
+
+        {/* Per-spot D86 */}
+        {activeResult?.result?.function === 'multispot' && (
+          <SpotsTable
+            spots={activeResult.result.spots}
+            uniformity={activeResult.result.uniformity}
+            unit={unitLabel(activeResult.result)}
+            onExportCsv={exportSpotsCsv}
+          />
+        )}
+
+        {/* Size Distribution and Spatial Statistics */}
+        {activeResult?.result?.function === 'count' && (
+          <CountStats
+            result={activeResult.result}
+            onExportHistogramsCsv={exportHistogramsCsv}
+            onExportDensityCsv={exportDensityCsv}
+            onExportPng={exportStatsPng}
+          />
+        )}
+
+        {/* Object Measurements */}
+        {(activeResult?.result?.function === 'count' || activeResult?.result?.function === 'grid') && (
+          <ObjectsTable
+            objects={activeResult.result.objects}
+            summary={activeResult.result.summary}
+            fitted={Boolean(activeResult.result.subpixel)}
+            unit={activeResult.result.calibration?.unit ?? null}
+            onExportCsv={exportObjectsCsv}
+            onExportJson={exportObjectsJson}
+          />
+        )}
+
         {/* Text Results */}
         <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-700 mb-2">Data Report</h3>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Data Report</h3>
+            {activeResult?.result && !isProcessing && (
+              <div className="flex gap-1">
+                <button onClick={exportReportHtml} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export a self-contained HTML report">
+                  <FileText className="w-4 h-4 mr-1" /> HTML
+                </button>
+                <button onClick={printReport} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition" title="Print the report or save it as PDF">
+                  <Printer className="w-4 h-4 mr-1" /> PDF
+                </button>
+                <button onClick={exportReportJson} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export the result as JSON (docs/result-schema.json)">
+                  <Download className="w-4 h-4 mr-1" /> JSON
+                </button>
+              </div>
+            )}
+          </div>
           <pre className="bg-gray-50 p-4 rounded-lg text-sm text-gray-800 font-mono whitespace-pre-wrap border border-gray-200">
             {resultText || "No Data Available."}
           </pre>
         </div>
 
-        {/* Hidden Canvas for OpenCV Operations */}
-        <canvas id="resultCanvas" className="hidden"></canvas>
       </div>
     </div>
   );
@@ -0,0 +1,123 @@
+import { toIntensity } from './radiometry.js';
+import { roiMask } from './roi.js';
+
+// Background modes for Energy Analysis:
+//   'none'   - use the image as-is
+//   'dark'   - subtract a dark frame of the same size, pixel by pixel
+//   'border' - subtract a constant offset estimated from the image border
+//   'corner' - subtract a constant offset estimated from one corner patch
+export const BACKGROUND_MODES = ['none', 'dark', 'border', 'corner'];
+export const CORNERS = ['tl', 'tr', 'bl', 'br'];
+
+const CORNER_LABELS = { tl: 'top-left', tr: 'top-right', bl: 'bottom-left', br: 'bottom-right' };
+
+// Median rather than mean so that the tails of a spot reaching into the
+// sample region do not pull the offset up.
+const median = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const borderSamples = (gray, w, h, size) => {
+  const b = Math.max(1, Math.min(size, Math.floor(Math.min(w, h) / 2)));
+  const samples = [];
+  for (let y = 0; y < h; y++) {
+    const inBand = y < b || y >= h - b;
+    for (let x = 0; x < w; x++) {
+      if (inBand || x < b || x >= w - b) samples.push(gray[y * w + x]);
+    }
+  }
+  return samples;
+};
+
+const cornerSamples = (gray, w, h, corner, size) => {
+  const pw = Math.max(1, Math.min(size, w));
+  const ph = Math.max(1, Math.min(size, h));
+  const x0 = corner === 'tr' || corner === 'br' ? w - pw : 0;
+  const y0 = corner === 'bl' || corner === 'br' ? h - ph : 0;
+  const samples = [];
+  for (let y = y0; y < y0 + ph; y++) {
+    for (let x = x0; x < x0 + pw; x++) samples.push(gray[y * w + x]);
+  }
+  return samples;
+};
+
+const positiveSum = (gray) => {
+  let sum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] > 0) sum += gray[i];
+  }
+  return sum;
+};
+
+// Applies the requested background correction and noise-floor clip to an
+// intensity buffer in place; a dark frame is converted like the image (see
+// toIntensity). Negative values after subtraction are clipped to zero, as are
+// values at or below `noiseFloor`. Returns a summary of what was done for the
+// report.
+export const correctBackground = (gray, w, h, params = {}) => {
+  const mode = params.background || 'none';
+  const noiseFloor = parseFloat(params.noiseFloor) || 0;
+  const energyBefore = positiveSum(gray);
+
+  let offset = null;
+  let method = 'None';
+
+  if (mode === 'dark') {
+    const dark = params.darkFrame;
+    if (!dark) throw new Error("Dark frame subtraction selected but no dark frame was provided.");
+    if (dark.width !== w || dark.height !== h) {
+      throw new Error(`Dark frame is ${dark.width}x${dark.height}, expected ${w}x${h}.`);
+    }
+    const darkGray = toIntensity(dark, params).gray;
+    for (let i = 0; i < gray.length; i++) gray[i] -= darkGray[i];
+    method = 'Dark frame';
+  } else if (mode === 'border') {
+    const size = parseInt(params.borderWidth) || 10;
+    offset = median(borderSamples(gray, w, h, size));
+    method = `Border median (${size} px)`;
+  } else if (mode === 'corner') {
+    const corner = CORNERS.includes(params.corner) ? params.corner : 'tl';
+    const size = parseInt(params.patchSize) || 20;
+    offset = median(cornerSamples(gray, w, h, corner, size));
+    method = `Corner median (${CORNER_LABELS[corner]}, ${size}x${size} px)`;
+  } else if (mode !== 'none') {
+    throw new Error(`Unknown background mode "${mode}".`);
+  }
+
+  for (let i = 0; i < gray.length; i++) {
+    let val = offset !== null ? gray[i] - offset : gray[i];
+    if (val < 0 || val <= noiseFloor) val = 0;
+    gray[i] = val;
+  }
+
+  const energyAfter = positiveSum(gray);
+  return {
+    mode,
+    method,
+    offset,
+    noiseFloor,
+    energyBefore,
+    energyAfter,
+    energyRemoved: energyBefore - energyAfter,
+  };
+};
+
+// Intensity of `image` (see toIntensity) ready for energy sums: background
+// corrected and, with an `roi` in `params`, zero outside it.
+// -> { gray, background, mask, radiometry }, where `mask` is the ROI mask or
+// null.
+export const energyImage = (image, params = {}) => {
+  const w = image.width;
+  const h = image.height;
+  const { gray, radiometry } = toIntensity(image, params);
+  const background = correctBackground(gray, w, h, params);
+  const mask = params.roi ? roiMask(params.roi, w, h) : null;
+  if (mask) {
+    for (let i = 0; i < gray.length; i++) {
+      if (!mask[i]) gray[i] = 0;
+    }
+  }
+  return { gray, background, mask, radiometry };
+};
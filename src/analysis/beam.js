@@ -0,0 +1,241 @@
+import { saturationStats } from './raster.js';
+import { energyImage } from './background.js';
+import { principalAxes, scaleCovariance, secondMoments } from './moments.js';
+import { fitGaussian2D } from './gaussfit.js';
+import { pixelScale } from './calibration.js';
+
+// Laser beam widths after ISO 11146: the second-moment width D4-sigma with
+// the iterative integration area, and the 1/e^2 width of a fitted Gaussian.
+// Both report diameters in the calibrated unit (or the actual units given by
+// hx / hy as the size of the whole frame), like Energy Analysis, and share its
+// radiometric input and background correction.
+
+export const DEFAULT_BEAM_PARAMS = {
+  hx: 1.0,
+  hy: 1.0,
+  channel: 'luminance', // see CHANNEL_MODES
+  channelWeights: null,
+  linearize: false,
+  background: 'none', // see BACKGROUND_MODES
+  borderWidth: 10,
+  corner: 'tl',
+  patchSize: 20,
+  noiseFloor: 0,
+  darkFrame: null,
+  roi: null,
+  calibration: null, // see calibration.js; null uses hx / hy
+  areaFactor: 3, // integration area side, in beam widths (ISO 11146-3)
+  maxIterations: 50,
+};
+
+// ISO 11146 treats a beam as circular when its ellipticity exceeds this
+const CIRCULAR_ELLIPTICITY = 0.87;
+// Relative change of both widths below which the integration area has settled
+const AREA_TOLERANCE = 1e-3;
+// Gaussian fits use at most this many pixels, subsampled on a regular grid
+const MAX_FIT_SAMPLES = 250000;
+
+// Widths of the beam with pixel-unit covariance `cov` (sigma^2), as 4-sigma
+// diameters along x, y and the principal axes, in actual units and px.
+// The overlay ellipse is the 2-sigma (1/e^2 for a Gaussian) contour.
+const beamWidths = (cov, cx, cy, s_x, s_y) => {
+  const real = scaleCovariance(cov, s_x, s_y);
+  const axes = principalAxes(real);
+  const axesPx = principalAxes(cov);
+  const majorAxis = 4 * Math.sqrt(axes.lambda1);
+  const minorAxis = 4 * Math.sqrt(axes.lambda2);
+  const ellipticity = majorAxis > 0 ? minorAxis / majorAxis : 0;
+  const isCircle = ellipticity >= CIRCULAR_ELLIPTICITY;
+  return {
+    centroid: { x: cx, y: cy },
+    covariance: real,
+    dx: 4 * Math.sqrt(real.xx),
+    dy: 4 * Math.sqrt(real.yy),
+    dxPx: 4 * Math.sqrt(cov.xx),
+    dyPx: 4 * Math.sqrt(cov.yy),
+    thetaRad: axes.theta,
+    angleDeg: (axes.theta * 180) / Math.PI,
+    majorAxis,
+    minorAxis,
+    majorAxisPx: 4 * Math.sqrt(axesPx.lambda1),
+    minorAxisPx: 4 * Math.sqrt(axesPx.lambda2),
+    ellipticity,
+    isCircle,
+    // ISO 11146 circular beam diameter, 2 sqrt(2) sqrt(sigma_x^2 + sigma_y^2)
+    diameter: isCircle ? 2 * Math.SQRT2 * Math.sqrt(real.xx + real.yy) : null,
+    ellipse: {
+      cx,
+      cy,
+      rx: 2 * Math.sqrt(axesPx.lambda1),
+      ry: 2 * Math.sqrt(axesPx.lambda2),
+      rotation: axesPx.theta,
+    },
+  };
+};
+
+// Rectangle along the beam's principal axes, `factor` times its 4-sigma
+// widths on each side (at least one pixel)
+const integrationArea = (m, factor) => {
+  const { lambda1, lambda2, theta } = principalAxes(m);
+  return {
+    cx: m.cx,
+    cy: m.cy,
+    halfU: Math.max(1, (factor * 4 * Math.sqrt(lambda1)) / 2),
+    halfV: Math.max(1, (factor * 4 * Math.sqrt(lambda2)) / 2),
+    rotation: theta,
+  };
+};
+
+// Iterative second moments (ISO 11146-3): start from the whole frame, then
+// recompute inside the integration area around the latest estimate until
+// the widths stop changing.
+const iterateMoments = (gray, w, h, factor, maxIterations) => {
+  let m = secondMoments(gray, w, h);
+  if (!m) return null;
+  let area = null;
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+    area = integrationArea(m, factor);
+    const next = secondMoments(gray, w, h, area);
+    if (!next) break;
+    const before = principalAxes(m);
+    const after = principalAxes(next);
+    converged = Math.abs(Math.sqrt(after.lambda1) - Math.sqrt(before.lambda1)) <= AREA_TOLERANCE * Math.sqrt(before.lambda1)
+      && Math.abs(Math.sqrt(after.lambda2) - Math.sqrt(before.lambda2)) <= AREA_TOLERANCE * Math.sqrt(before.lambda2);
+    m = next;
+  }
+  return { moments: m, area, iterations, converged };
+};
+
+const zeroEnergyError = (params) => new Error(params.roi
+  ? "Total energy inside the ROI is zero. Please adjust the ROI."
+  : "Total energy is zero. Please provide a non-black image.");
+
+const parseFactor = (params) => parseFloat(params.areaFactor) || DEFAULT_BEAM_PARAMS.areaFactor;
+const parseIterations = (params) => parseInt(params.maxIterations) || DEFAULT_BEAM_PARAMS.maxIterations;
+
+// ISO 11146 D4-sigma beam width. `onProgress(fraction, stage)` is called
+// between the passes.
+export const analyzeD4Sigma = (image, params = {}, { onProgress } = {}) => {
+  const w = image.width;
+  const h = image.height;
+  const progress = onProgress || (() => {});
+
+  // 1. Gray, background and ROI as for Energy Analysis
+  progress(0, "Converting to gray");
+  const { gray, background, radiometry, mask } = energyImage(image, params);
+
+  // 2. Second moments in the converged integration area
+  progress(0.3, "Iterating integration area");
+  const factor = parseFactor(params);
+  const fit = iterateMoments(gray, w, h, factor, parseIterations(params));
+  if (!fit) throw zeroEnergyError(params);
+  const { moments, area, iterations, converged } = fit;
+
+  // 3. Widths
+  const { s_x, s_y, calibration } = pixelScale(params, w, h, DEFAULT_BEAM_PARAMS);
+  progress(1, "Done");
+  return {
+    function: 'd4sigma',
+    width: w,
+    height: h,
+    totalEnergy: moments.energy,
+    radiometry,
+    background,
+    saturation: saturationStats(image, mask),
+    roi: params.roi || null,
+    calibration,
+    ...beamWidths(moments, moments.cx, moments.cy, s_x, s_y),
+    integration: { factor, iterations, converged, area },
+  };
+};
+
+// Pixels of the integration area as fit samples, on a grid coarse enough to
+// stay under MAX_FIT_SAMPLES. Pixels outside the ROI are left out.
+const fitSamples = (gray, w, h, area, mask) => {
+  const x0 = Math.max(0, Math.floor(area.cx - Math.hypot(area.halfU, area.halfV)));
+  const x1 = Math.min(w - 1, Math.ceil(area.cx + Math.hypot(area.halfU, area.halfV)));
+  const y0 = Math.max(0, Math.floor(area.cy - Math.hypot(area.halfU, area.halfV)));
+  const y1 = Math.min(h - 1, Math.ceil(area.cy + Math.hypot(area.halfU, area.halfV)));
+  const cells = (x1 - x0 + 1) * (y1 - y0 + 1);
+  const stride = Math.max(1, Math.ceil(Math.sqrt(cells / MAX_FIT_SAMPLES)));
+
+  const cos = Math.cos(area.rotation);
+  const sin = Math.sin(area.rotation);
+  const xs = [];
+  const ys = [];
+  const zs = [];
+  for (let y = y0; y <= y1; y += stride) {
+    for (let x = x0; x <= x1; x += stride) {
+      const dx = x - area.cx;
+      const dy = y - area.cy;
+      if (Math.abs(dx * cos + dy * sin) > area.halfU || Math.abs(-dx * sin + dy * cos) > area.halfV) continue;
+      if (mask && !mask[y * w + x]) continue;
+      xs.push(x);
+      ys.push(y);
+      zs.push(gray[y * w + x]);
+    }
+  }
+  return { xs: Float64Array.from(xs), ys: Float64Array.from(ys), zs: Float64Array.from(zs), stride };
+};
+
+// 1/e^2 beam width from an elliptical Gaussian fitted to the pixels of the
+// D4-sigma integration area, which also gives the starting point.
+export const analyzeGaussianFit = (image, params = {}, { onProgress } = {}) => {
+  const w = image.width;
+  const h = image.height;
+  const progress = onProgress || (() => {});
+
+  // 1. Gray, background and ROI as for Energy Analysis
+  progress(0, "Converting to gray");
+  const { gray, background, radiometry, mask } = energyImage(image, params);
+
+  // 2. Starting point and fit window from the D4-sigma moments
+  progress(0.2, "Iterating integration area");
+  const start = iterateMoments(gray, w, h, parseFactor(params), parseIterations(params));
+  if (!start) throw zeroEnergyError(params);
+  const { moments, area } = start;
+
+  // 3. Levenberg-Marquardt fit
+  progress(0.4, "Fitting Gaussian");
+  const samples = fitSamples(gray, w, h, area, mask);
+  let peak = 0;
+  for (let i = 0; i < samples.zs.length; i++) peak = Math.max(peak, samples.zs[i]);
+  const fit = fitGaussian2D(samples, {
+    amplitude: peak,
+    offset: 0,
+    cx: moments.cx,
+    cy: moments.cy,
+    covariance: moments,
+  });
+
+  const { s_x, s_y, calibration } = pixelScale(params, w, h, DEFAULT_BEAM_PARAMS);
+  progress(1, "Done");
+  return {
+    function: 'gaussfit',
+    width: w,
+    height: h,
+    totalEnergy: moments.energy,
+    radiometry,
+    background,
+    saturation: saturationStats(image, mask),
+    roi: params.roi || null,
+    calibration,
+    ...beamWidths(fit.covariance, fit.cx, fit.cy, s_x, s_y),
+    fit: {
+      amplitude: fit.amplitude,
+      offset: fit.offset,
+      iterations: fit.iterations,
+      converged: fit.converged,
+      rmsResidual: fit.rms,
+      // RMS residual relative to the peak height
+      normalizedRms: fit.amplitude !== 0 ? fit.rms / Math.abs(fit.amplitude) : null,
+      rSquared: fit.rSquared,
+      samples: samples.zs.length,
+      stride: samples.stride,
+      area,
+    },
+  };
+};
@@ -0,0 +1,69 @@
+// Spatial calibration: the size of one pixel in a length unit.
+//
+//   { name, unit, pixelWidth, pixelHeight }
+//
+// An analysis with a `calibration` in its params reports lengths in `unit`
+// and areas in `unit`^2. Without one, Energy Analysis and the beam / grid
+// functions fall back to `hx` / `hy` as the size of the whole frame, in an
+// unnamed "actual unit".
+
+export const LENGTH_UNITS = ['nm', 'µm', 'mm', 'cm', 'm', 'in'];
+
+// Spellings accepted for the units, e.g. from the command line
+const UNIT_ALIASES = { um: 'µm', micron: 'µm', microns: 'µm', 'μm': 'µm' };
+
+export const normalizeUnit = (unit) => {
+  const u = String(unit ?? '').trim();
+  return UNIT_ALIASES[u.toLowerCase()] || u;
+};
+
+// Checked copy of a calibration, or null for none. Throws on a pixel size
+// that is not a positive number.
+export const normalizeCalibration = (cal) => {
+  if (!cal) return null;
+  const pixelWidth = parseFloat(cal.pixelWidth);
+  const pixelHeight = cal.pixelHeight === undefined || cal.pixelHeight === '' ? pixelWidth : parseFloat(cal.pixelHeight);
+  if (!(pixelWidth > 0) || !(pixelHeight > 0)) {
+    throw new Error(`Calibration "${cal.name || 'unnamed'}" needs a positive pixel size.`);
+  }
+  return {
+    name: cal.name ? String(cal.name) : null,
+    unit: normalizeUnit(cal.unit) || 'µm',
+    pixelWidth,
+    pixelHeight,
+  };
+};
+
+// Pixel pitch (s_x, s_y) of an image of w x h px and the calibration it came
+// from, for the result. Uses params.calibration if set, else the hx / hy
+// frame size (defaulting to `fallback`).
+export const pixelScale = (params, w, h, fallback = { hx: 1.0, hy: 1.0 }) => {
+  const cal = normalizeCalibration(params.calibration);
+  if (cal) return { s_x: cal.pixelWidth, s_y: cal.pixelHeight, calibration: cal };
+  const s_x = (parseFloat(params.hx) || fallback.hx) / w;
+  const s_y = (parseFloat(params.hy) || fallback.hy) / h;
+  return { s_x, s_y, calibration: { name: null, unit: null, pixelWidth: s_x, pixelHeight: s_y } };
+};
+
+// Unit label of a result for reports; "Actual Unit" without a named unit
+export const unitLabel = (result) => result.calibration?.unit || 'Actual Unit';
+
+// Length in px of a measuring line [x1, y1, x2, y2]
+export const lineLength = ([x1, y1, x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+// Square pixel size from a line of `knownLength` units drawn on a reference
+// image
+export const pixelSizeFromLine = (line, knownLength) => {
+  const px = lineLength(line);
+  const known = parseFloat(knownLength);
+  if (!(px > 0) || !(known > 0)) return null;
+  return known / px;
+};
+
+// "0.5 µm/px", or "0.5 x 0.6 µm/px" for non-square pixels
+export const formatCalibration = (cal) => {
+  const size = cal.pixelWidth === cal.pixelHeight
+    ? `${Number(cal.pixelWidth.toPrecision(6))}`
+    : `${Number(cal.pixelWidth.toPrecision(6))} x ${Number(cal.pixelHeight.toPrecision(6))}`;
+  return `${size} ${cal.unit}/px${cal.name ? ` (${cal.name})` : ''}`;
+};
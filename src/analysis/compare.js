@@ -0,0 +1,397 @@
+import { toLuminance } from './raster.js';
+import { roiMask } from './roi.js';
+import { unitLabel } from './calibration.js';
+import { fft2d, nextPow2 } from './fft.js';
+import { toCsv } from './report.js';
+
+// Comparison of two images of the same scene, e.g. a spot before and after
+// an alignment change: the sample is registered onto the reference, a
+// difference or ratio map is taken pixel by pixel, and the results of one
+// analysis function on both are set side by side.
+//
+// Shifts are (dx, dy) in px from the reference to the sample, so a feature
+// at (x, y) in the reference sits at (x + dx, y + dy) in the sample.
+
+export const REGISTRATION_METHODS = ['none', 'centroid', 'correlation'];
+export const COMPARE_MAPS = ['difference', 'ratio'];
+
+export const DEFAULT_COMPARE_PARAMS = {
+  registration: 'none', // see REGISTRATION_METHODS
+  map: 'difference', // see COMPARE_MAPS
+  reference: null, // image the analysed image is compared with
+  roi: null, // see roi.js; null compares the full frame
+};
+
+// The ratio map leaves out pixels where the reference is below this share
+// of its peak, where the ratio is mostly noise
+const RATIO_FLOOR = 0.01;
+
+// Centroid of the luminance above its mean inside `mask`, or null if
+// nothing is above it
+const brightCentroid = (gray, w, mask) => {
+  let sum = 0;
+  let n = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (mask && !mask[i]) continue;
+    sum += gray[i];
+    n++;
+  }
+  const mean = n > 0 ? sum / n : 0;
+  let E = 0;
+  let sx = 0;
+  let sy = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (mask && !mask[i]) continue;
+    const v = gray[i] - mean;
+    if (v <= 0) continue;
+    E += v;
+    sx += v * (i % w);
+    sy += v * Math.floor(i / w);
+  }
+  return E > 0 ? { x: sx / E, y: sy / E } : null;
+};
+
+// Shift between the bright-feature centroids of both images
+const centroidShift = (ref, sample, w, mask) => {
+  const a = brightCentroid(ref, w, mask);
+  const b = brightCentroid(sample, w, mask);
+  if (!a || !b) throw new Error("Centroid registration needs an image with a bright feature.");
+  return { dx: b.x - a.x, dy: b.y - a.y };
+};
+
+// Zero-mean copy of `gray` (0 outside `mask`) padded to W x H, as the real
+// part of a transform
+const padded = (gray, w, h, W, H, mask) => {
+  let sum = 0;
+  let n = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (mask && !mask[i]) continue;
+    sum += gray[i];
+    n++;
+  }
+  const mean = n > 0 ? sum / n : 0;
+  const re = new Float64Array(W * H);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (mask && !mask[i]) continue;
+      re[y * W + x] = gray[i] - mean;
+    }
+  }
+  return re;
+};
+
+// Vertex offset (-0.5 .. 0.5) of the parabola through three samples around
+// a maximum; through their logarithms when all are positive, which is exact
+// for a Gaussian peak
+const peakOffset = (l, c, r) => {
+  const [pl, pc, pr] = l > 0 && c > 0 && r > 0 ? [Math.log(l), Math.log(c), Math.log(r)] : [l, c, r];
+  const denom = pl - 2 * pc + pr;
+  return denom < 0 ? Math.max(-0.5, Math.min(0.5, (pl - pr) / (2 * denom))) : 0;
+};
+
+// Cross-correlation through the Fourier transform: the shift at its peak,
+// refined to sub-pixel on each axis. `peak` is the correlation coefficient
+// there (1 for a pure shift).
+const correlationShift = (ref, sample, w, h, mask) => {
+  const W = nextPow2(w);
+  const H = nextPow2(h);
+  const aRe = padded(ref, w, h, W, H, mask);
+  const aIm = new Float64Array(W * H);
+  const bRe = padded(sample, w, h, W, H, mask);
+  const bIm = new Float64Array(W * H);
+  let aSq = 0;
+  let bSq = 0;
+  for (let i = 0; i < aRe.length; i++) {
+    aSq += aRe[i] * aRe[i];
+    bSq += bRe[i] * bRe[i];
+  }
+  if (!(aSq > 0 && bSq > 0)) throw new Error("Cross-correlation needs images that are not flat.");
+  fft2d(aRe, aIm, W, H);
+  fft2d(bRe, bIm, W, H);
+
+  // B * conj(A), into a
+  for (let i = 0; i < aRe.length; i++) {
+    const re = bRe[i] * aRe[i] + bIm[i] * aIm[i];
+    const im = bIm[i] * aRe[i] - bRe[i] * aIm[i];
+    aRe[i] = re;
+    aIm[i] = im;
+  }
+  fft2d(aRe, aIm, W, H, true);
+
+  let best = 0;
+  for (let i = 1; i < aRe.length; i++) {
+    if (aRe[i] > aRe[best]) best = i;
+  }
+  const px = best % W;
+  const py = Math.floor(best / W);
+  const at = (x, y) => aRe[((y + H) % H) * W + ((x + W) % W)];
+  const fx = peakOffset(at(px - 1, py), at(px, py), at(px + 1, py));
+  const fy = peakOffset(at(px, py - 1), at(px, py), at(px, py + 1));
+  // Shifts past half the padded size wrap around to negative ones
+  const dx = (px > W / 2 ? px - W : px) + fx;
+  const dy = (py > H / 2 ? py - H : py) + fy;
+  return { dx, dy, peak: aRe[best] / Math.sqrt(aSq * bSq) };
+};
+
+// Bilinear sample of `gray` at (x, y); NaN outside the image
+const sampleAt = (gray, w, h, x, y) => {
+  if (x < 0 || y < 0 || x > w - 1 || y > h - 1) return NaN;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, w - 1);
+  const y1 = Math.min(y0 + 1, h - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const top = gray[y0 * w + x0] * (1 - fx) + gray[y0 * w + x1] * fx;
+  const bottom = gray[y1 * w + x0] * (1 - fx) + gray[y1 * w + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+};
+
+// { pixels, mean, std, min, max, rmsDeviation } over the finite values of
+// `map`; `rmsDeviation` is measured from `neutral`, the value of an
+// unchanged pixel
+const mapStats = (map, neutral) => {
+  let n = 0;
+  let sum = 0;
+  let sq = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of map) {
+    if (!Number.isFinite(v)) continue;
+    n++;
+    sum += v;
+    sq += (v - neutral) * (v - neutral);
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (n === 0) return { pixels: 0, mean: null, std: null, min: null, max: null, rmsDeviation: null };
+  const mean = sum / n;
+  let dev = 0;
+  for (const v of map) {
+    if (Number.isFinite(v)) dev += (v - mean) * (v - mean);
+  }
+  return {
+    pixels: n,
+    mean,
+    std: n > 1 ? Math.sqrt(dev / (n - 1)) : 0,
+    min,
+    max,
+    rmsDeviation: Math.sqrt(sq / n),
+  };
+};
+
+// Compares `image` (the sample) with `params.reference`, an image of the
+// same size: registers the sample onto the reference with
+// `params.registration` and maps the luminance difference (sample minus
+// reference) or ratio (sample over reference) per reference pixel, NaN where
+// the shifted sample does not reach, outside the `roi` and, for the ratio,
+// where the reference is below RATIO_FLOOR of its peak. Registration only
+// looks inside the ROI. `onProgress(fraction, stage)` is called between the
+// steps.
+export const compareImages = (image, params = {}, { onProgress } = {}) => {
+  const progress = onProgress || (() => {});
+  const reference = params.reference;
+  if (!reference) throw new Error("No reference image to compare with.");
+  const w = image.width;
+  const h = image.height;
+  if (reference.width !== w || reference.height !== h) {
+    throw new Error(`The images differ in size (${reference.width}x${reference.height} and ${w}x${h}).`);
+  }
+  const method = REGISTRATION_METHODS.includes(params.registration) ? params.registration : DEFAULT_COMPARE_PARAMS.registration;
+  const mode = COMPARE_MAPS.includes(params.map) ? params.map : DEFAULT_COMPARE_PARAMS.map;
+
+  // 1. Luminance of both
+  progress(0, "Converting to gray");
+  const ref = toLuminance(reference);
+  const sample = toLuminance(image);
+  const mask = params.roi ? roiMask(params.roi, w, h) : null;
+
+  // 2. Registration
+  progress(0.2, "Registering");
+  let registration = { method, dx: 0, dy: 0 };
+  if (method === 'centroid') registration = { method, ...centroidShift(ref, sample, w, mask) };
+  if (method === 'correlation') registration = { method, ...correlationShift(ref, sample, w, h, mask) };
+
+  // 3. Map over the reference grid
+  progress(0.8, "Mapping");
+  let refPeak = 0;
+  for (let i = 0; i < ref.length; i++) {
+    if (ref[i] > refPeak) refPeak = ref[i];
+  }
+  const floor = RATIO_FLOOR * refPeak;
+  const map = new Float32Array(w * h);
+  for (let y = 0, i = 0; y < h; y++) {
+    for (let x = 0; x < w; x++, i++) {
+      const s = mask && !mask[i] ? NaN : sampleAt(sample, w, h, x + registration.dx, y + registration.dy);
+      if (mode === 'ratio') map[i] = ref[i] > floor ? s / ref[i] : NaN;
+      else map[i] = s - ref[i];
+    }
+  }
+
+  progress(1, "Done");
+  return {
+    function: 'compare',
+    width: w,
+    height: h,
+    roi: params.roi || null,
+    registration,
+    mode,
+    map,
+    stats: mapStats(map, mode === 'ratio' ? 1 : 0),
+  };
+};
+
+// Colours of the diverging map: blue below, red above no change
+const NEGATIVE = [37, 99, 235];
+const POSITIVE = [220, 38, 38];
+const NO_DATA = 64;
+
+// RGBA rendering of a compareImages() result: white where nothing changed,
+// shading to blue / red at `limit`, dark grey where there is no value.
+// Ratios are shaded on a log2 scale. `limit` defaults to the largest change
+// in the map. -> { width, height, data, limit }
+export const comparisonImage = (comparison, limit = null) => {
+  const { width, height, map, mode } = comparison;
+  const level = (v) => (mode === 'ratio' ? Math.log2(v) : v);
+  let scale = limit;
+  if (!(scale > 0)) {
+    scale = 0;
+    for (const v of map) {
+      const l = Math.abs(level(v));
+      if (Number.isFinite(l) && l > scale) scale = l;
+    }
+  }
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < map.length; i++) {
+    const l = level(map[i]);
+    const o = i * 4;
+    data[o + 3] = 255;
+    if (!Number.isFinite(l)) {
+      data[o] = data[o + 1] = data[o + 2] = NO_DATA;
+      continue;
+    }
+    const t = scale > 0 ? Math.min(1, Math.abs(l) / scale) : 0;
+    const target = l < 0 ? NEGATIVE : POSITIVE;
+    for (let c = 0; c < 3; c++) data[o + c] = 255 + (target[c] - 255) * t;
+  }
+  return { width, height, data, limit: mode === 'ratio' ? Math.pow(2, scale) : scale };
+};
+
+// Metrics set side by side, per function: [key, label, unit, value(result)].
+// A `length` unit is the result's length unit (see unitLabel).
+const METRICS = {
+  d86: [
+    ['majorAxis', 'Major Axis', 'length', r => r.majorAxis],
+    ['minorAxis', 'Minor Axis', 'length', r => r.minorAxis],
+    ['equivDiameter', 'Equiv. Diameter', 'length', r => r.equivDiameter],
+    ['angleDeg', 'Angle', 'deg', r => r.angleDeg],
+    ['gamma', 'Gamma', '', r => r.gamma],
+    ['centroidX', 'Centroid X', 'px', r => r.centroid.x],
+    ['centroidY', 'Centroid Y', 'px', r => r.centroid.y],
+  ],
+  beam: [
+    ['dx', 'Dx', 'length', r => r.dx],
+    ['dy', 'Dy', 'length', r => r.dy],
+    ['majorAxis', 'Major Axis', 'length', r => r.majorAxis],
+    ['minorAxis', 'Minor Axis', 'length', r => r.minorAxis],
+    ['angleDeg', 'Angle', 'deg', r => r.angleDeg],
+    ['ellipticity', 'Ellipticity', '', r => r.ellipticity],
+    ['centroidX', 'Centroid X', 'px', r => r.centroid.x],
+    ['centroidY', 'Centroid Y', 'px', r => r.centroid.y],
+  ],
+  count: [
+    ['count', 'Count', '', r => r.count],
+    ['meanArea', 'Mean Area', 'px²', r => r.summary.area.mean],
+    ['meanEquivDiameter', 'Mean Equiv. Diameter', 'px', r => r.summary.equivDiameter.mean],
+    ['meanCircularity', 'Mean Circularity', '', r => r.summary.circularity.mean],
+  ],
+  grid: [
+    ['count', 'Count', '', r => r.count],
+    ['pitchX', 'Pitch X', 'px', r => r.grid.pitchX],
+    ['pitchY', 'Pitch Y', 'px', r => r.grid.pitchY],
+    ['gridRotation', 'Rotation', 'deg', r => r.grid.rotationDeg],
+    ['rmsDistortion', 'RMS Distortion', 'px', r => r.grid.rmsDistortion],
+    ['missingDots', 'Missing Dots', '', r => r.grid.missing.length],
+  ],
+  multispot: [
+    ['count', 'Spots', '', r => r.count],
+    ['meanMajorAxis', 'Mean Major Axis', 'length', r => r.uniformity.majorAxis.mean],
+    ['meanMinorAxis', 'Mean Minor Axis', 'length', r => r.uniformity.minorAxis.mean],
+    ['meanGamma', 'Mean Gamma', '', r => r.uniformity.gamma.mean],
+    ['energyCv', 'Energy CV', '', r => r.uniformity.energy.cv],
+  ],
+};
+METRICS.d4sigma = METRICS.beam;
+METRICS.gaussfit = METRICS.beam;
+
+export const COMPARISON_COLUMNS = ['metric', 'label', 'unit', 'reference', 'sample', 'delta', 'relative'];
+
+// Metric deltas between two results of the same function: one row per
+// metric, { metric, label, unit, reference, sample, delta, relative } with
+// `delta` = sample - reference (angles wrapped to ±90°) and `relative` =
+// delta / |reference| (null without a reference value). Results with a single centroid also get the
+// distance between both centroids as `centroidShift`, in px.
+export const compareResults = (reference, sample) => {
+  if (reference.function !== sample.function) {
+    throw new Error(`Cannot compare a ${reference.function} result with a ${sample.function} result.`);
+  }
+  const unit = unitLabel(reference);
+  const rows = (METRICS[reference.function] || []).map(([metric, label, metricUnit, value]) => {
+    const a = value(reference) ?? null;
+    const b = value(sample) ?? null;
+    let delta = a !== null && b !== null ? b - a : null;
+    // Axis angles repeat every 180°, so take the smaller turn
+    if (delta !== null && metricUnit === 'deg') delta -= 180 * Math.round(delta / 180);
+    return {
+      metric,
+      label,
+      unit: metricUnit === 'length' ? unit : metricUnit,
+      reference: a,
+      sample: b,
+      delta,
+      relative: delta !== null && a ? delta / Math.abs(a) : null,
+    };
+  });
+  if (reference.centroid && sample.centroid) {
+    rows.push({
+      metric: 'centroidShift',
+      label: 'Centroid Shift',
+      unit: 'px',
+      reference: null,
+      sample: null,
+      delta: Math.hypot(sample.centroid.x - reference.centroid.x, sample.centroid.y - reference.centroid.y),
+      relative: null,
+    });
+  }
+  return rows;
+};
+
+const REGISTRATION_LABELS = {
+  none: 'None',
+  centroid: 'Centroid',
+  correlation: 'Cross-correlation',
+};
+
+// Text summary of a comparison: the registration, the map statistics of a
+// compareImages() result and the compareResults() rows
+export const formatComparison = (comparison, rows) => {
+  const fmt = (v) => (v === null ? 'n/a' : Number(v.toPrecision(6)).toString());
+  const { registration, stats } = comparison;
+  let str = `Registration: ${REGISTRATION_LABELS[registration.method]}`;
+  if (registration.method !== 'none') {
+    str += `, shift ${registration.dx.toFixed(2)}, ${registration.dy.toFixed(2)} px`;
+    if (registration.peak !== undefined) str += ` (correlation peak ${registration.peak.toFixed(3)})`;
+  }
+  const what = comparison.mode === 'ratio' ? 'Ratio (sample / reference)' : 'Difference (sample - reference)';
+  str += `\n${what}: mean ${fmt(stats.mean)}, std ${fmt(stats.std)}, min ${fmt(stats.min)}, max ${fmt(stats.max)}, RMS change ${fmt(stats.rmsDeviation)} over ${stats.pixels} px`;
+  for (const row of rows) {
+    const unit = row.unit ? ` (${row.unit})` : '';
+    const rel = row.relative !== null ? ` (${row.relative >= 0 ? '+' : ''}${(row.relative * 100).toFixed(2)}%)` : '';
+    const values = row.reference !== null ? `${fmt(row.reference)} -> ${fmt(row.sample)}, ` : '';
+    str += `\n${row.label}${unit}: ${values}delta ${fmt(row.delta)}${rel}`;
+  }
+  return str;
+};
+
+export const comparisonCsv = (rows) => toCsv(rows, COMPARISON_COLUMNS);
@@ -0,0 +1,104 @@
+import { calibrateObjects, summarizeObjects } from './objects.js';
+import { spatialStats, withNeighbourDistances } from './spatial.js';
+
+// Manual corrections of a Count Points result: dots the user added where the
+// detection missed one, and detected objects the user deleted. The automatic
+// result stays as it is; applyCorrections() derives the final one from it.
+//
+// corrections: { added: [{ x, y }], removed: [id] }
+// `added` are click positions in full-image px, `removed` are object IDs of
+// the automatic result.
+
+export const NO_CORRECTIONS = { added: [], removed: [] };
+
+export const hasCorrections = (corrections) => Boolean(corrections) &&
+  (corrections.added.length > 0 || corrections.removed.length > 0);
+
+// A manually added dot. Only its position is known (the box is the point),
+// so the measurements are empty and it does not enter the summary statistics.
+// The click is in continuous image space, with pixel centres at +0.5; the
+// dot takes the centroid convention of the detected ones (centres at whole
+// numbers) so that distances between the two kinds come out right.
+const manualObject = (id, { x, y }) => ({
+  id,
+  source: 'manual',
+  cx: x - 0.5,
+  cy: y - 0.5,
+  x: x - 0.5,
+  y: y - 0.5,
+  width: null,
+  height: null,
+  area: null,
+  equivDiameter: null,
+  perimeter: null,
+  circularity: null,
+  meanIntensity: null,
+  integratedIntensity: null,
+  nnDistance: null,
+});
+
+// The count result `result` with `corrections` applied. Kept objects keep
+// their IDs and are marked `source: 'auto'`; added dots are numbered on from
+// the highest automatic ID. `corrections` in the returned result records
+// the automatic count, the number of additions and deletions and the deleted
+// objects. Nearest-neighbour distances and the spatial statistics are
+// recomputed over the final objects, and calibrated if `result` is. Without corrections `result` is
+// returned unchanged.
+export const applyCorrections = (result, corrections) => {
+  if (!hasCorrections(corrections)) return result;
+  const removed = new Set(corrections.removed);
+  const kept = result.objects
+    .filter(obj => !removed.has(obj.id))
+    .map(obj => ({ ...obj, source: 'auto' }));
+  const removedObjects = result.objects.filter(obj => removed.has(obj.id));
+  const nextId = result.objects.reduce((max, obj) => Math.max(max, obj.id), 0) + 1;
+  const added = corrections.added.map((point, k) => manualObject(nextId + k, point));
+  let objects = withNeighbourDistances([...kept, ...added]);
+  if (result.calibration) objects = calibrateObjects(objects, result.calibration);
+  return {
+    ...result,
+    count: objects.length,
+    objects,
+    summary: summarizeObjects(objects, Object.keys(result.summary)),
+    spatial: spatialStats({ ...result, objects }),
+    corrections: {
+      autoCount: result.count,
+      added: added.length,
+      removed: removedObjects.length,
+      removedObjects,
+    },
+  };
+};
+
+const distance = (obj, x, y) => Math.hypot(obj.cx - x, obj.cy - y);
+
+// Nearest of `objects` whose bounding box, grown by `radius`, holds (x, y)
+const objectAt = (objects, x, y, radius) => {
+  let best = null;
+  for (const obj of objects) {
+    const inside = x >= obj.x - radius && x <= obj.x + obj.width + radius &&
+      y >= obj.y - radius && y <= obj.y + obj.height + radius;
+    if (inside && (!best || distance(obj, x, y) < distance(best, x, y))) best = obj;
+  }
+  return best;
+};
+
+// The corrections after a click at image point (x, y) on the automatic
+// `result`: a click within `radius` px of an added dot takes it back, one on
+// a detected object deletes it (or restores it if it was deleted already),
+// and anywhere else adds a dot.
+export const toggleCorrection = (result, corrections, x, y, radius) => {
+  const current = corrections ?? NO_CORRECTIONS;
+  const added = current.added.findIndex(p => Math.hypot(p.x - x, p.y - y) <= radius);
+  if (added >= 0) {
+    return { ...current, added: current.added.filter((p, k) => k !== added) };
+  }
+  const hit = objectAt(result.objects, x, y, radius);
+  if (hit) {
+    const removed = current.removed.includes(hit.id)
+      ? current.removed.filter(id => id !== hit.id)
+      : [...current.removed, hit.id];
+    return { ...current, removed };
+  }
+  return { ...current, added: [...current.added, { x, y }] };
+};
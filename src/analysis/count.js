@@ -0,0 +1,363 @@
+import { roiMask } from './roi.js';
+import { dataRange, imageChannels, imageMaxValue, is8Bit, saturationStats, toLuminance } from './raster.js';
+import { histogramLevel, histogramLevel8, THRESHOLD_BINS } from './threshold.js';
+import { calibrateObjects, CALIBRATED_COLUMNS, measureObjects, summarizeObjects, SUMMARY_COLUMNS } from './objects.js';
+import { spatialStats, withNeighbourDistances } from './spatial.js';
+import { separateObjects } from './separate.js';
+import { fitSpots, FIT_COLUMNS } from './spotfit.js';
+import { normalizeCalibration } from './calibration.js';
+
+export const DEFAULT_COUNT_PARAMS = {
+  minArea: 5,
+  blur: 0, // 0 means none
+  thresholdType: 'otsu', // see THRESHOLD_TYPES
+  thresholdValue: 127,
+  blockSize: 11, // adaptive neighbourhood in px, odd
+  adaptiveC: 2, // adaptive offset below the local mean, 0-255 scale
+  invert: false,
+  morphology: 'none', // 'none', 'open' or 'close'
+  morphKernel: 3, // px, odd
+  morphShape: 'ellipse', // 'ellipse', 'rect' or 'cross'
+  separate: false, // split touching dots by distance-transform watershed
+  minSeparation: 3, // px between the centres of split dots
+  prominence: 1, // px a distance peak must rise above the saddle to its neighbour
+  subpixel: false, // refine every dot with a 2D Gaussian fit
+  roi: null, // see roi.js; null counts the full frame
+  calibration: null, // see calibration.js; adds sizes in its unit
+};
+
+export const THRESHOLD_TYPES = ['otsu', 'binary', 'custom', 'triangle', 'yen', 'li', 'adaptiveMean', 'adaptiveGaussian'];
+export const MORPHOLOGY_OPS = ['none', 'open', 'close'];
+
+const MORPH_SHAPES = { ellipse: 'MORPH_ELLIPSE', rect: 'MORPH_RECT', cross: 'MORPH_CROSS' };
+
+// Fit columns that get summary statistics
+const FIT_SUMMARY_COLUMNS = FIT_COLUMNS.filter(col => col !== 'fitX' && col !== 'fitY' && col !== 'fitOk');
+
+const isAdaptive = (type) => type === 'adaptiveMean' || type === 'adaptiveGaussian';
+
+// Sensor full scale; the 0-255 threshold parameters are stretched to it
+const fullScaleOf = (image) => imageMaxValue(image) ?? dataRange(image).max;
+
+// Otsu level computed from the gray values inside `mask` only
+const otsuInMask = (cv, gray, mask) => {
+  const values = [];
+  const data = gray.data;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) values.push(data[i]);
+  }
+  if (values.length === 0) throw new Error("The ROI does not contain any pixels.");
+
+  const samples = cv.matFromArray(1, values.length, cv.CV_8UC1, values);
+  const scratch = new cv.Mat();
+  try {
+    return cv.threshold(samples, scratch, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+  } finally {
+    samples.delete(); scratch.delete();
+  }
+};
+
+// Gray Mat for `image`. 8-bit images go through OpenCV's own colour
+// conversion; anything deeper becomes a CV_32FC1 Mat of luminance in sensor
+// units so no precision is lost.
+const grayMat = (cv, image) => {
+  const { width, height, data } = image;
+  const channels = imageChannels(image);
+
+  if (!is8Bit(image)) {
+    return cv.matFromArray(height, width, cv.CV_32FC1, Float32Array.from(toLuminance(image)));
+  }
+  if (channels === 1) return cv.matFromArray(height, width, cv.CV_8UC1, data);
+
+  const src = channels === 4
+    ? cv.matFromImageData(image)
+    : cv.matFromArray(height, width, cv.CV_8UC3, data);
+  const gray = new cv.Mat();
+  try {
+    cv.cvtColor(src, gray, channels === 4 ? cv.COLOR_RGBA2GRAY : cv.COLOR_RGB2GRAY, 0);
+  } finally {
+    src.delete();
+  }
+  return gray;
+};
+
+// Threshold for a CV_32FC1 gray Mat, written to `bw` as CV_8UC1 0 / 255.
+// The fixed and custom levels are given on the 0-255 scale and stretched to
+// the sensor's full range; the returned level is in sensor units.
+const deepThreshold = (cv, image, gray, bw, thresholdType, params, mask) => {
+  let level;
+  if (THRESHOLD_BINS[thresholdType]) {
+    level = histogramLevel(thresholdType, gray.data32F, mask);
+  } else {
+    const t = thresholdType === 'binary'
+      ? 127
+      : parseInt(params.thresholdValue) || DEFAULT_COUNT_PARAMS.thresholdValue;
+    level = (t / 255) * fullScaleOf(image);
+  }
+
+  const bwFloat = new cv.Mat();
+  try {
+    cv.threshold(gray, bwFloat, level, 255, cv.THRESH_BINARY);
+    bwFloat.convertTo(bw, cv.CV_8U);
+  } finally {
+    bwFloat.delete();
+  }
+  return level;
+};
+
+// Local threshold: a pixel is foreground where it exceeds the mean (box or
+// Gaussian weighted) of its blockSize x blockSize neighbourhood minus C.
+// Returns the settings used, there is no single level.
+const adaptiveThreshold = (cv, image, gray, bw, thresholdType, params) => {
+  const gaussian = thresholdType === 'adaptiveGaussian';
+  let blockSize = Math.max(3, parseInt(params.blockSize) || DEFAULT_COUNT_PARAMS.blockSize);
+  if (blockSize % 2 === 0) blockSize += 1;
+  const C = parseFloat(params.adaptiveC ?? DEFAULT_COUNT_PARAMS.adaptiveC) || 0;
+
+  if (gray.type() !== cv.CV_32FC1) {
+    const method = gaussian ? cv.ADAPTIVE_THRESH_GAUSSIAN_C : cv.ADAPTIVE_THRESH_MEAN_C;
+    cv.adaptiveThreshold(gray, bw, 255, method, cv.THRESH_BINARY, blockSize, C);
+    return { blockSize, C };
+  }
+
+  // Same rule in sensor units
+  const local = new cv.Mat();
+  const diff = new cv.Mat();
+  const bwFloat = new cv.Mat();
+  try {
+    const ksize = new cv.Size(blockSize, blockSize);
+    if (gaussian) {
+      cv.GaussianBlur(gray, local, ksize, 0, 0, cv.BORDER_REPLICATE);
+    } else {
+      cv.blur(gray, local, ksize, new cv.Point(-1, -1), cv.BORDER_REPLICATE);
+    }
+    cv.subtract(gray, local, diff);
+    cv.threshold(diff, bwFloat, (-C / 255) * fullScaleOf(image), 255, cv.THRESH_BINARY);
+    bwFloat.convertTo(bw, cv.CV_8U);
+  } finally {
+    local.delete(); diff.delete(); bwFloat.delete();
+  }
+  return { blockSize, C };
+};
+
+// Morphological opening (removes specks) or closing (fills pinholes and
+// gaps) of the binary mask, in place. Returns the settings used or null.
+const applyMorphology = (cv, bw, params) => {
+  const op = params.morphology || DEFAULT_COUNT_PARAMS.morphology;
+  if (op === 'none') return null;
+  let kernelSize = parseInt(params.morphKernel) || DEFAULT_COUNT_PARAMS.morphKernel;
+  if (kernelSize % 2 === 0) kernelSize += 1;
+  const shape = MORPH_SHAPES[params.morphShape] ? params.morphShape : DEFAULT_COUNT_PARAMS.morphShape;
+
+  const kernel = cv.getStructuringElement(cv[MORPH_SHAPES[shape]], new cv.Size(kernelSize, kernelSize));
+  try {
+    cv.morphologyEx(bw, bw, op === 'open' ? cv.MORPH_OPEN : cv.MORPH_CLOSE, kernel);
+  } finally {
+    kernel.delete();
+  }
+  return { op, kernelSize, shape };
+};
+
+// Steps 1-3 of the pipeline, shared with the mask preview: gray, blur,
+// threshold, invert, morphology and ROI. Writes the CV_8UC1 0 / 255 mask to
+// `bw` and returns how it was thresholded.
+const binarize = (cv, image, params, bw, progress) => {
+  let gray = null;
+  try {
+    // 1. Gray
+    progress(0, "Converting to gray");
+    gray = grayMat(cv, image);
+
+    // 2. Blur
+    progress(0.2, "Blurring");
+    const blurVal = parseFloat(params.blur);
+    if (blurVal > 0) {
+      let k = Math.floor(blurVal);
+      if (k % 2 === 0) k += 1;
+      const ksize = new cv.Size(k, k);
+      cv.GaussianBlur(gray, gray, ksize, 0, 0, cv.BORDER_DEFAULT);
+    }
+
+    // 3. Threshold
+    progress(0.4, "Thresholding");
+    const mask = params.roi ? roiMask(params.roi, image.width, image.height) : null;
+    // Anything unrecognised is a custom level, as before the named methods
+    let thresholdType = params.thresholdType || DEFAULT_COUNT_PARAMS.thresholdType;
+    if (!THRESHOLD_TYPES.includes(thresholdType)) thresholdType = 'custom';
+    let threshold = null;
+    let adaptive = null;
+    if (isAdaptive(thresholdType)) {
+      adaptive = adaptiveThreshold(cv, image, gray, bw, thresholdType, params);
+    } else if (gray.type() === cv.CV_32FC1) {
+      threshold = deepThreshold(cv, image, gray, bw, thresholdType, params, mask);
+    } else if (thresholdType === 'otsu' && mask) {
+      // Otsu only sees the ROI pixels, then the level is applied to the frame
+      threshold = otsuInMask(cv, gray, mask);
+      cv.threshold(gray, bw, threshold, 255, cv.THRESH_BINARY);
+    } else if (thresholdType === 'otsu') {
+      threshold = cv.threshold(gray, bw, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+    } else if (thresholdType === 'binary') {
+      threshold = cv.threshold(gray, bw, 127, 255, cv.THRESH_BINARY);
+    } else if (thresholdType === 'custom') {
+      const t = parseInt(params.thresholdValue) || DEFAULT_COUNT_PARAMS.thresholdValue;
+      threshold = cv.threshold(gray, bw, t, 255, cv.THRESH_BINARY);
+    } else {
+      // Triangle / Yen / Li, from the ROI histogram when there is one
+      threshold = histogramLevel8(thresholdType, gray.data, mask);
+      cv.threshold(gray, bw, threshold, 255, cv.THRESH_BINARY);
+    }
+
+    if (params.invert) {
+      cv.bitwise_not(bw, bw);
+    }
+
+    const morphology = applyMorphology(cv, bw, params);
+
+    if (mask) {
+      const bwData = bw.data;
+      for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) bwData[i] = 0;
+      }
+    }
+
+    return { thresholdType, threshold, adaptive, morphology, mask };
+  } finally {
+    if (gray) gray.delete();
+  }
+};
+
+// Binary mask that countPoints would label, for previewing the threshold and
+// morphology settings. `mask` is a Uint8Array with 255 for foreground.
+export const countMask = (cv, image, params = {}, { onProgress } = {}) => {
+  const progress = onProgress || (() => {});
+  const bw = new cv.Mat();
+  try {
+    const { thresholdType, threshold, adaptive, morphology } = binarize(cv, image, params, bw, progress);
+    progress(1, "Done");
+    return {
+      function: 'mask',
+      width: image.width,
+      height: image.height,
+      thresholdType,
+      threshold,
+      adaptive,
+      morphology,
+      roi: params.roi || null,
+      mask: bw.data.slice(),
+    };
+  } finally {
+    bw.delete();
+  }
+};
+
+// --- Counting Logic (Ported from counting.py) ---
+//
+// `cv` is an initialised OpenCV.js module: `window.cv` in the browser, or
+// `@techstark/opencv-js` under Node. Returns one measured entry per component
+// that passes the min area filter, in label order (see objects.js), plus a
+// summary of the measurements and the spatial statistics (see spatial.js).
+// With an `roi`, everything outside it is treated as background; boxes stay
+// in full-frame coordinates. `onProgress(fraction, stage)` is called between
+// the pipeline steps. Images deeper than 8 bits are thresholded in full
+// precision. With a `calibration` the sizes are also given in its unit
+// (CALIBRATED_COLUMNS).
+export const countPoints = (cv, image, params = {}, { onProgress } = {}) => {
+  const progress = onProgress || (() => {});
+  const bw = new cv.Mat();
+  const labels = new cv.Mat();
+  const stats = new cv.Mat();
+  const centroids = new cv.Mat();
+
+  try {
+    // 1-3. Gray, blur, threshold and clean-up
+    const { thresholdType, threshold, adaptive, morphology, mask } = binarize(cv, image, params, bw, progress);
+
+    // 3b. Separate touching dots
+    let separation = null;
+    if (params.separate) {
+      progress(0.5, "Separating touching dots");
+      const minSeparation = parseFloat(params.minSeparation ?? DEFAULT_COUNT_PARAMS.minSeparation) || 0;
+      const prominence = parseFloat(params.prominence ?? DEFAULT_COUNT_PARAMS.prominence) || 0;
+      separation = { minSeparation, prominence, ...separateObjects(cv, bw, { minSeparation, prominence }) };
+    }
+
+    // 4. Connected Components
+    progress(0.6, "Labelling components");
+    const connectivity = 8;
+    const numLabels = cv.connectedComponentsWithStats(bw, labels, stats, centroids, connectivity, cv.CV_32S);
+
+    // 5. Filter and Count
+    progress(0.8, "Filtering");
+    const minAreaVal = parseInt(params.minArea) || DEFAULT_COUNT_PARAMS.minArea;
+    const candidates = [];
+
+    for (let i = 1; i < numLabels; i++) { // 0 is background
+      const area = stats.intAt(i, cv.CC_STAT_AREA);
+      if (area >= minAreaVal) {
+        candidates.push({
+          label: i,
+          x: stats.intAt(i, cv.CC_STAT_LEFT),
+          y: stats.intAt(i, cv.CC_STAT_TOP),
+          width: stats.intAt(i, cv.CC_STAT_WIDTH),
+          height: stats.intAt(i, cv.CC_STAT_HEIGHT),
+          area,
+        });
+      }
+    }
+
+    // 6. Measure
+    progress(0.9, "Measuring objects");
+    const intensity = toLuminance(image);
+    let objects = measureObjects(cv, candidates, {
+      bw,
+      labels,
+      centroids,
+      intensity,
+      withContours: Boolean(separation),
+    });
+
+    // 7. Sub-pixel Gaussian fit
+    let subpixel = null;
+    if (params.subpixel) {
+      progress(0.95, "Fitting spots");
+      objects = fitSpots(objects, intensity, image.width, image.height, { invert: Boolean(params.invert) });
+      const failed = objects.filter(obj => !obj.fitOk).length;
+      subpixel = { fitted: objects.length - failed, failed };
+    }
+
+    // 8. Nearest neighbours, density and clustering
+    objects = withNeighbourDistances(objects);
+
+    // 9. Calibrated sizes and distances
+    const calibration = normalizeCalibration(params.calibration);
+    if (calibration) objects = calibrateObjects(objects, calibration);
+    const summaryColumns = [
+      ...SUMMARY_COLUMNS,
+      ...(calibration ? CALIBRATED_COLUMNS : []),
+      ...(subpixel ? FIT_SUMMARY_COLUMNS : []),
+    ];
+
+    progress(1, "Done");
+    return {
+      function: 'count',
+      width: image.width,
+      height: image.height,
+      thresholdType,
+      threshold,
+      adaptive,
+      morphology,
+      saturation: saturationStats(image, mask),
+      roi: params.roi || null,
+      separation,
+      subpixel,
+      calibration,
+      count: objects.length,
+      objects,
+      summary: summarizeObjects(objects, summaryColumns),
+      spatial: spatialStats({ width: image.width, height: image.height, roi: params.roi || null, calibration, objects }),
+    };
+  } finally {
+    bw.delete();
+    labels.delete(); stats.delete(); centroids.delete();
+  }
+};
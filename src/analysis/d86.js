@@ -0,0 +1,268 @@
+import { saturationStats } from './raster.js';
+import { energyImage } from './background.js';
+import { principalAxes } from './moments.js';
+import { pixelScale } from './calibration.js';
+import { createEnergyProfile, energyCurve, radiusForEnergy } from './energy.js';
+import { axisProfiles } from './profile.js';
+import { intensityImage } from './radiometry.js';
+
+export const DEFAULT_D86_PARAMS = {
+  hx: 1.0,
+  hy: 1.0,
+  energyRatio: 86,
+  energyLevels: [50, 80, 86, 95], // extra levels (%) reported from the same curve
+  channel: 'luminance', // see CHANNEL_MODES
+  channelWeights: null, // [r, g, b], for channel: 'custom'
+  linearize: false, // undo the sRGB curve before summing energy
+  background: 'none', // see BACKGROUND_MODES
+  borderWidth: 10,
+  corner: 'tl',
+  patchSize: 20,
+  noiseFloor: 0,
+  darkFrame: null, // image of the same size, for background: 'dark'
+  roi: null, // see roi.js; null analyses the full frame
+  calibration: null, // see calibration.js; null uses hx / hy
+};
+
+const CIRCLE_TOLERANCE = 0.05;
+
+// Samples of the encircled-energy curve, and how far out it reaches: past the
+// gamma enclosing CURVE_REACH of the energy by CURVE_MARGIN
+const CURVE_POINTS = 200;
+const CURVE_REACH = 0.999;
+const CURVE_MARGIN = 1.2;
+
+// Energy levels (%) from an array or a "50, 80, 86" string, sorted, without
+// duplicates and values outside (0, 100]
+export const parseEnergyLevels = (levels) => {
+  const list = Array.isArray(levels) ? levels : String(levels ?? '').split(/[\s,;]+/);
+  const values = list.map(Number).filter(v => Number.isFinite(v) && v > 0 && v <= 100);
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+// Steps 2-8 of the D86 analysis on the background-corrected energy `gray`
+// of a w-px wide image: the ellipse enclosing `ratio` percent of the energy
+// in `region` ({ x0, y0, x1, y1 }, inclusive px bounds) and, with `owner`,
+// only of the pixels where owner[i] === id. Distances are scaled by the
+// pixel pitch s_x / s_y. Null when those pixels hold no energy. `levels`
+// lists the energy levels (%) to report the axes at; `withCurve` adds the
+// encircled-energy curve.
+export const fitEnergyEllipse = (gray, w, {
+  region,
+  owner = null,
+  id = 0,
+  s_x,
+  s_y,
+  ratio,
+  levels: energyLevels = [],
+  withCurve = true,
+  progress = () => {},
+}) => {
+  const { x0, y0, x1, y1 } = region;
+  const inside = (i) => gray[i] > 0 && (!owner || owner[i] === id);
+
+  // Keep only non-zero pixels, as parallel typed arrays
+  let n = 0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (inside(y * w + x)) n++;
+    }
+  }
+  const xs = new Uint32Array(n);
+  const ys = new Uint32Array(n);
+  const vals = new Float64Array(n);
+
+  let E = 0;
+  let sum_cx = 0;
+  let sum_cy = 0;
+  for (let y = y0, k = 0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const i = y * w + x;
+      if (inside(i)) {
+        const val = gray[i];
+        xs[k] = x;
+        ys[k] = y;
+        vals[k] = val;
+        k++;
+        E += val;
+        // 2. Energy Weighted Center (accumulated in the same pass)
+        sum_cx += val * x;
+        sum_cy += val * y;
+      }
+    }
+  }
+  if (E <= 0) return null;
+
+  const cx = sum_cx / E;
+  const cy = sum_cy / E;
+
+  // 4. Covariance Matrix
+  progress(0.3, "Computing covariance");
+  let Cov_xx = 0, Cov_yy = 0, Cov_xy = 0;
+
+  for (let k = 0; k < n; k++) {
+    const dx_r = (xs[k] - cx) * s_x;
+    const dy_r = (ys[k] - cy) * s_y;
+    Cov_xx += vals[k] * dx_r * dx_r;
+    Cov_yy += vals[k] * dy_r * dy_r;
+    Cov_xy += vals[k] * dx_r * dy_r;
+  }
+  Cov_xx /= E;
+  Cov_yy /= E;
+  Cov_xy /= E;
+
+  // 5. Eigen Decomposition for 2x2 Matrix
+  const { lambda1, lambda2, theta: theta_rad } = principalAxes({ xx: Cov_xx, yy: Cov_yy, xy: Cov_xy });
+
+  const a0_real = Math.sqrt(lambda1);
+  const b0_real = Math.sqrt(lambda2);
+  const cos_theta = Math.cos(theta_rad);
+  const sin_theta = Math.sin(theta_rad);
+
+  // 6. Project coordinates to ellipse axis
+  // u = dx_r * cos + dy_r * sin
+  // v = -dx_r * sin + dy_r * cos
+  // A pixel lies inside the gamma ellipse when u^2/(gamma^2 lambda1) + v^2/(gamma^2 lambda2) <= 1,
+  // i.e. when its normalised radius sqrt(u^2/lambda1 + v^2/lambda2) <= gamma
+  progress(0.55, "Projecting pixels");
+  const radius = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const dx_r = (xs[k] - cx) * s_x;
+    const dy_r = (ys[k] - cy) * s_y;
+    const u = dx_r * cos_theta + dy_r * sin_theta;
+    const v = -dx_r * sin_theta + dy_r * cos_theta;
+    const r2 = (u * u) / lambda1 + (v * v) / lambda2;
+    // 0/0 on a degenerate axis never counts as enclosed
+    radius[k] = Number.isNaN(r2) ? Infinity : Math.sqrt(r2);
+  }
+
+  const thresholdE = (ratio / 100.0) * E;
+
+  // 7. Gamma from the cumulative energy curve
+  progress(0.8, "Searching gamma");
+  const profile = createEnergyProfile(radius, vals);
+  const gamma = radiusForEnergy(profile, thresholdE);
+
+  // Axes at every reported level. The equivalent diameter is that of the
+  // circle with the ellipse's area.
+  const axesAt = (g) => {
+    const a = g * a0_real;
+    const b = g * b0_real;
+    return {
+      gamma: g,
+      majorAxis: 2.0 * Math.max(a, b),
+      minorAxis: 2.0 * Math.min(a, b),
+      equivDiameter: 2.0 * Math.sqrt(a * b),
+      majorAxisPx: 2.0 * Math.max(a / s_x, b / s_y),
+      minorAxisPx: 2.0 * Math.min(a / s_x, b / s_y),
+    };
+  };
+  const levels = energyLevels.map(level => ({ level, ...axesAt(radiusForEnergy(profile, (level / 100) * E)) }));
+
+  let curve = null;
+  if (withCurve) {
+    const reach = Math.min(profile.rMax, CURVE_MARGIN * radiusForEnergy(profile, CURVE_REACH * E));
+    curve = energyCurve(profile, reach, CURVE_POINTS).map(({ radius: g, fraction }) => {
+      const { majorAxis, minorAxis, equivDiameter } = axesAt(g);
+      return { gamma: g, majorAxis, minorAxis, equivDiameter, fraction };
+    });
+  }
+
+  // 8. Final Parameters
+  const a_real = gamma * a0_real;
+  const b_real = gamma * b0_real;
+
+  const a_px = a_real / s_x;
+  const b_px = b_real / s_y;
+
+  const is_circle = Math.abs(a_real - b_real) / Math.max(a_real, b_real) < CIRCLE_TOLERANCE;
+  const angle_deg = (theta_rad * 180.0 / Math.PI) % 180.0;
+
+  // Ellipse to draw on the overlay, in pixel coordinates
+  let ellipse;
+  if (is_circle) {
+    const radius_real = gamma * a0_real; // Approx
+    ellipse = { cx, cy, rx: radius_real / s_x, ry: radius_real / s_y, rotation: 0 };
+  } else {
+    ellipse = { cx, cy, rx: a_px, ry: b_px, rotation: theta_rad };
+  }
+
+  return {
+    totalEnergy: E,
+    centroid: { x: cx, y: cy },
+    covariance: { xx: Cov_xx, yy: Cov_yy, xy: Cov_xy },
+    thetaRad: theta_rad,
+    angleDeg: angle_deg,
+    gamma,
+    isCircle: is_circle,
+    diameter: is_circle ? 2.0 * a_real : null,
+    majorAxis: 2.0 * Math.max(a_real, b_real),
+    minorAxis: 2.0 * Math.min(a_real, b_real),
+    equivDiameter: 2.0 * Math.sqrt(a_real * b_real),
+    majorAxisPx: 2.0 * Math.max(a_px, b_px),
+    minorAxisPx: 2.0 * Math.min(a_px, b_px),
+    levels,
+    curve,
+    ellipse,
+  };
+};
+
+// --- D86 Analysis Logic (Ported from d86_analysis.py) ---
+//
+// Fits the ellipse that encloses `energyRatio` percent of the image energy.
+// Pixel distances are converted into actual units with the `calibration`
+// profile, or else with `hx` / `hy` as the actual width / height of the whole
+// frame. Background correction and the
+// noise-floor clip run before any energy is summed, see correctBackground().
+// With an `roi`, pixels outside it carry no energy; coordinates stay in the
+// full frame. `onProgress(fraction, stage)` is called between the passes.
+export const analyzeD86 = (image, params = {}, { onProgress } = {}) => {
+  const w = image.width;
+  const h = image.height;
+  const progress = onProgress || (() => {});
+
+  // 1. Convert to Gray, Remove Background and Calculate Energy
+  progress(0, "Converting to gray");
+  const { gray, background, radiometry, mask } = energyImage(image, params);
+
+  // 3. Scale, from the calibration profile or the frame size
+  const { s_x, s_y, calibration } = pixelScale(params, w, h, DEFAULT_D86_PARAMS);
+
+  // User defined energy percentage
+  const ratio = parseFloat(params.energyRatio) || DEFAULT_D86_PARAMS.energyRatio;
+
+  // 2-8. Centroid, covariance, gamma and the ellipse
+  const fit = fitEnergyEllipse(gray, w, {
+    region: { x0: 0, y0: 0, x1: w - 1, y1: h - 1 },
+    s_x,
+    s_y,
+    ratio,
+    levels: parseEnergyLevels(params.energyLevels ?? DEFAULT_D86_PARAMS.energyLevels),
+    progress,
+  });
+  if (!fit) {
+    throw new Error(params.roi
+      ? "Total energy inside the ROI is zero. Please adjust the ROI."
+      : "Total energy is zero. Please provide a non-black image.");
+  }
+
+  // 9. Intensity profiles along both axes, on the same radiometric input as
+  // the energy but before background correction, so that the
+  // peak-to-background ratio means something
+  const profiles = axisProfiles(intensityImage(image, params), { ...fit, calibration, width: w, height: h });
+
+  progress(1, "Done");
+  return {
+    function: 'd86',
+    width: w,
+    height: h,
+    energyRatio: ratio,
+    radiometry,
+    background,
+    saturation: saturationStats(image, mask),
+    roi: params.roi || null,
+    calibration,
+    ...fit,
+    profiles,
+  };
+};
@@ -0,0 +1,64 @@
+import { formatReport, resultRow } from './report.js';
+
+// Machine-readable result file: one analysed image with the parameters it
+// was analysed with and where the numbers came from. The layout is
+// documented in docs/result-schema.json; bump RESULT_SCHEMA_VERSION on any
+// change that is not a pure addition.
+
+export const RESULT_SCHEMA = 'dot-image-analyzer/result';
+export const RESULT_SCHEMA_VERSION = 1;
+
+export const FUNCTION_TITLES = {
+  d86: 'Energy Analysis (D86)',
+  d4sigma: 'Beam Width (ISO 11146 D4σ)',
+  gaussfit: 'Gaussian Fit (1/e²)',
+  count: 'Count Points',
+  grid: 'Grid Analysis',
+  multispot: 'Multi-Spot Energy (D86)',
+};
+
+// OpenCV version of an initialised opencv.js module, e.g. "4.8.0", or null
+export const opencvVersion = (cv) => {
+  if (!cv?.getBuildInformation) return null;
+  const match = /OpenCV\s+(\d+\.\d+\.\d+\S*)/.exec(cv.getBuildInformation());
+  return match ? match[1] : null;
+};
+
+// Pixel buffers and drawing-only outlines stay out of the file
+const withoutBuffers = (key, value) => {
+  if (key === 'contour') return undefined;
+  if (ArrayBuffer.isView(value)) return undefined;
+  return value;
+};
+
+// Plain JSON copy of `value` without typed arrays and contours
+const plain = (value) => JSON.parse(JSON.stringify(value, withoutBuffers));
+
+// The result document of `result` for the image named `file`. `params` are
+// the analysis parameters as given (image-valued ones replaced by their file
+// name), `software` is { name, version }, `opencv` the version string or
+// null if OpenCV was not used.
+export const resultDocument = ({ file, result, params, software, opencv = null, createdAt = new Date() }) => {
+  const summary = resultRow(file, result);
+  delete summary.file;
+  return {
+    schema: RESULT_SCHEMA,
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    createdAt: createdAt.toISOString(),
+    software,
+    opencv,
+    source: {
+      file,
+      width: result.width,
+      height: result.height,
+    },
+    function: result.function,
+    title: FUNCTION_TITLES[result.function] ?? result.function,
+    params: plain(params),
+    summary,
+    result: plain(result),
+    report: formatReport(result),
+  };
+};
+
+export const resultDocumentJson = (options) => JSON.stringify(resultDocument(options), null, 2) + '\n';
@@ -0,0 +1,90 @@
+// Cumulative energy as a function of a per-pixel radius.
+//
+// Instead of rescanning every pixel for each trial radius, pixels are binned
+// once by radius and the bin energies summed into a cumulative curve. Finding
+// the radius that encloses a given energy then only needs to sort the pixels
+// of the one bin where the curve crosses the target.
+
+const DEFAULT_BINS = 4096;
+
+// `radius` and `val` are parallel typed arrays, one entry per pixel. Pixels
+// with a non-finite radius (degenerate ellipse) never count as enclosed.
+export const createEnergyProfile = (radius, val, bins = DEFAULT_BINS) => {
+  let rMax = 0;
+  for (let i = 0; i < radius.length; i++) {
+    if (radius[i] > rMax && Number.isFinite(radius[i])) rMax = radius[i];
+  }
+
+  const scale = rMax > 0 ? bins / rMax : 0;
+  const cumulative = new Float64Array(bins);
+  for (let i = 0; i < radius.length; i++) {
+    const r = radius[i];
+    if (!Number.isFinite(r)) continue;
+    cumulative[Math.min(bins - 1, Math.floor(r * scale))] += val[i];
+  }
+  for (let b = 1; b < bins; b++) cumulative[b] += cumulative[b - 1];
+
+  return { radius, val, bins, rMax, scale, cumulative };
+};
+
+const binOf = (profile, r) => Math.min(profile.bins - 1, Math.floor(r * profile.scale));
+
+// Smallest pixel radius whose enclosed energy (all pixels with radius <= it)
+// reaches `target`. Returns rMax when the target is out of reach.
+export const radiusForEnergy = (profile, target) => {
+  const { radius, val, bins, rMax, cumulative } = profile;
+  if (target <= 0) return 0;
+  if (cumulative[bins - 1] < target) return rMax;
+
+  // First bin whose cumulative energy reaches the target
+  let lo = 0;
+  let hi = bins - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumulative[mid] >= target) hi = mid; else lo = mid + 1;
+  }
+  const bin = lo;
+
+  const members = [];
+  for (let i = 0; i < radius.length; i++) {
+    if (Number.isFinite(radius[i]) && binOf(profile, radius[i]) === bin) members.push(i);
+  }
+  members.sort((a, b) => radius[a] - radius[b]);
+
+  let enclosed = bin > 0 ? cumulative[bin - 1] : 0;
+  for (let k = 0; k < members.length; k++) {
+    const r = radius[members[k]];
+    enclosed += val[members[k]];
+    // Pixels at exactly the same radius are enclosed together
+    while (k + 1 < members.length && radius[members[k + 1]] === r) {
+      k++;
+      enclosed += val[members[k]];
+    }
+    if (enclosed >= target) return r;
+  }
+  return radius[members[members.length - 1]];
+};
+
+// Enclosed energy fraction sampled at `points` evenly spaced radii from 0 to
+// `rLimit`, as [{ radius, fraction }]. Uses its own binning over [0, rLimit]
+// so the resolution does not depend on how far out the last pixel lies.
+export const energyCurve = (profile, rLimit, points = 200) => {
+  const { radius, val, cumulative, bins } = profile;
+  const total = cumulative[bins - 1];
+  const curve = [{ radius: 0, fraction: 0 }];
+  if (!(rLimit > 0) || total <= 0) return curve;
+
+  const steps = points - 1;
+  const scale = steps / rLimit;
+  const sums = new Float64Array(steps);
+  for (let i = 0; i < radius.length; i++) {
+    const b = Math.floor(radius[i] * scale);
+    if (b < steps) sums[b] += val[i];
+  }
+  let enclosed = 0;
+  for (let b = 0; b < steps; b++) {
+    enclosed += sums[b];
+    curve.push({ radius: (b + 1) / scale, fraction: enclosed / total });
+  }
+  return curve;
+};
@@ -0,0 +1,62 @@
+// Radix-2 fast Fourier transform on split real / imaginary Float64Arrays,
+// for the cross-correlation in compare.js. Sizes must be powers of two.
+
+// Smallest power of two >= n
+export const nextPow2 = (n) => {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+};
+
+// In-place FFT of the n samples of re / im starting at `offset` and `stride`
+// apart; `inverse` runs the unscaled inverse transform
+const fft1d = (re, im, n, offset, stride, inverse) => {
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      const a = offset + i * stride;
+      const b = offset + j * stride;
+      let t = re[a]; re[a] = re[b]; re[b] = t;
+      t = im[a]; im[a] = im[b]; im[b] = t;
+    }
+  }
+  for (let len = 2; len <= n; len *= 2) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += len) {
+      let uRe = 1;
+      let uIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = offset + (start + k) * stride;
+        const b = offset + (start + k + len / 2) * stride;
+        const tRe = re[b] * uRe - im[b] * uIm;
+        const tIm = re[b] * uIm + im[b] * uRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const next = uRe * wRe - uIm * wIm;
+        uIm = uRe * wIm + uIm * wRe;
+        uRe = next;
+      }
+    }
+  }
+};
+
+// In-place 2D FFT of a w x h grid (row-major); the inverse is scaled by
+// 1 / (w * h)
+export const fft2d = (re, im, w, h, inverse = false) => {
+  for (let y = 0; y < h; y++) fft1d(re, im, w, y * w, 1, inverse);
+  for (let x = 0; x < w; x++) fft1d(re, im, h, x, w, inverse);
+  if (inverse) {
+    const scale = 1 / (w * h);
+    for (let i = 0; i < re.length; i++) {
+      re[i] *= scale;
+      im[i] *= scale;
+    }
+  }
+};
@@ -0,0 +1,90 @@
+// FITS reader for the primary HDU image.
+//
+// Handles BITPIX 8, 16, 32, -32 and -64 with BZERO / BSCALE. Only the first
+// plane of a data cube is read. FITS stores the bottom row first; rows are
+// flipped so that row 0 is the top of the image like every other format.
+
+const BLOCK = 2880;
+const CARD = 80;
+
+export const isFits = (bytes) => bytes.length >= 30 &&
+  String.fromCharCode(...bytes.subarray(0, 9)) === 'SIMPLE  =';
+
+const parseHeader = (bytes) => {
+  const header = {};
+  for (let pos = 0; pos + CARD <= bytes.length; pos += CARD) {
+    const card = String.fromCharCode(...bytes.subarray(pos, pos + CARD));
+    const key = card.slice(0, 8).trim();
+    if (key === 'END') {
+      return { header, dataStart: Math.ceil((pos + CARD) / BLOCK) * BLOCK };
+    }
+    if (card.slice(8, 10) !== '= ') continue;
+    const field = card.slice(10).trim();
+    if (field.startsWith("'")) {
+      header[key] = field.slice(1, field.indexOf("'", 1)).trim();
+      continue;
+    }
+    // Anything after '/' is a comment
+    const value = field.split('/')[0].trim();
+    header[key] = value === 'T' || value === 'F' ? value === 'T' : Number(value.replace(/D/g, 'E'));
+  }
+  throw new Error("FITS header has no END card.");
+};
+
+export const decodeFits = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (!isFits(bytes)) throw new Error("Not a FITS file.");
+  const { header, dataStart } = parseHeader(bytes);
+
+  const bitpix = header.BITPIX;
+  const naxis = header.NAXIS;
+  const width = header.NAXIS1;
+  const height = naxis >= 2 ? header.NAXIS2 : 1;
+  if (!naxis || !width) throw new Error("FITS primary HDU does not contain an image.");
+
+  const bzero = header.BZERO || 0;
+  const bscale = header.BSCALE === undefined ? 1 : header.BSCALE;
+  const bytesPerSample = Math.abs(bitpix) / 8;
+  const count = width * height;
+  if (dataStart + count * bytesPerSample > bytes.length) throw new Error("FITS data is truncated.");
+
+  const view = new DataView(buffer, dataStart);
+  const read = {
+    8: (p) => view.getUint8(p),
+    16: (p) => view.getInt16(p),
+    32: (p) => view.getInt32(p),
+    [-32]: (p) => view.getFloat32(p),
+    [-64]: (p) => view.getFloat64(p),
+  }[bitpix];
+  if (!read) throw new Error(`Unsupported FITS BITPIX ${bitpix}.`);
+
+  // Plain unsigned 8/16-bit data stays in an integer array, everything else
+  // is scaled into floats.
+  const isUint16 = bitpix === 16 && bzero === 32768 && bscale === 1;
+  const isUint8 = bitpix === 8 && bzero === 0 && bscale === 1;
+  const data = isUint8 ? new Uint8Array(count) : isUint16 ? new Uint16Array(count) : new Float32Array(count);
+
+  for (let y = 0; y < height; y++) {
+    const srcRow = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = bzero + bscale * read((srcRow + x) * bytesPerSample);
+    }
+  }
+
+  // Full scale: SATURATE / DATAMAX if the camera wrote one, else the range
+  // of the integer type. Unknown for floating point data.
+  let maxValue = header.SATURATE ?? header.DATAMAX ?? null;
+  if (maxValue === null && bitpix > 0) {
+    maxValue = isUint8 ? 255 : isUint16 ? 65535 : bzero + bscale * (2 ** (bitpix - 1) - 1);
+  }
+
+  return {
+    width,
+    height,
+    channels: 1,
+    data,
+    bitDepth: isUint16 ? 16 : Math.abs(bitpix),
+    maxValue,
+    format: 'FITS',
+  };
+};
@@ -0,0 +1,28 @@
+// Native decoders for formats browsers cannot display (or would squash to
+// 8 bits). Each returns an engine image in full precision, see raster.js.
+import { decodeTiff, isTiff } from './tiff.js';
+import { decodePnm, isPnm } from './pnm.js';
+import { decodeFits, isFits } from './fits.js';
+import { decodeRaw, DEFAULT_RAW_OPTIONS } from './raw.js';
+import { decodePng, isPng } from './png.js';
+
+export { decodeTiff, decodePnm, decodeFits, decodeRaw, decodePng, isPng, DEFAULT_RAW_OPTIONS };
+
+const RAW_EXTENSIONS = ['raw', 'bin'];
+export const NATIVE_EXTENSIONS = ['tif', 'tiff', 'pgm', 'ppm', 'pnm', 'fits', 'fit', 'fts', ...RAW_EXTENSIONS];
+
+const extensionOf = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+// Whether `name` should be decoded here rather than by the browser / pngjs
+export const isNativeFormat = (name) => NATIVE_EXTENSIONS.includes(extensionOf(name));
+
+// Picks a decoder by file signature, falling back to raw for .raw / .bin.
+// `rawOptions` (width, height, bitDepth, offset) are only used for raw files.
+export const decodeImageFile = (buffer, name, rawOptions = {}) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 16));
+  if (isTiff(bytes)) return decodeTiff(buffer);
+  if (isFits(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 80)))) return decodeFits(buffer);
+  if (isPnm(bytes)) return decodePnm(buffer);
+  if (RAW_EXTENSIONS.includes(extensionOf(name))) return decodeRaw(buffer, rawOptions);
+  throw new Error(`Unrecognised image format: ${name}`);
+};
@@ -0,0 +1,25 @@
+// PNG reader on top of pngjs. The caller passes in its pngjs build (the Node
+// package in the CLI, pngjs/browser in the app) so both analyse the same
+// samples. Output is RGBA like ImageData; 16-bit files keep their precision,
+// everything else is 8-bit.
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export const isPng = (bytes) => bytes.length >= 8 && SIGNATURE.every((b, i) => bytes[i] === b);
+
+// `buffer` is a Buffer of that pngjs build. 1, 2 and 4-bit grayscale comes
+// out of pngjs as raw samples (0-1 for a mask) and is scaled to 0-255, as
+// browsers do; palette images are already 8-bit colours.
+export const decodePng = (PNG, buffer) => {
+  const png = PNG.sync.read(buffer, { skipRescale: true });
+  const { width, height, depth } = png;
+  if (depth === 16) {
+    return { width, height, data: png.data, bitDepth: 16, maxValue: 65535, format: 'PNG' };
+  }
+  const data = new Uint8ClampedArray(png.data);
+  if (depth < 8 && png.colorType !== 3) {
+    const scale = 255 / (2 ** depth - 1);
+    for (let i = 0; i < data.length; i++) data[i] *= scale;
+  }
+  return { width, height, data };
+};
@@ -0,0 +1,54 @@
+// Netpbm reader: PGM (P2 / P5) and PPM (P3 / P6), 8 or 16 bits per sample.
+// Binary 16-bit samples are big-endian, as the format specifies.
+
+export const isPnm = (bytes) => bytes.length >= 2 && bytes[0] === 0x50 && [0x32, 0x33, 0x35, 0x36].includes(bytes[1]);
+
+const isSpace = (b) => b === 0x20 || b === 0x09 || b === 0x0a || b === 0x0d || b === 0x0b || b === 0x0c;
+
+export const decodePnm = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (!isPnm(bytes)) throw new Error("Not a PGM/PPM file (P2, P3, P5 or P6).");
+  const kind = String.fromCharCode(bytes[1]);
+  const ascii = kind === '2' || kind === '3';
+  const channels = kind === '2' || kind === '5' ? 1 : 3;
+
+  let pos = 2;
+  // Next whitespace separated token, skipping '#' comments
+  const token = () => {
+    for (;;) {
+      while (pos < bytes.length && isSpace(bytes[pos])) pos++;
+      if (bytes[pos] !== 0x23) break;
+      while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+    }
+    const start = pos;
+    while (pos < bytes.length && !isSpace(bytes[pos])) pos++;
+    if (start === pos) throw new Error("Unexpected end of PGM/PPM file.");
+    return parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10);
+  };
+
+  const width = token();
+  const height = token();
+  const maxValue = token();
+  if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) {
+    throw new Error("Invalid PGM/PPM header.");
+  }
+
+  const count = width * height * channels;
+  const data = maxValue < 256 ? new Uint8Array(count) : new Uint16Array(count);
+
+  if (ascii) {
+    for (let i = 0; i < count; i++) data[i] = token();
+  } else {
+    pos++; // single whitespace after maxval
+    const bytesPerSample = maxValue < 256 ? 1 : 2;
+    if (pos + count * bytesPerSample > bytes.length) throw new Error("PGM/PPM file is truncated.");
+    if (bytesPerSample === 1) {
+      data.set(bytes.subarray(pos, pos + count));
+    } else {
+      for (let i = 0, p = pos; i < count; i++, p += 2) data[i] = (bytes[p] << 8) | bytes[p + 1];
+    }
+  }
+
+  const bitDepth = Math.ceil(Math.log2(maxValue + 1));
+  return { width, height, channels, data, bitDepth, maxValue, format: channels === 1 ? 'PGM' : 'PPM' };
+};
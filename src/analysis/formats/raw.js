@@ -0,0 +1,38 @@
+// Headerless little-endian sensor dumps. The layout has to come from the
+// user: one sample per pixel, 1 byte for bit depths up to 8 and 2 bytes for
+// 9-16 bits, starting `offset` bytes into the file.
+
+export const DEFAULT_RAW_OPTIONS = {
+  width: 0,
+  height: 0,
+  bitDepth: 16,
+  offset: 0,
+};
+
+export const decodeRaw = (buffer, options = {}) => {
+  const width = parseInt(options.width);
+  const height = parseInt(options.height);
+  const bitDepth = parseInt(options.bitDepth) || DEFAULT_RAW_OPTIONS.bitDepth;
+  const offset = parseInt(options.offset) || 0;
+
+  if (!(width > 0 && height > 0)) throw new Error("Raw images need a width and height.");
+  if (!(bitDepth >= 1 && bitDepth <= 16)) throw new Error("Raw bit depth must be between 1 and 16.");
+
+  const bytesPerSample = bitDepth <= 8 ? 1 : 2;
+  const count = width * height;
+  const needed = offset + count * bytesPerSample;
+  if (needed > buffer.byteLength) {
+    throw new Error(`Raw file is ${buffer.byteLength} bytes, but ${width}x${height} at ${bitDepth} bits needs ${needed}.`);
+  }
+
+  let data;
+  if (bytesPerSample === 1) {
+    data = new Uint8Array(buffer, offset, count).slice();
+  } else {
+    const view = new DataView(buffer, offset);
+    data = new Uint16Array(count);
+    for (let i = 0; i < count; i++) data[i] = view.getUint16(i * 2, true);
+  }
+
+  return { width, height, channels: 1, data, bitDepth, maxValue: 2 ** bitDepth - 1, format: 'RAW' };
+};
@@ -0,0 +1,263 @@
+// Baseline TIFF reader for scientific camera output.
+//
+// Supports the first image of a file: 8/16/32-bit integer and 32/64-bit float
+// samples, 1 (gray) or 3+ (RGB) samples per pixel, chunky planar layout,
+// strips (not tiles), and no / LZW / PackBits compression with optional
+// horizontal predictor. Everything else raises an error rather than
+// silently producing wrong pixels.
+
+const TAG = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  PhotometricInterpretation: 262,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  MaxSampleValue: 281,
+  PlanarConfiguration: 284,
+  Predictor: 317,
+  TileWidth: 322,
+  SampleFormat: 339,
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const readTagValues = (view, le, type, count, valueOffset) => {
+  const size = TYPE_SIZES[type];
+  if (!size) throw new Error(`Unsupported TIFF field type ${type}.`);
+  const offset = size * count <= 4 ? valueOffset : view.getUint32(valueOffset, le);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const p = offset + i * size;
+    switch (type) {
+      case 3: values.push(view.getUint16(p, le)); break;
+      case 4: values.push(view.getUint32(p, le)); break;
+      case 8: values.push(view.getInt16(p, le)); break;
+      case 9: values.push(view.getInt32(p, le)); break;
+      case 5: values.push(view.getUint32(p, le) / view.getUint32(p + 4, le)); break;
+      case 10: values.push(view.getInt32(p, le) / view.getInt32(p + 4, le)); break;
+      case 11: values.push(view.getFloat32(p, le)); break;
+      case 12: values.push(view.getFloat64(p, le)); break;
+      case 6: values.push(view.getInt8(p)); break;
+      default: values.push(view.getUint8(p));
+    }
+  }
+  return values;
+};
+
+const decodePackBits = (input, expected) => {
+  const out = new Uint8Array(expected);
+  let i = 0;
+  let o = 0;
+  while (i < input.length && o < expected) {
+    const n = (input[i++] << 24) >> 24;
+    if (n >= 0) {
+      out.set(input.subarray(i, i + n + 1), o);
+      i += n + 1;
+      o += n + 1;
+    } else if (n !== -128) {
+      out.fill(input[i++], o, o + 1 - n);
+      o += 1 - n;
+    }
+  }
+  return out;
+};
+
+// TIFF flavour of LZW: MSB-first codes, 256 = clear, 257 = end, and the code
+// width grows one code early.
+const decodeLzw = (input, expected) => {
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let c = 0; c < 256; c++) {
+    suffix[c] = c;
+    first[c] = c;
+    lengths[c] = 1;
+  }
+
+  let out = new Uint8Array(expected);
+  let o = 0;
+  const write = (code) => {
+    const len = lengths[code];
+    if (o + len > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, o + len));
+      grown.set(out);
+      out = grown;
+    }
+    for (let k = len - 1, c = code; k >= 0; k--) {
+      out[o + k] = suffix[c];
+      c = prefix[c];
+    }
+    o += len;
+  };
+
+  let bitPos = 0;
+  const totalBits = input.length * 8;
+  let codeLen = 9;
+  let next = 258;
+  let old = -1;
+
+  while (bitPos + codeLen <= totalBits) {
+    let code = 0;
+    for (let k = 0; k < codeLen; k++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    if (code === 257) break;
+    if (code === 256) {
+      codeLen = 9;
+      next = 258;
+      old = -1;
+      continue;
+    }
+    if (old === -1) {
+      write(code);
+      old = code;
+      continue;
+    }
+
+    const known = code < next;
+    if (next < 4096) {
+      prefix[next] = old;
+      suffix[next] = known ? first[code] : first[old];
+      first[next] = first[old];
+      lengths[next] = lengths[old] + 1;
+      next++;
+    }
+    write(code);
+    old = code;
+    if (next + 1 >= (1 << codeLen) && codeLen < 12) codeLen++;
+  }
+
+  return out.subarray(0, expected);
+};
+
+const sampleArray = (bits, format) => {
+  if (format === 3 && bits === 32) return Float32Array;
+  if (format === 3 && bits === 64) return Float64Array;
+  if (format === 2) return { 8: Int8Array, 16: Int16Array, 32: Int32Array }[bits];
+  return { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array }[bits];
+};
+
+export const isTiff = (bytes) => bytes.length >= 4 && (
+  (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+  (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42)
+);
+
+export const decodeTiff = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (!isTiff(bytes)) throw new Error("Not a TIFF file (or BigTIFF, which is not supported).");
+  const view = new DataView(buffer);
+  const le = bytes[0] === 0x49;
+
+  const ifd = view.getUint32(4, le);
+  const entryCount = view.getUint16(ifd, le);
+  const tags = {};
+  for (let i = 0; i < entryCount; i++) {
+    const p = ifd + 2 + i * 12;
+    const tag = view.getUint16(p, le);
+    const type = view.getUint16(p + 2, le);
+    const count = view.getUint32(p + 4, le);
+    if (TYPE_SIZES[type]) tags[tag] = readTagValues(view, le, type, count, p + 8);
+  }
+
+  const get = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+  const width = get(TAG.ImageWidth);
+  const height = get(TAG.ImageLength);
+  const samples = get(TAG.SamplesPerPixel, 1);
+  const bits = get(TAG.BitsPerSample, 1);
+  const compression = get(TAG.Compression, 1);
+  const photometric = get(TAG.PhotometricInterpretation, 1);
+  const predictor = get(TAG.Predictor, 1);
+  const format = get(TAG.SampleFormat, 1);
+
+  if (!width || !height) throw new Error("TIFF is missing its image dimensions.");
+  if (tags[TAG.TileWidth]) throw new Error("Tiled TIFF files are not supported.");
+  if (get(TAG.PlanarConfiguration, 1) !== 1) throw new Error("Planar (separate) TIFF files are not supported.");
+  if (tags[TAG.BitsPerSample] && tags[TAG.BitsPerSample].some(b => b !== bits)) {
+    throw new Error("TIFF channels with different bit depths are not supported.");
+  }
+  const ArrayType = sampleArray(bits, format);
+  if (!ArrayType) throw new Error(`Unsupported TIFF sample format (${bits}-bit, format ${format}).`);
+  if (![1, 5, 32773].includes(compression)) {
+    throw new Error(`Unsupported TIFF compression ${compression}. Use uncompressed, LZW or PackBits.`);
+  }
+  if (predictor !== 1 && predictor !== 2) throw new Error(`Unsupported TIFF predictor ${predictor}.`);
+  if (samples !== 1 && photometric !== 2) {
+    throw new Error("Only grayscale and RGB TIFF files are supported.");
+  }
+
+  // Strips, decompressed into one contiguous buffer
+  const bytesPerSample = bits / 8;
+  const rowBytes = width * samples * bytesPerSample;
+  const rowsPerStrip = Math.min(get(TAG.RowsPerStrip, height), height);
+  const offsets = tags[TAG.StripOffsets];
+  const counts = tags[TAG.StripByteCounts];
+  if (!offsets || !counts) throw new Error("TIFF is missing its strip table.");
+
+  const raw = new Uint8Array(rowBytes * height);
+  for (let s = 0; s < offsets.length; s++) {
+    const rows = Math.min(rowsPerStrip, height - s * rowsPerStrip);
+    if (rows <= 0) break;
+    const expected = rows * rowBytes;
+    const input = bytes.subarray(offsets[s], offsets[s] + counts[s]);
+    let strip = input;
+    if (compression === 5) strip = decodeLzw(input, expected);
+    else if (compression === 32773) strip = decodePackBits(input, expected);
+    raw.set(strip.subarray(0, expected), s * rowsPerStrip * rowBytes);
+  }
+
+  // Samples in native byte order
+  const count = width * height * samples;
+  const data = new ArrayType(count);
+  if (bytesPerSample === 1) {
+    data.set(ArrayType === Int8Array ? new Int8Array(raw.buffer) : raw);
+  } else {
+    const rawView = new DataView(raw.buffer);
+    const read = {
+      Uint16Array: (p) => rawView.getUint16(p, le),
+      Int16Array: (p) => rawView.getInt16(p, le),
+      Uint32Array: (p) => rawView.getUint32(p, le),
+      Int32Array: (p) => rawView.getInt32(p, le),
+      Float32Array: (p) => rawView.getFloat32(p, le),
+      Float64Array: (p) => rawView.getFloat64(p, le),
+    }[ArrayType.name];
+    for (let i = 0; i < count; i++) data[i] = read(i * bytesPerSample);
+  }
+
+  if (predictor === 2) {
+    if (format === 3) throw new Error("The horizontal predictor is not supported for floating point TIFF.");
+    const rowSamples = width * samples;
+    for (let y = 0; y < height; y++) {
+      const base = y * rowSamples;
+      for (let i = samples; i < rowSamples; i++) data[base + i] += data[base + i - samples];
+    }
+  }
+
+  // Keep RGB only, and make 0 mean black
+  const channels = samples === 1 ? 1 : 3;
+  let pixels = data;
+  if (samples > 3) {
+    pixels = new ArrayType(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      pixels[i * 3] = data[i * samples];
+      pixels[i * 3 + 1] = data[i * samples + 1];
+      pixels[i * 3 + 2] = data[i * samples + 2];
+    }
+  }
+
+  // Full scale from MaxSampleValue when the camera writes it (a 12-bit sensor
+  // in 16-bit samples), else the range of the sample type
+  let maxValue = format === 3 ? null : format === 2 ? 2 ** (bits - 1) - 1 : 2 ** bits - 1;
+  const tagged = tags[TAG.MaxSampleValue] ? Math.max(...tags[TAG.MaxSampleValue]) : 0;
+  if (maxValue !== null && tagged > 0) maxValue = tagged;
+  if (photometric === 0) {
+    if (maxValue === null) throw new Error("WhiteIsZero floating point TIFF files are not supported.");
+    for (let i = 0; i < pixels.length; i++) pixels[i] = maxValue - pixels[i];
+  }
+
+  return { width, height, channels, data: pixels, bitDepth: bits, maxValue, format: 'TIFF' };
+};
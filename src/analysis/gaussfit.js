@@ -0,0 +1,148 @@
+// Least-squares fit of an elliptical 2D Gaussian plus constant offset,
+//
+//   f(x, y) = offset + amplitude * exp(-Q / 2),  Q = d' P d,  d = (x - cx, y - cy)
+//
+// by Levenberg-Marquardt. Fitting the precision matrix P = [[a, b], [b, c]]
+// (the inverse covariance) instead of widths and an angle keeps the model
+// smooth for round spots, where the angle is undefined.
+
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-10; // relative decrease of the squared error that counts as converged
+
+// Solves the n x n system A x = y in place by Gaussian elimination with
+// partial pivoting. Returns null for a singular matrix.
+const solve = (A, y) => {
+  const n = y.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-300) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [y[col], y[pivot]] = [y[pivot], y[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      for (let k = col; k < n; k++) A[r][k] -= f * A[col][k];
+      y[r] -= f * y[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = y[r];
+    for (let k = r + 1; k < n; k++) sum -= A[r][k] * x[k];
+    x[r] = sum / A[r][r];
+  }
+  return x;
+};
+
+// Parameter vector: [amplitude, offset, cx, cy, a, b, c]
+const sumSquares = (p, xs, ys, zs) => {
+  const [A, B, cx, cy, a, b, c] = p;
+  let sse = 0;
+  for (let i = 0; i < zs.length; i++) {
+    const dx = xs[i] - cx;
+    const dy = ys[i] - cy;
+    const r = zs[i] - (B + A * Math.exp(-0.5 * (a * dx * dx + 2 * b * dx * dy + c * dy * dy)));
+    sse += r * r;
+  }
+  return sse;
+};
+
+const isPositiveDefinite = (p) => p[4] > 0 && p[6] > 0 && p[4] * p[6] - p[5] * p[5] > 0;
+
+// Fits the samples (parallel arrays xs, ys, zs) starting from `init` =
+// { amplitude, offset, cx, cy, covariance: { xx, yy, xy } }. With
+// `fitOffset: false` the offset stays at its initial value.
+// Returns the fitted parameters in the same form, plus { iterations,
+// converged, sse, rms, rSquared }.
+export const fitGaussian2D = ({ xs, ys, zs }, init, { fitOffset = true } = {}) => {
+  const n = zs.length;
+  const { xx, yy, xy } = init.covariance;
+  const det = xx * yy - xy * xy;
+  let p = [init.amplitude, init.offset, init.cx, init.cy, yy / det, -xy / det, xx / det];
+  const free = fitOffset ? [0, 1, 2, 3, 4, 5, 6] : [0, 2, 3, 4, 5, 6];
+  const m = free.length;
+
+  let sse = sumSquares(p, xs, ys, zs);
+  let lambda = 1e-3;
+  let iterations = 0;
+  let converged = false;
+  const jac = new Float64Array(7);
+
+  while (iterations < MAX_ITERATIONS && !converged) {
+    iterations++;
+    // Normal equations J'J dp = J'r over the free parameters
+    const JtJ = Array.from({ length: m }, () => new Float64Array(m));
+    const Jtr = new Float64Array(m);
+    const [A, B, cx, cy, a, b, c] = p;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - cx;
+      const dy = ys[i] - cy;
+      const e = Math.exp(-0.5 * (a * dx * dx + 2 * b * dx * dy + c * dy * dy));
+      const g = A * e;
+      const r = zs[i] - (B + g);
+      jac[0] = e;
+      jac[1] = 1;
+      jac[2] = g * (a * dx + b * dy);
+      jac[3] = g * (b * dx + c * dy);
+      jac[4] = -0.5 * g * dx * dx;
+      jac[5] = -g * dx * dy;
+      jac[6] = -0.5 * g * dy * dy;
+      for (let j = 0; j < m; j++) {
+        const Jj = jac[free[j]];
+        Jtr[j] += Jj * r;
+        for (let k = 0; k <= j; k++) JtJ[j][k] += Jj * jac[free[k]];
+      }
+    }
+    for (let j = 0; j < m; j++) {
+      for (let k = 0; k < j; k++) JtJ[k][j] = JtJ[j][k];
+    }
+
+    // Raise the damping until a step lowers the error
+    let improved = false;
+    while (!improved && lambda < 1e12) {
+      const M = JtJ.map((row, j) => Array.from(row, (v, k) => (j === k ? v * (1 + lambda) : v)));
+      const step = solve(M, Array.from(Jtr));
+      if (step) {
+        const next = p.slice();
+        free.forEach((idx, j) => { next[idx] += step[j]; });
+        if (isPositiveDefinite(next)) {
+          const nextSse = sumSquares(next, xs, ys, zs);
+          if (nextSse < sse) {
+            converged = (sse - nextSse) <= TOLERANCE * sse;
+            p = next;
+            sse = nextSse;
+            lambda = Math.max(lambda / 10, 1e-12);
+            improved = true;
+            continue;
+          }
+        }
+      }
+      lambda *= 10;
+    }
+    // No step helps any more: the fit sits at a minimum
+    if (!improved) converged = true;
+  }
+
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += zs[i];
+  mean /= n;
+  let sst = 0;
+  for (let i = 0; i < n; i++) sst += (zs[i] - mean) * (zs[i] - mean);
+
+  const [A, B, cx, cy, a, b, c] = p;
+  const pDet = a * c - b * b;
+  return {
+    amplitude: A,
+    offset: B,
+    cx,
+    cy,
+    covariance: { xx: c / pDet, yy: a / pDet, xy: -b / pDet },
+    iterations,
+    converged,
+    sse,
+    rms: Math.sqrt(sse / n),
+    rSquared: sst > 0 ? 1 - sse / sst : null,
+  };
+};
@@ -0,0 +1,289 @@
+import { countPoints, DEFAULT_COUNT_PARAMS } from './count.js';
+import { roiMask } from './roi.js';
+import { pixelScale } from './calibration.js';
+
+// Regular dot-grid analysis: fits an affine 2D lattice
+//
+//   p(col, row) = origin + i * a + j * b
+//
+// to the dot centroids from Count Points and reports the pitch, rotation,
+// missing and extra dots and every dot's displacement from its lattice site.
+
+export const DEFAULT_GRID_PARAMS = {
+  ...DEFAULT_COUNT_PARAMS,
+  hx: 1.0, // actual width / height of the frame, as in Energy Analysis
+  hy: 1.0,
+};
+
+// Dots further than this fraction of the smaller pitch from their lattice
+// site do not belong to the lattice
+const OFF_LATTICE = 0.35;
+const NEIGHBOURS = 4;
+const REFINE_PASSES = 4;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = Float64Array.from(values).sort();
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Vectors from every point to its NEIGHBOURS nearest neighbours, found
+// through a bucket grid sized to the mean point spacing. A single row or
+// column has next to no area, so the cells are at least the mean spacing
+// along the longer extent; a point with no neighbour in reach of its cell
+// falls back to searching all the others.
+const neighbourVectors = (points) => {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const p of points) {
+    x0 = Math.min(x0, p.x); x1 = Math.max(x1, p.x);
+    y0 = Math.min(y0, p.y); y1 = Math.max(y1, p.y);
+  }
+  const cell = Math.max(1, Math.sqrt(((x1 - x0 + 1) * (y1 - y0 + 1)) / points.length), Math.max(x1 - x0, y1 - y0) / points.length);
+  const cols = Math.floor((x1 - x0) / cell) + 1;
+  const buckets = new Map();
+  const keyOf = (cx, cy) => cy * cols + cx;
+  points.forEach((p, k) => {
+    const key = keyOf(Math.floor((p.x - x0) / cell), Math.floor((p.y - y0) / cell));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(k);
+  });
+
+  const vectors = [];
+  points.forEach((p, k) => {
+    const bx = Math.floor((p.x - x0) / cell);
+    const by = Math.floor((p.y - y0) / cell);
+    const near = [];
+    for (let cy = by - 2; cy <= by + 2; cy++) {
+      for (let cx = bx - 2; cx <= bx + 2; cx++) {
+        if (cx < 0 || cx >= cols) continue;
+        for (const q of buckets.get(keyOf(cx, cy)) || []) {
+          if (q !== k) near.push({ dx: points[q].x - p.x, dy: points[q].y - p.y });
+        }
+      }
+    }
+    if (near.length === 0) {
+      points.forEach((q, j) => {
+        if (j !== k) near.push({ dx: q.x - p.x, dy: q.y - p.y });
+      });
+    }
+    near.sort((u, v) => (u.dx * u.dx + u.dy * u.dy) - (v.dx * v.dx + v.dy * v.dy));
+    vectors.push(...near.slice(0, NEIGHBOURS));
+  });
+  return vectors;
+};
+
+// Initial lattice from the neighbour vectors: the rotation is the dominant
+// direction modulo 90 degrees, the pitches the median step along and across it
+const initialLattice = (points) => {
+  const vectors = neighbourVectors(points);
+  let c = 0;
+  let s = 0;
+  for (const { dx, dy } of vectors) {
+    const phi = Math.atan2(dy, dx);
+    c += Math.cos(4 * phi);
+    s += Math.sin(4 * phi);
+  }
+  const theta = Math.atan2(s, c) / 4; // (-45, 45] degrees
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const along = [];
+  const across = [];
+  for (const { dx, dy } of vectors) {
+    const u = dx * cos + dy * sin;
+    const v = -dx * sin + dy * cos;
+    if (Math.abs(u) >= Math.abs(v)) along.push(Math.abs(u)); else across.push(Math.abs(v));
+  }
+  const pu = median(along) ?? median(across);
+  const pv = median(across) ?? pu;
+  if (!(pu > 0) || !(pv > 0)) {
+    throw new Error("Could not determine the grid pitch: the dots have no distinct neighbours.");
+  }
+
+  // Start from the dot nearest the middle of the pattern
+  const mx = median(points.map(p => p.x));
+  const my = median(points.map(p => p.y));
+  let origin = points[0];
+  for (const p of points) {
+    if (Math.hypot(p.x - mx, p.y - my) < Math.hypot(origin.x - mx, origin.y - my)) origin = p;
+  }
+  return {
+    origin: { x: origin.x, y: origin.y },
+    a: { x: pu * cos, y: pu * sin },
+    b: { x: -pv * sin, y: pv * cos },
+  };
+};
+
+const predict = (lattice, i, j) => ({
+  x: lattice.origin.x + i * lattice.a.x + j * lattice.b.x,
+  y: lattice.origin.y + i * lattice.a.y + j * lattice.b.y,
+});
+
+// Nearest lattice index of every point; of several points on the same site
+// only the closest keeps it. -> Map "i,j" -> { k, i, j, dist }
+const assignSites = (points, lattice) => {
+  const { a, b, origin } = lattice;
+  const det = a.x * b.y - a.y * b.x;
+  const sites = new Map();
+  points.forEach((p, k) => {
+    const rx = p.x - origin.x;
+    const ry = p.y - origin.y;
+    const i = Math.round((rx * b.y - ry * b.x) / det);
+    const j = Math.round((ry * a.x - rx * a.y) / det);
+    const site = predict(lattice, i, j);
+    const dist = Math.hypot(p.x - site.x, p.y - site.y);
+    const key = `${i},${j}`;
+    const held = sites.get(key);
+    if (!held || dist < held.dist) sites.set(key, { k, i, j, dist });
+  });
+  return sites;
+};
+
+// Solves the 3x3 system M x = r by Cramer's rule
+const solve3 = (M, r) => {
+  const det3 = (m) => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const d = det3(M);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map(col => det3(M.map((row, k) => row.map((v, c) => (c === col ? r[k] : v)))) / d);
+};
+
+// Least-squares origin and basis through the assigned sites
+const fitLattice = (points, sites, lattice) => {
+  const M = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rx = [0, 0, 0];
+  const ry = [0, 0, 0];
+  for (const { k, i, j } of sites.values()) {
+    const f = [1, i, j];
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) M[r][c] += f[r] * f[c];
+      rx[r] += f[r] * points[k].x;
+      ry[r] += f[r] * points[k].y;
+    }
+  }
+  const sx = solve3(M, rx);
+  const sy = solve3(M, ry);
+  // A single row or column leaves one basis vector undetermined
+  if (!sx || !sy) return lattice;
+  return {
+    origin: { x: sx[0], y: sy[0] },
+    a: { x: sx[1], y: sy[1] },
+    b: { x: sx[2], y: sy[2] },
+  };
+};
+
+// Fits the lattice to `points` ([{ id, x, y }], pixel coordinates) and sorts
+// the dots into lattice members and extras. `mask` (optional) limits where
+// missing dots are looked for; `s_x` / `s_y` convert px to actual units.
+export const analyzeLattice = (points, { width, height, mask = null, s_x = 1, s_y = 1 }) => {
+  if (points.length < 3) throw new Error("Grid analysis needs at least 3 dots.");
+
+  let lattice = initialLattice(points);
+  let sites = assignSites(points, lattice);
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    const tolerance = OFF_LATTICE * Math.min(Math.hypot(lattice.a.x, lattice.a.y), Math.hypot(lattice.b.x, lattice.b.y));
+    const members = new Map([...sites].filter(([, s]) => s.dist <= tolerance));
+    lattice = fitLattice(points, members.size >= 3 ? members : sites, lattice);
+    sites = assignSites(points, lattice);
+  }
+
+  const pitchX = Math.hypot(lattice.a.x, lattice.a.y);
+  const pitchY = Math.hypot(lattice.b.x, lattice.b.y);
+  const tolerance = OFF_LATTICE * Math.min(pitchX, pitchY);
+
+  // Lattice members, re-indexed so that row 0 / column 0 is the top-left site
+  const members = [...sites.values()].filter(s => s.dist <= tolerance);
+  let iMin = Infinity, iMax = -Infinity, jMin = Infinity, jMax = -Infinity;
+  for (const { i, j } of members) {
+    iMin = Math.min(iMin, i); iMax = Math.max(iMax, i);
+    jMin = Math.min(jMin, j); jMax = Math.max(jMax, j);
+  }
+  const memberOf = new Map(members.map(s => [s.k, s]));
+
+  const dots = [];
+  const extra = [];
+  let sumSq = 0;
+  let sumSqReal = 0;
+  let maxDisplacement = 0;
+  points.forEach((p, k) => {
+    const s = memberOf.get(k);
+    if (!s) {
+      extra.push({ id: p.id, x: p.x, y: p.y });
+      return;
+    }
+    const site = predict(lattice, s.i, s.j);
+    const dx = p.x - site.x;
+    const dy = p.y - site.y;
+    const displacement = Math.hypot(dx, dy);
+    sumSq += dx * dx + dy * dy;
+    sumSqReal += (dx * s_x) ** 2 + (dy * s_y) ** 2;
+    maxDisplacement = Math.max(maxDisplacement, displacement);
+    dots.push({ id: p.id, row: s.j - jMin, col: s.i - iMin, x: p.x, y: p.y, siteX: site.x, siteY: site.y, dx, dy, displacement });
+  });
+  dots.sort((u, v) => u.row - v.row || u.col - v.col);
+
+  // Empty sites inside the pattern's row / column range and inside the frame
+  const missing = [];
+  for (let j = jMin; j <= jMax; j++) {
+    for (let i = iMin; i <= iMax; i++) {
+      if (sites.has(`${i},${j}`) && memberOf.has(sites.get(`${i},${j}`).k)) continue;
+      const site = predict(lattice, i, j);
+      const px = Math.round(site.x);
+      const py = Math.round(site.y);
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      if (mask && !mask[py * width + px]) continue;
+      missing.push({ row: j - jMin, col: i - iMin, x: site.x, y: site.y });
+    }
+  }
+
+  const scaled = (v) => Math.hypot(v.x * s_x, v.y * s_y);
+  const angleA = Math.atan2(lattice.a.y, lattice.a.x);
+  const angleB = Math.atan2(lattice.b.y, lattice.b.x);
+  const n = dots.length;
+  return {
+    rows: jMax - jMin + 1,
+    cols: iMax - iMin + 1,
+    origin: predict(lattice, iMin, jMin),
+    a: lattice.a,
+    b: lattice.b,
+    pitchX,
+    pitchY,
+    pitchXReal: scaled(lattice.a),
+    pitchYReal: scaled(lattice.b),
+    rotationDeg: (angleA * 180) / Math.PI,
+    // Deviation of the angle between the lattice axes from 90 degrees
+    shearDeg: ((angleB - angleA) * 180) / Math.PI - 90,
+    rmsDistortion: n > 0 ? Math.sqrt(sumSq / n) : 0,
+    rmsDistortionReal: n > 0 ? Math.sqrt(sumSqReal / n) : 0,
+    maxDistortion: maxDisplacement,
+    dots,
+    missing,
+    extra,
+  };
+};
+
+// Count Points followed by the lattice fit. Fitted sub-pixel centres are used
+// where available. `onProgress(fraction, stage)` covers both steps.
+export const analyzeGrid = (cv, image, params = {}, { onProgress } = {}) => {
+  const progress = onProgress || (() => {});
+  const count = countPoints(cv, image, params, { onProgress: (f, stage) => progress(f * 0.9, stage) });
+
+  progress(0.9, "Fitting lattice");
+  const points = count.objects.map(obj => (obj.fitOk
+    ? { id: obj.id, x: obj.fitX, y: obj.fitY }
+    : { id: obj.id, x: obj.cx, y: obj.cy }));
+  const w = image.width;
+  const h = image.height;
+  const { s_x, s_y, calibration } = pixelScale(params, w, h, DEFAULT_GRID_PARAMS);
+  const grid = analyzeLattice(points, {
+    width: w,
+    height: h,
+    mask: params.roi ? roiMask(params.roi, w, h) : null,
+    s_x,
+    s_y,
+  });
+
+  progress(1, "Done");
+  return { ...count, function: 'grid', calibration, grid };
+};
@@ -0,0 +1,27 @@
+// UI-independent analysis engine. Everything here works on plain pixel
+// buffers and returns structured results, so it can run in the browser or
+// from Node scripts (see bin/dot-analyzer.js).
+export { analyzeD86, parseEnergyLevels, DEFAULT_D86_PARAMS } from './d86.js';
+export { analyzeD4Sigma, analyzeGaussianFit, DEFAULT_BEAM_PARAMS } from './beam.js';
+export { fitGaussian2D } from './gaussfit.js';
+export { principalAxes, secondMoments } from './moments.js';
+export { analyzeGrid, analyzeLattice, DEFAULT_GRID_PARAMS } from './grid.js';
+export { analyzeMultiSpot, spotUniformity, DEFAULT_MULTISPOT_PARAMS, SPOT_STAT_COLUMNS } from './multispot.js';
+export { countPoints, countMask, DEFAULT_COUNT_PARAMS, THRESHOLD_TYPES, MORPHOLOGY_OPS } from './count.js';
+export { correctBackground, energyImage, BACKGROUND_MODES, CORNERS } from './background.js';
+export { toIntensity, intensityImage, radiometrySettings, parseChannelWeights, CHANNEL_MODES } from './radiometry.js';
+export { pixelScale, normalizeCalibration, normalizeUnit, unitLabel, formatCalibration, lineLength, pixelSizeFromLine, LENGTH_UNITS } from './calibration.js';
+export { roiMask, formatRoi, parseRoi, stringifyRoi, ROI_TYPES } from './roi.js';
+export { toLuminance, toDisplayImage, saturationStats, dataRange, pixelValue, luminanceAt } from './raster.js';
+export { otsuLevel, histogramLevel, THRESHOLD_BINS } from './threshold.js';
+export { decodeImageFile, decodePng, isNativeFormat, isPng, NATIVE_EXTENSIONS, DEFAULT_RAW_OPTIONS } from './formats/index.js';
+export { measureObjects, summarizeObjects, calibrateObjects, OBJECT_COLUMNS, SUMMARY_COLUMNS, CALIBRATED_COLUMNS } from './objects.js';
+export { separateObjects } from './separate.js';
+export { withNeighbourDistances, spatialStats, histogram, histogramMeasures, histogramRows, histogramsCsv, densityMap, defaultCellSize, densityMapCsv, HISTOGRAM_MEASURES, HISTOGRAM_COLUMNS, DENSITY_COLUMNS } from './spatial.js';
+export { applyCorrections, toggleCorrection, hasCorrections, NO_CORRECTIONS } from './corrections.js';
+export { fitSpots, FIT_COLUMNS } from './spotfit.js';
+export { formatReport, formatThreshold, saturationWarning, resultRow, toCsv, objectRows, objectColumns, objectsCsv, objectsJson, curveCsv, levelsCsv, gridRows, gridCsv, spotsCsv, RESULT_COLUMNS, CURVE_COLUMNS, LEVEL_COLUMNS, GRID_COLUMNS, SPOT_COLUMNS } from './report.js';
+export { lineProfile, measureProfile, analyzeProfile, axisProfiles, axisProfileLines, profileRows, profileCsv, PROFILE_COLUMNS } from './profile.js';
+export { timeSeriesRows, driftStats, formatDrift, timeSeriesCsv, TIME_SERIES_COLUMNS, DRIFT_COLUMNS } from './timeseries.js';
+export { compareImages, compareResults, comparisonImage, formatComparison, comparisonCsv, COMPARISON_COLUMNS, REGISTRATION_METHODS, COMPARE_MAPS, DEFAULT_COMPARE_PARAMS } from './compare.js';
+export { resultDocument, resultDocumentJson, opencvVersion, FUNCTION_TITLES, RESULT_SCHEMA, RESULT_SCHEMA_VERSION } from './document.js';
@@ -0,0 +1,89 @@
+// Energy-weighted centroid and second moments, shared by the D86, D4-sigma
+// and Gaussian fit analyses.
+
+// Principal axes of the 2x2 covariance [[xx, xy], [xy, yy]]: eigenvalues
+// lambda1 >= lambda2 and the angle `theta` (0 ~ PI, image coordinates) of the
+// lambda1 axis.
+export const principalAxes = ({ xx, yy, xy }) => {
+  // [[A, B], [B, C]] => characteristic eq: lambda^2 - (A+C)lambda + (AC-B^2) = 0
+  const trace = xx + yy;
+  const det = xx * yy - xy * xy;
+  const delta = Math.sqrt(Math.max(0, trace * trace - 4 * det));
+  const lambda1 = (trace + delta) / 2;
+  const lambda2 = Math.max(0, (trace - delta) / 2);
+
+  // Eigenvector for lambda1: (A - lambda1)x + By = 0 => direction (B, lambda1 - A).
+  // If B = 0 the axes are aligned: angle 0 when xx >= yy, else 90 deg.
+  let theta = Math.abs(xy) > 1e-9 ? Math.atan2(lambda1 - xx, xy) : (xx >= yy ? 0 : Math.PI / 2);
+  theta %= Math.PI;
+  if (theta < 0) theta += Math.PI;
+  return { lambda1, lambda2, theta };
+};
+
+// Pixel-unit covariance scaled to actual units by the pixel pitch s_x, s_y
+export const scaleCovariance = ({ xx, yy, xy }, s_x, s_y) => ({
+  xx: xx * s_x * s_x,
+  yy: yy * s_y * s_y,
+  xy: xy * s_x * s_y,
+});
+
+// Centroid and central second moments (pixel units) of the gray values
+// `gray`, optionally only inside the rectangle `area` = { cx, cy, halfU,
+// halfV, rotation }, whose half sides halfU / halfV run along `rotation` and
+// across it. Returns null when the area holds no energy.
+export const secondMoments = (gray, w, h, area = null) => {
+  let x0 = 0;
+  let x1 = w - 1;
+  let y0 = 0;
+  let y1 = h - 1;
+  let cos = 1;
+  let sin = 0;
+  if (area) {
+    cos = Math.cos(area.rotation);
+    sin = Math.sin(area.rotation);
+    const ex = Math.abs(area.halfU * cos) + Math.abs(area.halfV * sin);
+    const ey = Math.abs(area.halfU * sin) + Math.abs(area.halfV * cos);
+    x0 = Math.max(0, Math.floor(area.cx - ex));
+    x1 = Math.min(w - 1, Math.ceil(area.cx + ex));
+    y0 = Math.max(0, Math.floor(area.cy - ey));
+    y1 = Math.min(h - 1, Math.ceil(area.cy + ey));
+  }
+  const inside = (x, y) => {
+    if (!area) return true;
+    const dx = x - area.cx;
+    const dy = y - area.cy;
+    return Math.abs(dx * cos + dy * sin) <= area.halfU && Math.abs(-dx * sin + dy * cos) <= area.halfV;
+  };
+
+  let E = 0;
+  let sx = 0;
+  let sy = 0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const v = gray[y * w + x];
+      if (v === 0 || !inside(x, y)) continue;
+      E += v;
+      sx += v * x;
+      sy += v * y;
+    }
+  }
+  if (!(E > 0)) return null;
+  const cx = sx / E;
+  const cy = sy / E;
+
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const v = gray[y * w + x];
+      if (v === 0 || !inside(x, y)) continue;
+      const dx = x - cx;
+      const dy = y - cy;
+      xx += v * dx * dx;
+      yy += v * dy * dy;
+      xy += v * dx * dy;
+    }
+  }
+  return { energy: E, cx, cy, xx: xx / E, yy: yy / E, xy: xy / E };
+};
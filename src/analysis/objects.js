@@ -0,0 +1,153 @@
+// Per-object measurements for Count Points, and the column / summary helpers
+// used to tabulate them.
+
+// Numeric columns of the object table, in display order
+export const OBJECT_COLUMNS = [
+  'id',
+  'cx',
+  'cy',
+  'area',
+  'x',
+  'y',
+  'width',
+  'height',
+  'equivDiameter',
+  'perimeter',
+  'circularity',
+  'meanIntensity',
+  'integratedIntensity',
+  'nnDistance',
+];
+
+// Columns that get summary statistics (the bounding box origin and the ID
+// are positions, not measurements)
+export const SUMMARY_COLUMNS = [
+  'area',
+  'width',
+  'height',
+  'equivDiameter',
+  'perimeter',
+  'circularity',
+  'meanIntensity',
+  'integratedIntensity',
+  'nnDistance',
+];
+
+// Outer boundary of every labelled component, keyed by label, as
+// { perimeter, points } where `points` is the flat [x0, y0, x1, y1, ...]
+// pixel-centre contour if `withPoints` is set.
+// RETR_CCOMP puts outer boundaries at the top level (parent -1), including
+// components sitting inside another component's hole. The contour runs
+// through pixel centres; moving it out by half a pixel to the pixel edges
+// adds 2 * pi * 0.5 to its length (Steiner's formula).
+const outlines = (cv, bw, labels, withPoints) => {
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  const result = new Map();
+  try {
+    cv.findContours(bw, contours, hierarchy, cv.RETR_CCOMP, cv.CHAIN_APPROX_NONE);
+    const cols = labels.cols;
+    for (let i = 0; i < contours.size(); i++) {
+      if (hierarchy.data32S[i * 4 + 3] !== -1) continue;
+      const contour = contours.get(i);
+      const [x, y] = contour.data32S;
+      result.set(labels.data32S[y * cols + x], {
+        perimeter: cv.arcLength(contour, true) + Math.PI,
+        points: withPoints ? Array.from(contour.data32S) : null,
+      });
+      contour.delete();
+    }
+  } finally {
+    contours.delete();
+    hierarchy.delete();
+  }
+  return result;
+};
+
+// Fills in centroid, shape and intensity measurements for `objects` (as built
+// from connectedComponentsWithStats, with `label`, `area` and bounding box).
+// `intensity` is the unblurred gray image in sensor units. Objects are
+// numbered 1..N in label order as `id`. With `withContours` each object also
+// gets its outline as `contour`, for drawing.
+export const measureObjects = (cv, objects, { bw, labels, centroids, intensity, withContours = false }) => {
+  const outlineOf = outlines(cv, bw, labels, withContours);
+
+  const sums = new Float64Array(centroids.rows);
+  const labelData = labels.data32S;
+  for (let i = 0; i < labelData.length; i++) {
+    if (labelData[i] > 0) sums[labelData[i]] += intensity[i];
+  }
+
+  const c = centroids.data64F;
+  return objects.map((obj, k) => {
+    const outline = outlineOf.get(obj.label);
+    const perimeter = outline ? outline.perimeter : null;
+    // 4 pi A / P^2, capped at 1 like ImageJ since tiny blobs can overshoot
+    const circularity = perimeter ? Math.min(1, (4 * Math.PI * obj.area) / (perimeter * perimeter)) : null;
+    return {
+      id: k + 1,
+      ...obj,
+      cx: c[obj.label * 2],
+      cy: c[obj.label * 2 + 1],
+      equivDiameter: Math.sqrt((4 * obj.area) / Math.PI),
+      perimeter,
+      circularity,
+      meanIntensity: sums[obj.label] / obj.area,
+      integratedIntensity: sums[obj.label],
+      ...(withContours && { contour: outline ? outline.points : [] }),
+    };
+  });
+};
+
+// { column: { mean, std, min, max } } over `objects`; std is the sample
+// standard deviation (0 for a single object). Null values are skipped.
+export const summarizeObjects = (objects, columns = SUMMARY_COLUMNS) => {
+  const summary = {};
+  for (const col of columns) {
+    const values = objects.map(obj => obj[col]).filter(v => v !== null && v !== undefined);
+    if (values.length === 0) {
+      summary[col] = { mean: null, std: null, min: null, max: null };
+      continue;
+    }
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      sum += v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    const mean = sum / values.length;
+    let sq = 0;
+    for (const v of values) sq += (v - mean) * (v - mean);
+    const std = values.length > 1 ? Math.sqrt(sq / (values.length - 1)) : 0;
+    summary[col] = { mean, std, min, max };
+  }
+  return summary;
+};
+
+// Columns added by calibrateObjects, in the calibration's unit (unit^2 for
+// the area)
+export const CALIBRATED_COLUMNS = [
+  'areaCal',
+  'equivDiameterCal',
+  'perimeterCal',
+  'nnDistanceCal',
+];
+
+// Adds the calibrated size and nearest-neighbour columns to every object;
+// missing values (dots added by hand have no size) stay null. Lengths that do
+// not run along an axis use the geometric mean pixel size, exact for square
+// pixels.
+export const calibrateObjects = (objects, { pixelWidth, pixelHeight }) => {
+  const pixelArea = pixelWidth * pixelHeight;
+  const pixelLength = Math.sqrt(pixelArea);
+  const scale = (value, factor) => (value === null || value === undefined ? null : value * factor);
+  return objects.map(obj => ({
+    ...obj,
+    areaCal: scale(obj.area, pixelArea),
+    equivDiameterCal: scale(obj.equivDiameter, pixelLength),
+    perimeterCal: scale(obj.perimeter, pixelLength),
+    nnDistanceCal: scale(obj.nnDistance, pixelLength),
+  }));
+};
@@ -0,0 +1,169 @@
+import { luminanceAt } from './raster.js';
+import { toCsv } from './report.js';
+
+// Intensity profiles: the image sampled along a straight line, and the width
+// of the peak on it. Colour images are sampled as their luminance; pass an
+// intensityImage() to sample the radiometric input of the energy analyses.
+//
+// A line is [x1, y1, x2, y2] in image px (pixel centres at whole numbers,
+// like the centroids). Positions along it are converted with the pixel pitch
+// of a calibration (see calibration.js), or stay in px without one.
+
+const STEP = 0.5; // px between samples
+
+// Share of the samples at each end of a profile that make up its background
+const EDGE_FRACTION = 0.1;
+
+// Axis profiles reach this many D86 major axes to either side of the
+// centroid, but at least MIN_HALF_LENGTH px
+const PROFILE_REACH = 1.5;
+const MIN_HALF_LENGTH = 8;
+
+export const PROFILE_COLUMNS = ['profile', 'position', 'positionPx', 'x', 'y', 'value'];
+
+// Bilinear interpolation of the luminance (or the one channel) at (x, y),
+// clamped to the image
+const sampleAt = (image, x, y) => {
+  const px = Math.min(Math.max(x, 0), image.width - 1);
+  const py = Math.min(Math.max(y, 0), image.height - 1);
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, image.width - 1);
+  const y1 = Math.min(y0 + 1, image.height - 1);
+  const fx = px - x0;
+  const fy = py - y0;
+  const top = luminanceAt(image, x0, y0) * (1 - fx) + luminanceAt(image, x1, y0) * fx;
+  const bottom = luminanceAt(image, x0, y1) * (1 - fx) + luminanceAt(image, x1, y1) * fx;
+  return top * (1 - fy) + bottom * fy;
+};
+
+// Samples of the image every half pixel along `line`:
+// { line, lengthPx, length, samples: [{ position, positionPx, x, y, value }] }
+// where `position` / `length` are in the calibration's unit (px without one).
+export const lineProfile = (image, line, calibration = null) => {
+  const [x1, y1, x2, y2] = line;
+  const sx = calibration?.pixelWidth ?? 1;
+  const sy = calibration?.pixelHeight ?? 1;
+  const lengthPx = Math.hypot(x2 - x1, y2 - y1);
+  const length = Math.hypot((x2 - x1) * sx, (y2 - y1) * sy);
+  const n = Math.max(2, Math.floor(lengthPx / STEP) + 1);
+  const samples = [];
+  for (let k = 0; k < n; k++) {
+    const t = k / (n - 1);
+    const x = x1 + (x2 - x1) * t;
+    const y = y1 + (y2 - y1) * t;
+    samples.push({ position: t * length, positionPx: t * lengthPx, x, y, value: sampleAt(image, x, y) });
+  }
+  return { line, lengthPx, length, samples };
+};
+
+// Where the profile falls to `level` walking from sample `from` in steps of
+// `dir`, interpolated between samples; null if it never does
+const crossing = (samples, from, dir, level) => {
+  for (let k = from + dir; k >= 0 && k < samples.length; k += dir) {
+    if (samples[k].value <= level) {
+      const inner = samples[k - dir];
+      const outer = samples[k];
+      const f = (inner.value - level) / (inner.value - outer.value);
+      return {
+        position: inner.position + (outer.position - inner.position) * f,
+        positionPx: inner.positionPx + (outer.positionPx - inner.positionPx) * f,
+      };
+    }
+  }
+  return null;
+};
+
+// Full width of the peak at `fraction` of its height above the background
+const widthAt = (samples, peakIndex, background, peak, fraction) => {
+  const level = background + fraction * (peak - background);
+  const left = crossing(samples, peakIndex, -1, level);
+  const right = crossing(samples, peakIndex, 1, level);
+  if (!left || !right) return { width: null, widthPx: null };
+  return { width: right.position - left.position, widthPx: right.positionPx - left.positionPx };
+};
+
+// Peak and widths of a lineProfile(): { peak, peakPosition, background,
+// peakToBackground, fwhm, fwhmPx, e2Width, e2WidthPx }. The background is
+// the mean of the outer tenth of the samples at both ends; the FWHM and the
+// 1/e² width are measured from it, and are null where the profile does not
+// fall that far on both sides of the peak. `peakToBackground` is the ratio
+// of the two, null without a positive background.
+export const measureProfile = ({ samples }) => {
+  const edge = Math.max(1, Math.round(samples.length * EDGE_FRACTION));
+  const ends = [...samples.slice(0, edge), ...samples.slice(-edge)];
+  const background = ends.reduce((sum, s) => sum + s.value, 0) / ends.length;
+  let peakIndex = 0;
+  for (let k = 1; k < samples.length; k++) {
+    if (samples[k].value > samples[peakIndex].value) peakIndex = k;
+  }
+  const peak = samples[peakIndex].value;
+  const flat = !(peak > background);
+  const half = flat ? { width: null, widthPx: null } : widthAt(samples, peakIndex, background, peak, 0.5);
+  const e2 = flat ? { width: null, widthPx: null } : widthAt(samples, peakIndex, background, peak, Math.exp(-2));
+  return {
+    peak,
+    peakPosition: samples[peakIndex].position,
+    background,
+    peakToBackground: background > 0 ? peak / background : null,
+    fwhm: half.width,
+    fwhmPx: half.widthPx,
+    e2Width: e2.width,
+    e2WidthPx: e2.widthPx,
+  };
+};
+
+// Part of the line through (cx, cy) along the unit vector (dx, dy) that is
+// within `half` px of the centre and inside a w x h image
+const clipLine = (cx, cy, dx, dy, half, w, h) => {
+  let lo = -half;
+  let hi = half;
+  for (const [c, d, max] of [[cx, dx, w - 1], [cy, dy, h - 1]]) {
+    if (Math.abs(d) < 1e-12) continue;
+    const t0 = (0 - c) / d;
+    const t1 = (max - c) / d;
+    lo = Math.max(lo, Math.min(t0, t1));
+    hi = Math.min(hi, Math.max(t0, t1));
+  }
+  return [cx + lo * dx, cy + lo * dy, cx + hi * dx, cy + hi * dy];
+};
+
+// Lines along the major and minor axes of a D86 result, through its
+// centroid: { major, minor }. The axes are perpendicular in actual units,
+// so with non-square pixels they are not quite perpendicular in px.
+export const axisProfileLines = (result) => {
+  const { x: cx, y: cy } = result.centroid;
+  const { pixelWidth: sx, pixelHeight: sy } = result.calibration;
+  const half = Math.max(MIN_HALF_LENGTH, PROFILE_REACH * result.majorAxisPx);
+  const axis = (ux, uy) => {
+    const dx = ux / sx;
+    const dy = uy / sy;
+    const norm = Math.hypot(dx, dy);
+    return clipLine(cx, cy, dx / norm, dy / norm, half, result.width, result.height);
+  };
+  const cos = Math.cos(result.thetaRad);
+  const sin = Math.sin(result.thetaRad);
+  return { major: axis(cos, sin), minor: axis(-sin, cos) };
+};
+
+// Profile with its measurements, samples included
+export const analyzeProfile = (image, line, calibration = null) => {
+  const profile = lineProfile(image, line, calibration);
+  return { ...profile, ...measureProfile(profile) };
+};
+
+// Axis profiles of a D86 result of `image`, without the samples:
+// { major, minor }, each { line, length, lengthPx, ...measureProfile() }
+export const axisProfiles = (image, result) => {
+  const lines = axisProfileLines(result);
+  const summary = (line) => {
+    const profile = lineProfile(image, line, result.calibration);
+    return { line, length: profile.length, lengthPx: profile.lengthPx, ...measureProfile(profile) };
+  };
+  return { major: summary(lines.major), minor: summary(lines.minor) };
+};
+
+// Long table of `profiles` ([{ name, samples }]): one row per sample
+export const profileRows = (profiles) => profiles.flatMap(({ name, samples }) => samples.map(s => ({ profile: name, ...s })));
+
+export const profileCsv = (profiles) => toCsv(profileRows(profiles), PROFILE_COLUMNS);
@@ -0,0 +1,117 @@
+import { dataRange, imageChannels, imageMaxValue } from './raster.js';
+
+// Radiometric input for the energy analyses: how the colour samples of a
+// pixel become the intensity whose energy is summed.
+//   'luminance' - 0.299 R + 0.587 G + 0.114 B, as toLuminance()
+//   'red' / 'green' / 'blue' - that channel only
+//   'max'       - the brightest channel of each pixel
+//   'custom'    - channelWeights [r, g, b], scaled to sum to 1
+// With `linearize`, every sample is first taken through the inverse sRGB
+// curve, so that 8-bit camera output sums like light rather than like
+// gamma-encoded values. Monochrome images have only the one channel, which
+// is still linearised if asked.
+export const CHANNEL_MODES = ['luminance', 'red', 'green', 'blue', 'max', 'custom'];
+
+const LUMINANCE_WEIGHTS = [0.299, 0.587, 0.114];
+
+const CHANNEL_WEIGHTS = {
+  luminance: LUMINANCE_WEIGHTS,
+  red: [1, 0, 0],
+  green: [0, 1, 0],
+  blue: [0, 0, 1],
+};
+
+const CHANNEL_LABELS = {
+  luminance: 'Luminance (0.299 R + 0.587 G + 0.114 B)',
+  red: 'Red channel',
+  green: 'Green channel',
+  blue: 'Blue channel',
+  max: 'Max of R, G, B',
+};
+
+// Weights from "r, g, b" text or an array, scaled to sum to 1
+export const parseChannelWeights = (value) => {
+  const parts = Array.isArray(value) ? value : String(value).split(/[,;\s]+/).filter(Boolean);
+  const weights = parts.map(Number);
+  if (weights.length !== 3 || weights.some(v => !Number.isFinite(v) || v < 0)) {
+    throw new Error(`Invalid channel weights "${value}", expected three non-negative numbers for R, G and B.`);
+  }
+  const sum = weights[0] + weights[1] + weights[2];
+  if (sum <= 0) throw new Error("Channel weights must not all be zero.");
+  return weights.map(v => v / sum);
+};
+
+// Inverse sRGB transfer function on [0, 1]
+const srgbToLinear = (v) => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+
+// Sample -> linear sample, both on [0, fullScale]. Integer data up to 16 bit
+// goes through a lookup table.
+const linearizer = (image) => {
+  const fullScale = imageMaxValue(image) ?? dataRange(image).max;
+  if (!(fullScale > 0)) return (v) => v;
+  const { data } = image;
+  const integer = data instanceof Uint8Array || data instanceof Uint8ClampedArray || data instanceof Uint16Array;
+  if (integer && fullScale <= 65535) {
+    const lut = new Float64Array(Math.floor(fullScale) + 1);
+    for (let i = 0; i < lut.length; i++) lut[i] = srgbToLinear(i / fullScale) * fullScale;
+    return (v) => (v < lut.length ? lut[v] : fullScale);
+  }
+  return (v) => srgbToLinear(Math.max(0, Math.min(1, v / fullScale))) * fullScale;
+};
+
+// Checked radiometric settings from `params` (channel, channelWeights,
+// linearize), with a label for the report
+export const radiometrySettings = (params = {}) => {
+  const channel = params.channel || 'luminance';
+  if (!CHANNEL_MODES.includes(channel)) {
+    throw new Error(`Unknown channel mode "${channel}". Expected ${CHANNEL_MODES.join(', ')}.`);
+  }
+  const weights = channel === 'custom'
+    ? parseChannelWeights(params.channelWeights ?? LUMINANCE_WEIGHTS)
+    : CHANNEL_WEIGHTS[channel] ?? null;
+  const linearize = Boolean(params.linearize);
+  const fmt = (v) => Number(v.toFixed(4));
+  let method = channel === 'custom'
+    ? `Weighted (${fmt(weights[0])} R + ${fmt(weights[1])} G + ${fmt(weights[2])} B)`
+    : CHANNEL_LABELS[channel];
+  if (linearize) method += ', sRGB linearised';
+  return { channel, weights, linearize, method };
+};
+
+// Intensity of every pixel of `image` under the radiometric settings in
+// `params`. -> { gray, radiometry }, where `radiometry` is
+// { channel, weights, linearize, method } for the result.
+export const toIntensity = (image, params = {}) => {
+  const settings = radiometrySettings(params);
+  const { width, height, data } = image;
+  const channels = imageChannels(image);
+  const gray = new Float64Array(width * height);
+  const lin = settings.linearize ? linearizer(image) : null;
+  const sample = lin ? (idx) => lin(data[idx]) : (idx) => data[idx];
+
+  if (channels === 1) {
+    for (let i = 0; i < gray.length; i++) gray[i] = sample(i);
+    return { gray, radiometry: { ...settings, method: `Monochrome${settings.linearize ? ', sRGB linearised' : ''}` } };
+  }
+  if (settings.channel === 'max') {
+    for (let i = 0, idx = 0; i < gray.length; i++, idx += channels) {
+      gray[i] = Math.max(sample(idx), sample(idx + 1), sample(idx + 2));
+    }
+  } else {
+    const [wr, wg, wb] = settings.weights;
+    for (let i = 0, idx = 0; i < gray.length; i++, idx += channels) {
+      gray[i] = sample(idx) * wr + sample(idx + 1) * wg + sample(idx + 2) * wb;
+    }
+  }
+  return { gray, radiometry: settings };
+};
+
+// toIntensity() as a one-channel engine image, so that profiles and other
+// samplers see the same signal the energy is summed on
+export const intensityImage = (image, params = {}) => ({
+  width: image.width,
+  height: image.height,
+  channels: 1,
+  data: toIntensity(image, params).gray,
+  maxValue: imageMaxValue(image),
+});
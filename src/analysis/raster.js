@@ -0,0 +1,120 @@
+// Helpers for working with decoded pixel buffers.
+//
+// An "image" throughout the analysis engine is an ImageData-like object:
+//   { width, height, data, channels?, bitDepth?, maxValue? }
+// `data` holds `channels` interleaved samples per pixel (default 4, RGBA).
+// Browser ImageData satisfies this directly as an 8-bit RGBA image. The
+// native decoders in ./formats produce 1 or 3 channel images in full sensor
+// precision (Uint16Array / Float32Array ...), with `maxValue` set to the
+// sensor's full-scale value, or null when it is unknown (floating point data).
+
+export const imageChannels = (image) => image.channels || 4;
+
+export const imageMaxValue = (image) => (image.maxValue === undefined ? 255 : image.maxValue);
+
+// True for plain 8-bit images, which take the exact OpenCV code paths
+export const is8Bit = (image) => imageMaxValue(image) === 255 &&
+  (image.data instanceof Uint8Array || image.data instanceof Uint8ClampedArray);
+
+// Colour samples (alpha left out) of the pixel at column x, row y
+export const pixelValue = (image, x, y) => {
+  const channels = imageChannels(image);
+  const idx = (y * image.width + x) * channels;
+  return Array.from(image.data.subarray(idx, idx + Math.min(channels, 3)));
+};
+
+// Luminance (see toLuminance) of the pixel at column x, row y
+export const luminanceAt = (image, x, y) => {
+  const channels = imageChannels(image);
+  const idx = (y * image.width + x) * channels;
+  const { data } = image;
+  return channels === 1 ? data[idx] : data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+};
+
+// Same weights as Python's Image.convert('L'):
+// L = R * 299/1000 + G * 587/1000 + B * 114/1000
+export const toLuminance = (image) => {
+  const { width, height, data } = image;
+  const channels = imageChannels(image);
+  const gray = new Float64Array(width * height);
+  if (channels === 1) {
+    for (let i = 0; i < gray.length; i++) gray[i] = data[i];
+    return gray;
+  }
+  for (let i = 0, idx = 0; i < gray.length; i++, idx += channels) {
+    gray[i] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+  }
+  return gray;
+};
+
+// Smallest and largest sample over the colour channels (alpha is ignored)
+export const dataRange = (image) => {
+  const channels = imageChannels(image);
+  const colour = Math.min(channels, 3);
+  const { data } = image;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let idx = 0; idx < data.length; idx += channels) {
+    for (let c = 0; c < colour; c++) {
+      const v = data[idx + c];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return { min, max };
+};
+
+// Pixels where any colour channel reaches the sensor maximum. `mask`, when
+// given, restricts the check to an ROI. Returns null if the full-scale value
+// is unknown.
+export const saturationStats = (image, mask = null) => {
+  const maxValue = imageMaxValue(image);
+  if (maxValue === null) return null;
+  const channels = imageChannels(image);
+  const colour = Math.min(channels, 3);
+  const { data } = image;
+  let count = 0;
+  let total = 0;
+  for (let i = 0, idx = 0; idx < data.length; i++, idx += channels) {
+    if (mask && !mask[i]) continue;
+    total++;
+    for (let c = 0; c < colour; c++) {
+      if (data[idx + c] >= maxValue) {
+        count++;
+        break;
+      }
+    }
+  }
+  return { maxValue, count, fraction: total > 0 ? count / total : 0 };
+};
+
+// Linear 8-bit RGBA rendering of any image, for display. Scales
+// [0, maxValue] (or the data range for floating point) to [0, 255].
+export const toDisplayImage = (image) => {
+  const { width, height, data } = image;
+  const channels = imageChannels(image);
+  const rgba = new Uint8ClampedArray(width * height * 4);
+
+  if (is8Bit(image) && channels === 4) {
+    rgba.set(data);
+    return { width, height, data: rgba };
+  }
+
+  let lo = 0;
+  let hi = imageMaxValue(image);
+  if (hi === null) ({ min: lo, max: hi } = dataRange(image));
+  const scale = hi > lo ? 255 / (hi - lo) : 0;
+
+  for (let i = 0, idx = 0; i < width * height; i++, idx += channels) {
+    const o = i * 4;
+    if (channels === 1) {
+      rgba[o] = rgba[o + 1] = rgba[o + 2] = (data[idx] - lo) * scale;
+    } else {
+      rgba[o] = (data[idx] - lo) * scale;
+      rgba[o + 1] = (data[idx + 1] - lo) * scale;
+      rgba[o + 2] = (data[idx + 2] - lo) * scale;
+    }
+    rgba[o + 3] = 255;
+  }
+  return { width, height, data: rgba };
+};
@@ -0,0 +1,524 @@
+import { formatRoi } from './roi.js';
+import { CALIBRATED_COLUMNS, OBJECT_COLUMNS } from './objects.js';
+import { FIT_COLUMNS } from './spotfit.js';
+import { formatCalibration, unitLabel } from './calibration.js';
+
+// Text and tabular views of analysis results. The web UI and the CLI both go
+// through these so that their numbers are formatted identically.
+
+// Warning line for clipped pixels; empty when nothing reached full scale
+export const saturationWarning = (saturation) => {
+  if (!saturation || saturation.count === 0) return '';
+  const pct = (saturation.fraction * 100).toFixed(3);
+  return `Warning: ${saturation.count} pixel(s) (${pct}%) saturated at sensor maximum ${saturation.maxValue}`;
+};
+
+const THRESHOLD_LABELS = {
+  otsu: 'Otsu',
+  binary: 'Binary',
+  custom: 'Custom',
+  triangle: 'Triangle',
+  yen: 'Yen',
+  li: 'Li',
+  adaptiveMean: 'Adaptive Mean',
+  adaptiveGaussian: 'Adaptive Gaussian',
+};
+
+// Threshold (and morphology) line of a count or mask result
+export const formatThreshold = (result) => {
+  let str = `Threshold: ${THRESHOLD_LABELS[result.thresholdType] || result.thresholdType}`;
+  if (result.adaptive) {
+    str += ` (block ${result.adaptive.blockSize} px, C ${result.adaptive.C})`;
+  } else if (result.threshold !== null && result.threshold !== undefined) {
+    str += `, level ${Number(result.threshold.toFixed(2))}`;
+  }
+  const morph = result.morphology;
+  if (morph) {
+    str += `\nMorphology: ${morph.op === 'open' ? 'Open' : 'Close'} (${morph.shape} ${morph.kernelSize}x${morph.kernelSize} px)`;
+  }
+  return str;
+};
+
+// `{unit}` in a label is replaced by the calibration's unit
+const SUMMARY_LINES = [
+  ['area', 'Area (px)', 1],
+  ['areaCal', 'Area ({unit}²)', 6],
+  ['equivDiameter', 'Equiv. Diameter (px)', 2],
+  ['equivDiameterCal', 'Equiv. Diameter ({unit})', 6],
+  ['circularity', 'Circularity', 3],
+  ['meanIntensity', 'Mean Intensity', 1],
+  ['nnDistance', 'Nearest Neighbour (px)', 2],
+  ['nnDistanceCal', 'Nearest Neighbour ({unit})', 6],
+  ['sigmaMajor', 'Fit Sigma Major (px)', 3],
+  ['sigmaMinor', 'Fit Sigma Minor (px)', 3],
+];
+
+const formatSummary = (summary, count, unit) => {
+  if (!summary || count === 0) return '';
+  let str = '';
+  for (const [key, label, digits] of SUMMARY_LINES) {
+    const s = summary[key];
+    if (!s || s.mean === null) continue;
+    str += `\n${label.replace('{unit}', unit)}: mean ${s.mean.toFixed(digits)}, std ${s.std.toFixed(digits)}, min ${s.min.toFixed(digits)}, max ${s.max.toFixed(digits)}`;
+  }
+  return str;
+};
+
+// Density, coverage and clustering of a count result (see spatial.js)
+const formatSpatial = (spatial) => {
+  if (!spatial || spatial.count === 0) return '';
+  const sig = (v) => Number(v.toPrecision(4));
+  const cal = spatial.calibrated;
+  let str = `\nDensity: ${sig(spatial.density)} / px²`;
+  if (cal) str += ` (${sig(cal.density)} / ${cal.unit}²)`;
+  str += `\nCoverage: ${(spatial.coverage * 100).toFixed(2)}%`;
+  if (spatial.clarkEvans !== null) {
+    str += `\nClark-Evans R: ${spatial.clarkEvans.toFixed(3)} (z ${spatial.clarkEvansZ.toFixed(2)}, ${spatial.pattern})`;
+    str += cal
+      ? `, mean NN ${sig(cal.meanNnDistance)} ${cal.unit} vs ${sig(cal.expectedNnDistance)} ${cal.unit} if random`
+      : `, mean NN ${spatial.meanNnDistance.toFixed(2)} px vs ${spatial.expectedNnDistance.toFixed(2)} px if random`;
+  }
+  return str;
+};
+
+// Diameters at every energy level of a d86 result, one line per level
+const formatLevels = (levels, unit) => {
+  if (!levels || levels.length === 0) return '';
+  let str = `\nEnergy Levels (${unit}):`;
+  for (const l of levels) {
+    str += `\n  D${l.level}: major ${l.majorAxis.toFixed(6)}, minor ${l.minorAxis.toFixed(6)}, equiv. diameter ${l.equivDiameter.toFixed(6)}, gamma ${l.gamma.toFixed(4)}`;
+  }
+  return str;
+};
+
+// FWHM, 1/e² width and peak-to-background of the axis profiles of a d86
+// result (see profile.js)
+const formatProfiles = (profiles, unit) => {
+  if (!profiles) return '';
+  const fmt = (v, digits) => (v === null ? 'n/a' : v.toFixed(digits));
+  let str = `\nAxis Profiles (${unit}):`;
+  for (const [name, label] of [['major', 'Major'], ['minor', 'Minor']]) {
+    const p = profiles[name];
+    str += `\n  ${label}: FWHM ${fmt(p.fwhm, 6)}, 1/e² width ${fmt(p.e2Width, 6)}, peak/background ${fmt(p.peakToBackground, 2)}`;
+  }
+  return str;
+};
+
+// Pixel size line of a result measured with a calibration profile
+const formatCalibrationLine = (result) => (result.calibration?.unit
+  ? `\nCalibration: ${formatCalibration(result.calibration)}`
+  : '');
+
+// Radiometric input line of an energy-based result; only shown when it
+// differs from plain luminance
+const formatRadiometry = (radiometry) => {
+  if (!radiometry || (radiometry.channel === 'luminance' && !radiometry.linearize)) return '';
+  return `\nInput: ${radiometry.method}`;
+};
+
+// Background correction lines of an energy-based result; empty when none
+const formatBackground = (bg) => {
+  if (!bg || (bg.mode === 'none' && !(bg.noiseFloor > 0))) return '';
+  let str = `\nBackground: ${bg.method}`;
+  if (bg.offset !== null) str += `, offset ${bg.offset.toFixed(2)}`;
+  str += `\nNoise Floor: ${bg.noiseFloor}`;
+  const pct = bg.energyBefore > 0 ? (bg.energyRemoved / bg.energyBefore) * 100 : 0;
+  str += `\nEnergy Removed: ${bg.energyRemoved.toFixed(1)} of ${bg.energyBefore.toFixed(1)} (${pct.toFixed(2)}%)`;
+  return str;
+};
+
+const BEAM_TITLES = {
+  d4sigma: 'Beam Width (ISO 11146 D4σ)',
+  gaussfit: 'Gaussian Fit (1/e² Diameter)',
+};
+
+// D4-sigma and Gaussian fit results
+const formatBeam = (result) => {
+  const unit = unitLabel(result);
+  let str = `${BEAM_TITLES[result.function]}:\n`;
+  if (result.isCircle) {
+    str += `Shape: Circular (ellipticity ≥ 0.87)\n`;
+    str += `Diameter (${unit}): ${result.diameter.toFixed(6)}\n`;
+  } else {
+    str += `Shape: Elliptical\n`;
+  }
+  str += `Dx (${unit}): ${result.dx.toFixed(6)}\n`;
+  str += `Dy (${unit}): ${result.dy.toFixed(6)}\n`;
+  str += `Major Axis (${unit}): ${result.majorAxis.toFixed(6)}\n`;
+  str += `Minor Axis (${unit}): ${result.minorAxis.toFixed(6)}\n`;
+  str += `Ellipticity: ${result.ellipticity.toFixed(4)}\n`;
+  str += `Angle (Degrees): ${result.angleDeg.toFixed(2)}\n`;
+  str += `Centroid (px): ${result.centroid.x.toFixed(2)}, ${result.centroid.y.toFixed(2)}`;
+
+  const integration = result.integration;
+  if (integration) {
+    str += `\nIntegration Area: ${integration.factor}x beam width, `;
+    str += integration.converged
+      ? `converged after ${integration.iterations} iteration(s)`
+      : `not converged after ${integration.iterations} iteration(s)`;
+  }
+  const fit = result.fit;
+  if (fit) {
+    str += `\nFit: amplitude ${fit.amplitude.toFixed(2)}, offset ${fit.offset.toFixed(2)}`;
+    const rel = fit.normalizedRms !== null ? ` (${(fit.normalizedRms * 100).toFixed(2)}% of peak)` : '';
+    str += `\nRMS Residual: ${fit.rmsResidual.toFixed(3)}${rel}`;
+    if (fit.rSquared !== null) str += `\nR²: ${fit.rSquared.toFixed(5)}`;
+    str += `\nFit Samples: ${fit.samples}${fit.stride > 1 ? ` (every ${fit.stride} px)` : ''}, `;
+    str += fit.converged ? `converged after ${fit.iterations} iteration(s)` : `not converged after ${fit.iterations} iteration(s)`;
+  }
+  return str + formatRadiometry(result.radiometry) + formatBackground(result.background);
+};
+
+// Lists at most this many missing / extra dots in the text report
+const MAX_LISTED = 20;
+
+const listSome = (items, format) => {
+  const shown = items.slice(0, MAX_LISTED).map(format).join(', ');
+  return items.length > MAX_LISTED ? `${shown}, ... (${items.length - MAX_LISTED} more)` : shown;
+};
+
+// Lattice part of a grid result
+const formatGrid = (grid, unit) => {
+  let str = `Grid: ${grid.rows} rows x ${grid.cols} columns, ${grid.dots.length} dot(s) on the lattice\n`;
+  str += `Pitch X: ${grid.pitchX.toFixed(4)} px (${grid.pitchXReal.toFixed(6)} ${unit})\n`;
+  str += `Pitch Y: ${grid.pitchY.toFixed(4)} px (${grid.pitchYReal.toFixed(6)} ${unit})\n`;
+  str += `Rotation (Degrees): ${grid.rotationDeg.toFixed(3)}\n`;
+  str += `Shear (Degrees): ${grid.shearDeg.toFixed(3)}\n`;
+  str += `RMS Distortion: ${grid.rmsDistortion.toFixed(4)} px (${grid.rmsDistortionReal.toFixed(6)} ${unit}), max ${grid.maxDistortion.toFixed(4)} px\n`;
+  str += `Missing: ${grid.missing.length}`;
+  if (grid.missing.length > 0) str += ` - ${listSome(grid.missing, m => `(row ${m.row}, col ${m.col})`)}`;
+  str += `\nExtra: ${grid.extra.length}`;
+  if (grid.extra.length > 0) str += ` - ${listSome(grid.extra, e => `#${e.id} (${e.x.toFixed(1)}, ${e.y.toFixed(1)})`)}`;
+  return str;
+};
+
+// `{unit}` in a label is replaced by the calibration's unit
+const UNIFORMITY_LINES = [
+  ['majorAxis', 'Major Axis ({unit})', 6],
+  ['minorAxis', 'Minor Axis ({unit})', 6],
+  ['equivDiameter', 'Equiv. Diameter ({unit})', 6],
+  ['gamma', 'Gamma', 4],
+  ['energy', 'Energy', 1],
+];
+
+// Spread of the per-spot measurements of a multispot result
+const formatUniformity = (uniformity, count, unit) => {
+  if (count === 0) return '';
+  const pct = (v) => (v === null ? 'n/a' : `${(v * 100).toFixed(2)}%`);
+  let str = '\nUniformity:';
+  for (const [key, label, digits] of UNIFORMITY_LINES) {
+    const s = uniformity[key];
+    str += `\n  ${label.replace('{unit}', unit)}: mean ${s.mean.toFixed(digits)}, std ${s.std.toFixed(digits)}, min ${s.min.toFixed(digits)}, max ${s.max.toFixed(digits)}, CV ${pct(s.cv)}, non-uniformity ${pct(s.nonUniformity)}`;
+  }
+  return str;
+};
+
+// Automatic and manual counts of a corrected count result
+const formatCorrections = (corrections) => {
+  if (!corrections) return '';
+  const ids = corrections.removedObjects.map(obj => `#${obj.id}`);
+  const removedIds = ids.length > 0 ? ` (${ids.length > 10 ? `${ids.slice(0, 10).join(', ')}, ...` : ids.join(', ')})` : '';
+  return `\nAutomatic Count: ${corrections.autoCount}` +
+    `\nManual Additions: ${corrections.added}` +
+    `\nManual Deletions: ${corrections.removed}${removedIds}` +
+    `\nFinal Count: ${corrections.autoCount + corrections.added - corrections.removed}`;
+};
+
+export const formatReport = (result) => {
+  const roiLine = result.roi ? `\nROI: ${formatRoi(result.roi)}` : '';
+  const warning = saturationWarning(result.saturation);
+  const warningLine = warning ? `\n${warning}` : '';
+  const calLine = formatCalibrationLine(result);
+
+  if (result.function === 'count') {
+    const sep = result.separation;
+    const sepLine = sep
+      ? `\nSeparation: ${sep.blobs} blob(s) split into ${sep.seeds} (min separation ${sep.minSeparation} px, prominence ${sep.prominence} px)`
+      : '';
+    const fit = result.subpixel;
+    const fitLine = fit
+      ? `\nSub-pixel Fit: ${fit.fitted} converged${fit.failed > 0 ? `, ${fit.failed} failed (marked on the overlay)` : ''}`
+      : '';
+    return `Count ≈ ${result.count}${formatCorrections(result.corrections)}\n${formatThreshold(result)}${sepLine}${fitLine}${formatSummary(result.summary, result.count, unitLabel(result))}${formatSpatial(result.spatial)}${calLine}${roiLine}${warningLine}`;
+  }
+
+  if (result.function === 'grid') {
+    return `${formatGrid(result.grid, unitLabel(result))}\nCount ≈ ${result.count}\n${formatThreshold(result)}${calLine}${roiLine}${warningLine}`;
+  }
+
+  if (result.function === 'multispot') {
+    const head = `Spots: ${result.count} (${result.energyRatio}% Energy each, neighbourhood ${result.spotMargin}x spot size)`;
+    return `${head}\n${formatThreshold(result)}${formatUniformity(result.uniformity, result.count, unitLabel(result))}${formatRadiometry(result.radiometry)}${formatBackground(result.background)}${calLine}${roiLine}${warningLine}`;
+  }
+
+  if (result.function === 'd4sigma' || result.function === 'gaussfit') {
+    return formatBeam(result) + calLine + roiLine + warningLine;
+  }
+
+  const unit = unitLabel(result);
+  let resStr = `Analysis Result (${result.energyRatio}% Energy):\n`;
+  if (result.isCircle) {
+    resStr += `Shape: Circle (Approx)\n`;
+    resStr += `Diameter (${unit}): ${result.diameter.toFixed(6)}\n`;
+  } else {
+    resStr += `Shape: Ellipse\n`;
+    resStr += `Major Axis (${unit}): ${result.majorAxis.toFixed(6)}\n`;
+    resStr += `Minor Axis (${unit}): ${result.minorAxis.toFixed(6)}\n`;
+    resStr += `Angle (Degrees): ${result.angleDeg.toFixed(2)}\n`;
+  }
+  resStr += `Gamma: ${result.gamma.toFixed(6)}`;
+  resStr += formatLevels(result.levels, unit);
+  resStr += formatProfiles(result.profiles, unit);
+
+  return resStr + formatRadiometry(result.radiometry) + formatBackground(result.background) + calLine + roiLine + warningLine;
+};
+
+// One flat row per analysed image.
+export const RESULT_COLUMNS = [
+  'file',
+  'function',
+  'shape',
+  'diameter',
+  'majorAxis',
+  'minorAxis',
+  'angleDeg',
+  'gamma',
+  'majorFwhm',
+  'majorE2Width',
+  'minorFwhm',
+  'minorE2Width',
+  'peakToBackground',
+  'dx',
+  'dy',
+  'ellipticity',
+  'fitRSquared',
+  'centroidX',
+  'centroidY',
+  'count',
+  'density',
+  'densityCal',
+  'coverage',
+  'meanNnDistance',
+  'clarkEvans',
+  'diameterCv',
+  'energyCv',
+  'energyNonUniformity',
+  'autoCount',
+  'manualAdded',
+  'manualRemoved',
+  'gridRows',
+  'gridCols',
+  'pitchX',
+  'pitchY',
+  'gridRotation',
+  'rmsDistortion',
+  'missingDots',
+  'extraDots',
+  'unit',
+  'input',
+  'background',
+  'energyRemoved',
+  'saturatedPixels',
+];
+
+export const resultRow = (file, result) => {
+  if (result.function === 'count') {
+    const { corrections } = result;
+    return {
+      file,
+      function: 'count',
+      count: result.count,
+      density: result.spatial?.density,
+      densityCal: result.spatial?.calibrated?.density,
+      coverage: result.spatial?.coverage,
+      meanNnDistance: result.spatial?.meanNnDistance,
+      clarkEvans: result.spatial?.clarkEvans,
+      unit: result.calibration?.unit,
+      ...(corrections && {
+        autoCount: corrections.autoCount,
+        manualAdded: corrections.added,
+        manualRemoved: corrections.removed,
+      }),
+      saturatedPixels: result.saturation?.count,
+    };
+  }
+  if (result.function === 'grid') {
+    const { grid } = result;
+    return {
+      file,
+      function: 'grid',
+      count: result.count,
+      gridRows: grid.rows,
+      gridCols: grid.cols,
+      pitchX: grid.pitchX,
+      pitchY: grid.pitchY,
+      gridRotation: grid.rotationDeg,
+      rmsDistortion: grid.rmsDistortion,
+      unit: result.calibration?.unit,
+      missingDots: grid.missing.length,
+      extraDots: grid.extra.length,
+      saturatedPixels: result.saturation?.count,
+    };
+  }
+  if (result.function === 'multispot') {
+    // Axes and gamma are the means over the spots
+    const { uniformity } = result;
+    return {
+      file,
+      function: 'multispot',
+      count: result.count,
+      majorAxis: uniformity.majorAxis.mean,
+      minorAxis: uniformity.minorAxis.mean,
+      gamma: uniformity.gamma.mean,
+      diameterCv: uniformity.equivDiameter.cv,
+      energyCv: uniformity.energy.cv,
+      energyNonUniformity: uniformity.energy.nonUniformity,
+      unit: result.calibration?.unit,
+      input: result.radiometry?.method,
+      background: result.background.method,
+      energyRemoved: result.background.energyRemoved,
+      saturatedPixels: result.saturation?.count,
+    };
+  }
+  if (result.function === 'd4sigma' || result.function === 'gaussfit') {
+    return {
+      file,
+      function: result.function,
+      shape: result.isCircle ? 'circle' : 'ellipse',
+      diameter: result.diameter,
+      majorAxis: result.majorAxis,
+      minorAxis: result.minorAxis,
+      angleDeg: result.angleDeg,
+      dx: result.dx,
+      dy: result.dy,
+      ellipticity: result.ellipticity,
+      fitRSquared: result.fit?.rSquared,
+      unit: result.calibration?.unit,
+      centroidX: result.centroid.x,
+      centroidY: result.centroid.y,
+      input: result.radiometry?.method,
+      background: result.background.method,
+      energyRemoved: result.background.energyRemoved,
+      saturatedPixels: result.saturation?.count,
+    };
+  }
+  return {
+    file,
+    function: 'd86',
+    shape: result.isCircle ? 'circle' : 'ellipse',
+    diameter: result.diameter,
+    majorAxis: result.majorAxis,
+    minorAxis: result.minorAxis,
+    angleDeg: result.angleDeg,
+    gamma: result.gamma,
+    majorFwhm: result.profiles?.major.fwhm,
+    majorE2Width: result.profiles?.major.e2Width,
+    minorFwhm: result.profiles?.minor.fwhm,
+    minorE2Width: result.profiles?.minor.e2Width,
+    peakToBackground: result.profiles?.major.peakToBackground,
+    unit: result.calibration?.unit,
+    centroidX: result.centroid.x,
+    centroidY: result.centroid.y,
+    input: result.radiometry?.method,
+    background: result.background.method,
+    energyRemoved: result.background.energyRemoved,
+    saturatedPixels: result.saturation?.count,
+  };
+};
+
+// Object table of a count result: one row per object followed by the
+// mean / std / min / max rows, which carry the statistic's name in `id`.
+export const objectRows = (result) => {
+  const rows = [...result.objects];
+  for (const stat of ['mean', 'std', 'min', 'max']) {
+    const row = { id: stat };
+    for (const [col, values] of Object.entries(result.summary)) row[col] = values[stat];
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Object table columns of a count result, with the calibrated sizes if it
+// had a calibration, the fit columns if it was refined and whether each
+// object was detected or added by hand if it was corrected
+export const objectColumns = (result) => [
+  ...OBJECT_COLUMNS,
+  ...(result.calibration?.unit ? CALIBRATED_COLUMNS : []),
+  ...(result.subpixel ? FIT_COLUMNS : []),
+  ...(result.corrections ? ['source'] : []),
+];
+
+export const objectsCsv = (result) => toCsv(objectRows(result), objectColumns(result));
+
+// JSON export of a count result's objects, measurements only. A corrected
+// result also lists the counts and the objects deleted by hand.
+export const objectsJson = (file, result) => {
+  const measurements = (obj) => Object.fromEntries(objectColumns(result).map(col => [col, obj[col]]));
+  const { corrections } = result;
+  return JSON.stringify({
+    file,
+    count: result.count,
+    ...(corrections && {
+      corrections: {
+        autoCount: corrections.autoCount,
+        added: corrections.added,
+        removed: corrections.removed,
+        removedObjects: corrections.removedObjects.map(measurements),
+      },
+    }),
+    ...(result.calibration?.unit && { calibration: result.calibration }),
+    summary: result.summary,
+    objects: result.objects.map(measurements),
+  }, null, 2) + '\n';
+};
+
+// Encircled-energy curve and level table of a d86 result
+export const CURVE_COLUMNS = ['gamma', 'equivDiameter', 'majorAxis', 'minorAxis', 'fraction'];
+export const LEVEL_COLUMNS = ['level', 'gamma', 'equivDiameter', 'majorAxis', 'minorAxis', 'majorAxisPx', 'minorAxisPx'];
+
+export const curveCsv = (result) => toCsv(result.curve, CURVE_COLUMNS);
+export const levelsCsv = (result) => toCsv(result.levels, LEVEL_COLUMNS);
+
+// Per-dot table of a grid result: lattice dots, then missing sites (at their
+// nominal position) and extra dots, told apart by `status`
+export const GRID_COLUMNS = ['status', 'row', 'col', 'id', 'x', 'y', 'siteX', 'siteY', 'dx', 'dy', 'displacement'];
+
+export const gridRows = (result) => [
+  ...result.grid.dots.map(dot => ({ status: 'ok', ...dot })),
+  ...result.grid.missing.map(m => ({ status: 'missing', row: m.row, col: m.col, siteX: m.x, siteY: m.y })),
+  ...result.grid.extra.map(e => ({ status: 'extra', id: e.id, x: e.x, y: e.y })),
+];
+
+export const gridCsv = (result) => toCsv(gridRows(result), GRID_COLUMNS);
+
+// Per-spot table of a multispot result; centroids in px, axes in the
+// result's length unit
+export const SPOT_COLUMNS = [
+  'id',
+  'cx',
+  'cy',
+  'majorAxis',
+  'minorAxis',
+  'equivDiameter',
+  'angleDeg',
+  'gamma',
+  'energy',
+  'energyFraction',
+  'area',
+];
+
+export const spotsCsv = (result) => toCsv(result.spots, SPOT_COLUMNS);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCsv = (rows, columns = RESULT_COLUMNS) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(col => csvCell(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,95 @@
+// Regions of interest, always in full-image pixel coordinates:
+//   { type: 'rect', x, y, width, height }
+//   { type: 'ellipse', cx, cy, rx, ry }
+//   { type: 'polygon', points: [[x, y], ...] }
+// A pixel belongs to the ROI when its centre (x + 0.5, y + 0.5) is inside.
+
+export const ROI_TYPES = ['rect', 'ellipse', 'polygon'];
+
+// Rasterises `roi` into a w*h mask with 1 inside and 0 outside
+export const roiMask = (roi, w, h) => {
+  const mask = new Uint8Array(w * h);
+
+  if (roi.type === 'rect') {
+    const x0 = Math.max(0, Math.round(roi.x));
+    const y0 = Math.max(0, Math.round(roi.y));
+    const x1 = Math.min(w, Math.round(roi.x + roi.width));
+    const y1 = Math.min(h, Math.round(roi.y + roi.height));
+    for (let y = y0; y < y1; y++) mask.fill(1, y * w + x0, y * w + Math.max(x0, x1));
+  } else if (roi.type === 'ellipse') {
+    const { cx, cy, rx, ry } = roi;
+    if (rx <= 0 || ry <= 0) return mask;
+    const y0 = Math.max(0, Math.floor(cy - ry));
+    const y1 = Math.min(h - 1, Math.ceil(cy + ry));
+    for (let y = y0; y <= y1; y++) {
+      const dy = (y + 0.5 - cy) / ry;
+      if (dy * dy > 1) continue;
+      const half = rx * Math.sqrt(1 - dy * dy);
+      // x + 0.5 within [cx - half, cx + half]
+      const xs = Math.max(0, Math.ceil(cx - half - 0.5));
+      const xe = Math.min(w - 1, Math.floor(cx + half - 0.5));
+      if (xe >= xs) mask.fill(1, y * w + xs, y * w + xe + 1);
+    }
+  } else if (roi.type === 'polygon') {
+    const pts = roi.points;
+    if (pts.length < 3) return mask;
+    // Even-odd scanline fill
+    for (let y = 0; y < h; y++) {
+      const yc = y + 0.5;
+      const xs = [];
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [xi, yi] = pts[i];
+        const [xj, yj] = pts[j];
+        if ((yi > yc) !== (yj > yc)) {
+          xs.push(xi + (yc - yi) * (xj - xi) / (yj - yi));
+        }
+      }
+      xs.sort((a, b) => a - b);
+      for (let k = 0; k + 1 < xs.length; k += 2) {
+        const start = Math.max(0, Math.ceil(xs[k] - 0.5));
+        const end = Math.min(w - 1, Math.floor(xs[k + 1] - 0.5));
+        if (end >= start) mask.fill(1, y * w + start, y * w + end + 1);
+      }
+    }
+  } else {
+    throw new Error(`Unknown ROI type "${roi.type}".`);
+  }
+
+  return mask;
+};
+
+export const formatRoi = (roi) => {
+  const f = (v) => Number(v.toFixed(1));
+  if (roi.type === 'rect') return `Rectangle (x ${f(roi.x)}, y ${f(roi.y)}, ${f(roi.width)} x ${f(roi.height)} px)`;
+  if (roi.type === 'ellipse') return `Ellipse (center ${f(roi.cx)}, ${f(roi.cy)}, radii ${f(roi.rx)} x ${f(roi.ry)} px)`;
+  return `Polygon (${roi.points.length} vertices)`;
+};
+
+// Compact text form used on the command line:
+//   rect:x,y,width,height  ellipse:cx,cy,rx,ry  polygon:x1,y1,x2,y2,...
+export const parseRoi = (text) => {
+  const [type, rest = ''] = text.split(':');
+  const nums = rest.split(',').filter(Boolean).map(Number);
+  if (nums.some(Number.isNaN)) throw new Error(`Invalid ROI "${text}".`);
+
+  if (type === 'rect' && nums.length === 4) {
+    const [x, y, width, height] = nums;
+    return { type, x, y, width, height };
+  }
+  if (type === 'ellipse' && nums.length === 4) {
+    const [cx, cy, rx, ry] = nums;
+    return { type, cx, cy, rx, ry };
+  }
+  if (type === 'polygon' && nums.length >= 6 && nums.length % 2 === 0) {
+    const points = [];
+    for (let i = 0; i < nums.length; i += 2) points.push([nums[i], nums[i + 1]]);
+    return { type, points };
+  }
+  throw new Error(`Invalid ROI "${text}". Expected rect:x,y,w,h, ellipse:cx,cy,rx,ry or polygon:x1,y1,x2,y2,x3,y3,...`);
+};
+
+export const stringifyRoi = (roi) => {
+  if (roi.type === 'rect') return `rect:${[roi.x, roi.y, roi.width, roi.height].join(',')}`;
+  if (roi.type === 'ellipse') return `ellipse:${[roi.cx, roi.cy, roi.rx, roi.ry].join(',')}`;
+  return `polygon:${roi.points.flat().join(',')}`;
+};
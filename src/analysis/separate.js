@@ -0,0 +1,167 @@
+// Splits touching dots in a binary mask: distance transform, one seed per
+// significant distance peak, then a marker watershed that floods the blobs
+// from the seeds down the distance map.
+
+// Bucket size of the pixel ordering and flooding queue, in px of distance
+const LEVEL_STEP = 1 / 16;
+
+// Foreground pixel indices from the highest distance down, counting-sorted
+// by LEVEL_STEP buckets
+const descendingOrder = (d) => {
+  let maxLevel = 0;
+  let n = 0;
+  for (let i = 0; i < d.length; i++) {
+    if (d[i] > 0) {
+      maxLevel = Math.max(maxLevel, Math.round(d[i] / LEVEL_STEP));
+      n++;
+    }
+  }
+  const start = new Uint32Array(maxLevel + 2);
+  for (let i = 0; i < d.length; i++) {
+    if (d[i] > 0) start[maxLevel - Math.round(d[i] / LEVEL_STEP) + 1]++;
+  }
+  for (let k = 1; k < start.length; k++) start[k] += start[k - 1];
+  const order = new Uint32Array(n);
+  for (let i = 0; i < d.length; i++) {
+    if (d[i] > 0) order[start[maxLevel - Math.round(d[i] / LEVEL_STEP)]++] = i;
+  }
+  return order;
+};
+
+// Seed pixels of the distance map `d`, by peak persistence. Pixels are added
+// from the highest distance down and merged with union-find; when two
+// components meet, the one with the lower peak ends there. That peak becomes
+// a seed if it rose at least `prominence` px above the meeting level and lies
+// at least `minSeparation` px from the higher peak. Every blob keeps its
+// highest peak as a seed.
+const findSeeds = (d, w, h, minSeparation, prominence) => {
+  const order = descendingOrder(d);
+
+  const parent = new Int32Array(w * h).fill(-1); // -1: not added yet
+  const peak = new Int32Array(w * h);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const seeds = [];
+  for (const p of order) {
+    parent[p] = p;
+    peak[p] = p;
+    const px = p % w;
+    const py = (p - px) / w;
+    for (let dy = -1; dy <= 1; dy++) {
+      const y = py + dy;
+      if (y < 0 || y >= h) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const x = px + dx;
+        if ((dx === 0 && dy === 0) || x < 0 || x >= w || parent[y * w + x] === -1) continue;
+        const a = find(p);
+        const b = find(y * w + x);
+        if (a === b) continue;
+
+        const [elder, younger] = d[peak[a]] >= d[peak[b]] ? [a, b] : [b, a];
+        const top = peak[elder];
+        const lower = peak[younger];
+        const persistence = d[lower] - d[p];
+        const separation = Math.hypot((top % w) - (lower % w), Math.floor(top / w) - Math.floor(lower / w));
+        if (persistence > 0 && persistence >= prominence && separation >= minSeparation) {
+          seeds.push(lower);
+        }
+        parent[younger] = elder;
+      }
+    }
+  }
+
+  let blobs = 0;
+  for (const p of order) {
+    if (parent[p] === p) {
+      seeds.push(peak[p]);
+      blobs++;
+    }
+  }
+  return { seeds, blobs };
+};
+
+// Marker watershed on the distance map, flooding from the seeds down towards
+// the blob edges in 8-connectivity. Only foreground pixels are labelled; each
+// gets the label (1..seeds.length) of the seed whose flood reached it first.
+const floodFromSeeds = (d, fg, seeds, w, h) => {
+  const labels = new Int32Array(w * h);
+  let maxLevel = 0;
+  for (const p of seeds) maxLevel = Math.max(maxLevel, Math.round(d[p] / LEVEL_STEP));
+  const buckets = Array.from({ length: maxLevel + 1 }, () => []);
+
+  seeds.forEach((p, k) => {
+    labels[p] = k + 1;
+    buckets[Math.round(d[p] / LEVEL_STEP)].push(p);
+  });
+
+  for (let level = maxLevel; level >= 0; level--) {
+    const bucket = buckets[level];
+    // The bucket grows while it is processed (FIFO within a level)
+    for (let n = 0; n < bucket.length; n++) {
+      const p = bucket[n];
+      const px = p % w;
+      const py = (p - px) / w;
+      for (let dy = -1; dy <= 1; dy++) {
+        const y = py + dy;
+        if (y < 0 || y >= h) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = px + dx;
+          const q = y * w + x;
+          if (x < 0 || x >= w || !fg[q] || labels[q]) continue;
+          labels[q] = labels[p];
+          buckets[Math.min(level, Math.round(d[q] / LEVEL_STEP))].push(q);
+        }
+      }
+    }
+    buckets[level] = null;
+  }
+  return labels;
+};
+
+// Cuts `bw` along the watershed labels so that no two differently labelled
+// foreground pixels touch, even diagonally: of each such pair the pixel with
+// the lower label is cleared.
+const cutAlongLabels = (bw, labels, w, h) => {
+  const fg = bw.slice();
+  for (let i = 0; i < labels.length; i++) {
+    if (!fg[i]) continue;
+    const a = labels[i];
+    const x = i % w;
+    const y = (i - x) / w;
+    for (let dy = -1; dy <= 1 && bw[i]; dy++) {
+      if (y + dy < 0 || y + dy >= h) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const j = (y + dy) * w + x + dx;
+        if (x + dx < 0 || x + dx >= w || !fg[j]) continue;
+        if (labels[j] > a) {
+          bw[i] = 0;
+          break;
+        }
+      }
+    }
+  }
+};
+
+// Separates touching objects in the CV_8UC1 0 / 255 mask `bw`, in place.
+// Returns the number of seeds (objects after the split) and of blobs before.
+export const separateObjects = (cv, bw, { minSeparation, prominence }) => {
+  const w = bw.cols;
+  const h = bw.rows;
+  const dist = new cv.Mat();
+  try {
+    cv.distanceTransform(bw, dist, cv.DIST_L2, 5);
+    const d = dist.data32F;
+    const { seeds, blobs } = findSeeds(d, w, h, minSeparation, prominence);
+    const labels = floodFromSeeds(d, bw.data, seeds, w, h);
+    cutAlongLabels(bw.data, labels, w, h);
+    return { seeds: seeds.length, blobs };
+  } finally {
+    dist.delete();
+  }
+};
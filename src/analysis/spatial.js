@@ -0,0 +1,250 @@
+import { roiMask } from './roi.js';
+import { toCsv } from './report.js';
+
+// Size distribution and spatial statistics of a Count Points result: how far
+// every dot is from its nearest neighbour, how densely the dots cover the
+// analysed area and whether they are clustered, random or regular.
+
+// Two-sided 5% level for the Clark-Evans z score
+const Z_CRITICAL = 1.96;
+
+// Distance from every point to the nearest other point, NaN for a single
+// point. The points are bucketed into cells about one mean spacing wide and
+// searched ring by ring outwards, so this stays fast for thousands of dots.
+const nearestDistances = (xs, ys) => {
+  const n = xs.length;
+  const out = new Float64Array(n).fill(NaN);
+  if (n < 2) return out;
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    minX = Math.min(minX, xs[i]); maxX = Math.max(maxX, xs[i]);
+    minY = Math.min(minY, ys[i]); maxY = Math.max(maxY, ys[i]);
+  }
+  const cell = Math.max(1, Math.sqrt(((maxX - minX + 1) * (maxY - minY + 1)) / n));
+  const cols = Math.floor((maxX - minX) / cell) + 1;
+  const rows = Math.floor((maxY - minY) / cell) + 1;
+  const cellOf = (i) => [Math.floor((xs[i] - minX) / cell), Math.floor((ys[i] - minY) / cell)];
+
+  // Linked lists of the points in every cell
+  const head = new Int32Array(cols * rows).fill(-1);
+  const next = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    const [cx, cy] = cellOf(i);
+    next[i] = head[cy * cols + cx];
+    head[cy * cols + cx] = i;
+  }
+
+  const reach = Math.max(cols, rows);
+  for (let i = 0; i < n; i++) {
+    const [cx, cy] = cellOf(i);
+    let best = Infinity;
+    // Points r rings out are at least (r - 1) cells away
+    for (let r = 0; r <= reach && best > (r - 1) * cell; r++) {
+      for (let y = cy - r; y <= cy + r; y++) {
+        if (y < 0 || y >= rows) continue;
+        const edge = y === cy - r || y === cy + r;
+        for (let x = cx - r; x <= cx + r; x += edge ? 1 : 2 * r) {
+          if (x >= 0 && x < cols) {
+            for (let j = head[y * cols + x]; j !== -1; j = next[j]) {
+              if (j !== i) best = Math.min(best, Math.hypot(xs[j] - xs[i], ys[j] - ys[i]));
+            }
+          }
+          if (r === 0) break;
+        }
+      }
+    }
+    out[i] = best;
+  }
+  return out;
+};
+
+// `objects` with `nnDistance`, the distance in px from each centroid to the
+// nearest other one (null for a lone object)
+export const withNeighbourDistances = (objects) => {
+  const nn = nearestDistances(objects.map(obj => obj.cx), objects.map(obj => obj.cy));
+  return objects.map((obj, k) => ({ ...obj, nnDistance: Number.isFinite(nn[k]) ? nn[k] : null }));
+};
+
+// Pixels the dots were counted in: the ROI, or the whole frame
+const analysedPixels = (result) => {
+  if (!result.roi) return result.width * result.height;
+  const mask = roiMask(result.roi, result.width, result.height);
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) count += mask[i] ? 1 : 0;
+  return count;
+};
+
+// Density, coverage and clustering of the objects of a count result (with
+// `nnDistance` set, see withNeighbourDistances):
+//   density      dots per px² of the analysed area
+//   coverage     fraction of the analysed area inside detected dots (dots
+//                added by hand have no area and do not count)
+//   clarkEvans   mean nearest-neighbour distance over the 0.5 / sqrt(density)
+//                expected for a random pattern: below 1 clustered, above 1
+//                regular (about 2.15 for a hexagonal lattice). There is no
+//                edge correction, which biases R slightly upwards for few dots.
+//   clarkEvansZ  its z score; `pattern` names the side it is significant on
+// With a calibration, `calibrated` repeats the sizes in its unit.
+export const spatialStats = (result) => {
+  const { objects, calibration } = result;
+  const n = objects.length;
+  const area = analysedPixels(result);
+  let covered = 0;
+  let nnSum = 0;
+  let nnCount = 0;
+  for (const obj of objects) {
+    if (obj.area !== null) covered += obj.area;
+    if (obj.nnDistance !== null && obj.nnDistance !== undefined) {
+      nnSum += obj.nnDistance;
+      nnCount++;
+    }
+  }
+
+  const density = area > 0 ? n / area : 0;
+  const meanNnDistance = nnCount > 0 ? nnSum / nnCount : null;
+  const expectedNnDistance = density > 0 ? 0.5 / Math.sqrt(density) : null;
+  let clarkEvans = null;
+  let clarkEvansZ = null;
+  let pattern = null;
+  if (meanNnDistance !== null && expectedNnDistance !== null) {
+    clarkEvans = meanNnDistance / expectedNnDistance;
+    clarkEvansZ = (meanNnDistance - expectedNnDistance) / (0.26136 / Math.sqrt(n * density));
+    if (clarkEvansZ < -Z_CRITICAL) pattern = 'clustered';
+    else if (clarkEvansZ > Z_CRITICAL) pattern = 'regular';
+    else pattern = 'random';
+  }
+
+  let calibrated = null;
+  if (calibration) {
+    // Lengths off the axes use the geometric mean pixel size, as calibrateObjects
+    const pixelArea = calibration.pixelWidth * calibration.pixelHeight;
+    calibrated = {
+      unit: calibration.unit,
+      area: area * pixelArea,
+      density: area > 0 ? n / (area * pixelArea) : 0,
+      meanNnDistance: meanNnDistance !== null ? meanNnDistance * Math.sqrt(pixelArea) : null,
+      expectedNnDistance: expectedNnDistance !== null ? expectedNnDistance * Math.sqrt(pixelArea) : null,
+    };
+  }
+
+  return {
+    count: n,
+    area,
+    density,
+    coverage: area > 0 ? covered / area : 0,
+    meanNnDistance,
+    expectedNnDistance,
+    clarkEvans,
+    clarkEvansZ,
+    pattern,
+    calibrated,
+  };
+};
+
+// Counts of `values` (nulls skipped) in `bins` equal bins from their minimum
+// to their maximum. -> { min, max, binWidth, bins: [{ binStart, binEnd, count }] }
+export const histogram = (values, bins = 20) => {
+  const data = values.filter(v => v !== null && v !== undefined && Number.isFinite(v));
+  const count = Math.max(1, Math.round(bins) || 1);
+  if (data.length === 0) return { min: null, max: null, binWidth: null, bins: [] };
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of data) {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  }
+  // All values equal: one unit-wide bin around them
+  const binWidth = max > min ? (max - min) / count : 1;
+  const start = max > min ? min : min - 0.5;
+  const counts = new Array(count).fill(0);
+  for (const v of data) counts[Math.min(count - 1, Math.floor((v - start) / binWidth))]++;
+  return {
+    min,
+    max,
+    binWidth,
+    bins: counts.map((c, k) => ({ binStart: start + k * binWidth, binEnd: start + (k + 1) * binWidth, count: c })),
+  };
+};
+
+// Object measurements a histogram can be drawn of, with their labels;
+// `{unit}` is replaced by the calibration unit
+export const HISTOGRAM_MEASURES = [
+  ['area', 'Area (px)'],
+  ['areaCal', 'Area ({unit}²)'],
+  ['equivDiameter', 'Equiv. Diameter (px)'],
+  ['equivDiameterCal', 'Equiv. Diameter ({unit})'],
+  ['nnDistance', 'Nearest-Neighbour Distance (px)'],
+  ['nnDistanceCal', 'Nearest-Neighbour Distance ({unit})'],
+];
+
+// Measures of HISTOGRAM_MEASURES that `result` has values for
+export const histogramMeasures = (result) => HISTOGRAM_MEASURES
+  .filter(([key]) => !key.endsWith('Cal') || result.calibration)
+  .map(([key, label]) => ({ key, label: label.replace('{unit}', result.calibration?.unit ?? '') }));
+
+export const HISTOGRAM_COLUMNS = ['measure', 'binStart', 'binEnd', 'count'];
+
+// Histograms of every measure of `result` with `bins` bins, as one table
+export const histogramRows = (result, bins = 20) => histogramMeasures(result).flatMap(({ key }) =>
+  histogram(result.objects.map(obj => obj[key]), bins).bins.map(bin => ({ measure: key, ...bin })));
+
+export const histogramsCsv = (result, bins = 20) => toCsv(histogramRows(result, bins), HISTOGRAM_COLUMNS);
+
+// Local dot density on a grid of `cellSize` px cells: dots per px² of the
+// analysed (ROI) pixels in each cell, NaN for cells wholly outside the ROI.
+// -> { cellSize, cols, rows, values: Float64Array (row-major), max }
+export const densityMap = (result, cellSize) => {
+  const { width: w, height: h, objects } = result;
+  const size = Math.max(1, Math.round(cellSize) || 1);
+  const cols = Math.ceil(w / size);
+  const rows = Math.ceil(h / size);
+  const pixels = new Float64Array(cols * rows);
+  const mask = result.roi ? roiMask(result.roi, w, h) : null;
+  for (let y = 0; y < h; y++) {
+    const row = Math.floor(y / size) * cols;
+    for (let x = 0; x < w; x++) {
+      if (!mask || mask[y * w + x]) pixels[row + Math.floor(x / size)]++;
+    }
+  }
+  const counts = new Float64Array(cols * rows);
+  for (const obj of objects) {
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(obj.cx / size)));
+    const row = Math.min(rows - 1, Math.max(0, Math.floor(obj.cy / size)));
+    counts[row * cols + col]++;
+  }
+  const values = new Float64Array(cols * rows);
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    values[i] = pixels[i] > 0 ? counts[i] / pixels[i] : NaN;
+    if (values[i] > max) max = values[i];
+  }
+  return { cellSize: size, cols, rows, values, max };
+};
+
+// Cell size giving about `cells` cells along the longer image side
+export const defaultCellSize = (result, cells = 16) => Math.max(1, Math.ceil(Math.max(result.width, result.height) / cells));
+
+export const DENSITY_COLUMNS = ['row', 'col', 'x', 'y', 'width', 'height', 'density'];
+
+// One row per cell of a densityMap(), with its box in px
+export const densityMapCsv = (map, width, height) => {
+  const rows = [];
+  for (let r = 0; r < map.rows; r++) {
+    for (let c = 0; c < map.cols; c++) {
+      const x = c * map.cellSize;
+      const y = r * map.cellSize;
+      const density = map.values[r * map.cols + c];
+      rows.push({
+        row: r,
+        col: c,
+        x,
+        y,
+        width: Math.min(map.cellSize, width - x),
+        height: Math.min(map.cellSize, height - y),
+        density: Number.isNaN(density) ? null : density,
+      });
+    }
+  }
+  return toCsv(rows, DENSITY_COLUMNS);
+};
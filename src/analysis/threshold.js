@@ -0,0 +1,200 @@
+// Histogram based global threshold selection. Otsu is used for images that do
+// not fit OpenCV's 8-bit THRESH_OTSU path (16-bit and floating point data);
+// triangle, Yen and Li serve every bit depth. Each method returns the index
+// of the last background bin: pixels in higher bins are foreground.
+
+const HIST_BINS = 65536;
+
+// Histogram of `values` (optionally only where mask[i] is set) over their own
+// range, or over `range` = { lo, hi } if given. Bin k covers
+// [lo + k * binWidth, lo + (k + 1) * binWidth).
+export const histogram = (values, mask = null, bins = HIST_BINS, range = null) => {
+  let lo = Infinity;
+  let hi = -Infinity;
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (mask && !mask[i]) continue;
+    const v = values[i];
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+    total++;
+  }
+  if (total === 0) throw new Error("No pixels to build a histogram from.");
+  if (range) ({ lo, hi } = range);
+
+  const binWidth = hi > lo ? (hi - lo) / bins : 1;
+  const counts = new Float64Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    if (mask && !mask[i]) continue;
+    counts[Math.min(bins - 1, Math.floor((values[i] - lo) / binWidth))]++;
+  }
+  return { counts, lo, hi, binWidth, total };
+};
+
+// Value separating bin k from bin k + 1; pixels above it are foreground
+export const binEdge = (hist, k) => hist.lo + (k + 1) * hist.binWidth;
+
+// Otsu's method, following OpenCV's getThreshVal_Otsu_8u step for step
+export const otsuBin = ({ counts, total }) => {
+  const N = counts.length;
+  const scale = 1 / total;
+  const eps = 1.1920929e-7; // FLT_EPSILON
+
+  let mu = 0;
+  for (let i = 0; i < N; i++) mu += i * counts[i];
+  mu *= scale;
+
+  let mu1 = 0;
+  let q1 = 0;
+  let maxSigma = 0;
+  let best = 0;
+  for (let i = 0; i < N; i++) {
+    const p_i = counts[i] * scale;
+    mu1 *= q1;
+    q1 += p_i;
+    const q2 = 1 - q1;
+    if (Math.min(q1, q2) < eps || Math.max(q1, q2) > 1 - eps) continue;
+    mu1 = (mu1 + i * p_i) / q1;
+    const mu2 = (mu - q1 * mu1) / q2;
+    const sigma = q1 * q2 * (mu1 - mu2) * (mu1 - mu2);
+    if (sigma > maxSigma) {
+      maxSigma = sigma;
+      best = i;
+    }
+  }
+  return best;
+};
+
+// Triangle method (Zack et al.), following OpenCV's
+// getThreshVal_Triangle_8u: the bin furthest below the line from the
+// histogram peak to the far end of the longer tail.
+export const triangleBin = ({ counts }) => {
+  const N = counts.length;
+  let left = 0;
+  let right = 0;
+  let peak = 0;
+  for (let i = 0; i < N; i++) {
+    if (counts[i] > 0) {
+      left = i;
+      break;
+    }
+  }
+  if (left > 0) left--;
+  for (let i = N - 1; i > 0; i--) {
+    if (counts[i] > 0) {
+      right = i;
+      break;
+    }
+  }
+  if (right < N - 1) right++;
+  for (let i = 0; i < N; i++) {
+    if (counts[i] > counts[peak]) peak = i;
+  }
+
+  // Work on the longer tail, mirroring the histogram if it is on the right
+  const flip = peak - left < right - peak;
+  const h = flip ? (i) => counts[N - 1 - i] : (i) => counts[i];
+  if (flip) {
+    left = N - 1 - right;
+    peak = N - 1 - peak;
+  }
+
+  const a = h(peak);
+  const b = left - peak;
+  let best = left;
+  let maxDist = 0;
+  for (let i = left + 1; i <= peak; i++) {
+    const dist = a * i + b * h(i);
+    if (dist > maxDist) {
+      maxDist = dist;
+      best = i;
+    }
+  }
+  best--;
+  return flip ? N - 1 - best : best;
+};
+
+// Yen's maximum correlation criterion, as in scikit-image threshold_yen
+export const yenBin = ({ counts, total }) => {
+  const N = counts.length;
+  // P2_sq[k]: sum of squared probabilities above bin k
+  const tailSq = new Float64Array(N + 1);
+  for (let i = N - 1; i >= 0; i--) {
+    const p = counts[i] / total;
+    tailSq[i] = tailSq[i + 1] + p * p;
+  }
+
+  let P1 = 0;
+  let P1sq = 0;
+  let best = 0;
+  let maxCrit = -Infinity;
+  for (let k = 0; k < N - 1; k++) {
+    const p = counts[k] / total;
+    P1 += p;
+    P1sq += p * p;
+    const spread = P1 * (1 - P1);
+    const product = P1sq * tailSq[k + 1];
+    if (spread <= 0 || product <= 0) continue;
+    const crit = Math.log((spread * spread) / product);
+    if (crit > maxCrit) {
+      maxCrit = crit;
+      best = k;
+    }
+  }
+  return best;
+};
+
+// Li's iterative minimum cross entropy, as in scikit-image threshold_li.
+// Bin k stands for the value k + 1 so that every value is positive.
+export const liBin = ({ counts, total }) => {
+  const N = counts.length;
+  let t = 0;
+  for (let k = 0; k < N; k++) t += (k + 1) * counts[k];
+  t /= total;
+
+  for (let iter = 0; iter < 1000; iter++) {
+    let backSum = 0;
+    let backCount = 0;
+    let foreSum = 0;
+    let foreCount = 0;
+    for (let k = 0; k < N; k++) {
+      if (k + 1 <= t) {
+        backSum += (k + 1) * counts[k];
+        backCount += counts[k];
+      } else {
+        foreSum += (k + 1) * counts[k];
+        foreCount += counts[k];
+      }
+    }
+    if (backCount === 0 || foreCount === 0) break;
+    const meanBack = backSum / backCount;
+    const meanFore = foreSum / foreCount;
+    const next = (meanBack - meanFore) / (Math.log(meanBack) - Math.log(meanFore));
+    const done = Math.abs(next - t) < 0.5;
+    t = next;
+    if (done) break;
+  }
+  return Math.max(0, Math.min(N - 1, Math.floor(t) - 1));
+};
+
+export const THRESHOLD_BINS = {
+  otsu: otsuBin,
+  triangle: triangleBin,
+  yen: yenBin,
+  li: liBin,
+};
+
+// Level of `method` for full-precision `values`, in the values' units
+export const histogramLevel = (method, values, mask = null) => {
+  const hist = histogram(values, mask);
+  return binEdge(hist, THRESHOLD_BINS[method](hist));
+};
+
+export const otsuLevel = (values, mask = null) => histogramLevel('otsu', values, mask);
+
+// Level of `method` for 8-bit `values`: one bin per gray level, so the last
+// background bin is the gray level itself
+export const histogramLevel8 = (method, values, mask = null) => {
+  const hist = histogram(values, mask, 256, { lo: 0, hi: 256 });
+  return THRESHOLD_BINS[method](hist);
+};
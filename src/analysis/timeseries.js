@@ -0,0 +1,116 @@
+import { toCsv } from './report.js';
+
+// Time series of Energy Analysis (D86) results over the frames of an image
+// sequence or a video: one row per frame, and drift statistics of the spot
+// position and size over the whole run.
+
+// Per-frame columns; centroids are in image px, the axes in the result's
+// length unit (see unitLabel)
+export const TIME_SERIES_COLUMNS = [
+  'frame',
+  'time',
+  'file',
+  'centroidX',
+  'centroidY',
+  'majorAxis',
+  'minorAxis',
+  'angleDeg',
+  'gamma',
+];
+
+// Columns that get drift statistics
+export const DRIFT_COLUMNS = ['centroidX', 'centroidY', 'majorAxis', 'minorAxis', 'angleDeg', 'gamma'];
+
+// Axis angles wrap at 180°: each one is moved by a multiple of 180° to lie
+// within ±90° of the one before, so a beam jittering around 0° reads
+// -0.2, 0.3 ... rather than 179.8, 0.3 ...
+const unwrapAngles = (rows) => {
+  for (let i = 1; i < rows.length; i++) {
+    const step = rows[i].angleDeg - rows[i - 1].angleDeg;
+    rows[i].angleDeg -= 180 * Math.round(step / 180);
+  }
+  return rows;
+};
+
+// Rows of `frames` ([{ file, time, result }], `time` in s or null). Frames
+// without a D86 result (failed or not analysed) are left out but keep their
+// frame number. `angleDeg` is unwrapped (see unwrapAngles), so it can leave
+// [0, 180) and its statistics and chart follow the actual jitter.
+export const timeSeriesRows = (frames) => unwrapAngles(frames
+  .map((frame, index) => ({ frame, index }))
+  .filter(({ frame }) => frame.result?.function === 'd86')
+  .map(({ frame, index }) => ({
+    frame: index,
+    time: frame.time ?? null,
+    file: frame.file,
+    centroidX: frame.result.centroid.x,
+    centroidY: frame.result.centroid.y,
+    majorAxis: frame.result.majorAxis,
+    minorAxis: frame.result.minorAxis,
+    angleDeg: frame.result.angleDeg,
+    gamma: frame.result.gamma,
+  })));
+
+// { mean, std, rms, peakToPeak, min, max } of `values`. `rms` is the RMS
+// deviation from the mean (the population standard deviation), `std` the
+// sample standard deviation.
+const stats = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sq = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return {
+    mean,
+    std: n > 1 ? Math.sqrt(sq / (n - 1)) : 0,
+    rms: Math.sqrt(sq / n),
+    peakToPeak: max - min,
+    min,
+    max,
+  };
+};
+
+// Drift statistics of `rows` (from timeSeriesRows), or null without rows:
+// { frames, columns: { column: stats }, pointing: { rms, max } }.
+// `pointing` is the radial distance of the centroid from its mean position,
+// in px: its RMS and its largest value.
+export const driftStats = (rows) => {
+  if (rows.length === 0) return null;
+  const columns = {};
+  for (const col of DRIFT_COLUMNS) columns[col] = stats(rows.map(row => row[col]));
+  const mx = columns.centroidX.mean;
+  const my = columns.centroidY.mean;
+  const radial = rows.map(row => Math.hypot(row.centroidX - mx, row.centroidY - my));
+  return {
+    frames: rows.length,
+    columns,
+    pointing: {
+      rms: Math.sqrt(radial.reduce((sum, r) => sum + r * r, 0) / radial.length),
+      max: Math.max(...radial),
+    },
+  };
+};
+
+const DRIFT_LABELS = {
+  centroidX: 'Centroid X (px)',
+  centroidY: 'Centroid Y (px)',
+  majorAxis: 'Major Axis ({unit})',
+  minorAxis: 'Minor Axis ({unit})',
+  angleDeg: 'Angle (deg)',
+  gamma: 'Gamma',
+};
+
+// Text summary of driftStats(); `unit` labels the axes
+export const formatDrift = (drift, unit) => {
+  if (!drift) return 'No frames analysed.';
+  const fmt = (v) => Number(v.toPrecision(6)).toString();
+  const lines = [`Frames: ${drift.frames}`];
+  for (const [col, s] of Object.entries(drift.columns)) {
+    const label = DRIFT_LABELS[col].replace('{unit}', unit);
+    lines.push(`${label}: mean ${fmt(s.mean)}, peak-to-peak ${fmt(s.peakToPeak)}, RMS ${fmt(s.rms)}`);
+  }
+  lines.push(`Pointing (px from mean centroid): RMS ${fmt(drift.pointing.rms)}, max ${fmt(drift.pointing.max)}`);
+  return lines.join('\n');
+};
+
+export const timeSeriesCsv = (rows) => toCsv(rows, TIME_SERIES_COLUMNS);
@@ -0,0 +1,46 @@
+import { normalizeCalibration } from './analysis/calibration.js';
+
+// Named calibration profiles (one per camera / objective), kept in the
+// browser's localStorage so they survive reloads.
+
+const STORAGE_KEY = 'dot-analyzer.calibrations';
+
+// Checked profiles from a parsed JSON value: one profile or an array of them.
+// Profiles without a name or a valid pixel size are dropped.
+export const parseCalibrations = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  const profiles = [];
+  for (const entry of list) {
+    try {
+      const cal = normalizeCalibration(entry);
+      if (cal && cal.name) profiles.push(cal);
+    } catch {
+      // skip invalid entries
+    }
+  }
+  return profiles;
+};
+
+export const loadCalibrations = () => {
+  try {
+    return parseCalibrations(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+export const storeCalibrations = (profiles) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+// `profiles` with every entry of `added` inserted or replacing the one of
+// the same name, sorted by name
+export const mergeCalibrations = (profiles, added) => {
+  const byName = new Map(profiles.map(p => [p.name, p]));
+  for (const p of added) byName.set(p.name, p);
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Download, Ruler, Save, Trash2, Upload } from 'lucide-react';
+import { lineLength, pixelSizeFromLine, LENGTH_UNITS } from '../analysis/calibration.js';
+
+const EMPTY_DRAFT = { name: '', unit: 'µm', pixelWidth: '', pixelHeight: '' };
+
+const draftOf = (profile) => (profile
+  ? { name: profile.name, unit: profile.unit, pixelWidth: String(profile.pixelWidth), pixelHeight: String(profile.pixelHeight) }
+  : EMPTY_DRAFT);
+
+// Editor for the named calibration profiles. The pixel size is typed in or
+// taken from `line` ([x1, y1, x2, y2] in image px, drawn with the measure
+// tool) and a known length. `active` is the name of the profile the analyses
+// use, '' for none (Hx / Hy frame size).
+const CalibrationPanel = ({ profiles, active, onSelect, onSave, onDelete, onImport, onExport, line, measuring, onMeasure }) => {
+  const [draft, setDraft] = useState(() => draftOf(profiles.find(p => p.name === active)));
+  const [knownLength, setKnownLength] = useState('');
+
+  // Selecting a profile loads it into the editor
+  const [prevActive, setPrevActive] = useState(active);
+  if (active !== prevActive) {
+    setPrevActive(active);
+    setDraft(draftOf(profiles.find(p => p.name === active)));
+  }
+
+  const update = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const applyLine = () => {
+    const size = pixelSizeFromLine(line, knownLength);
+    if (size === null) return;
+    setDraft({ ...draft, pixelWidth: String(size), pixelHeight: String(size) });
+  };
+
+  const canSave = draft.name.trim() !== '' && parseFloat(draft.pixelWidth) > 0
+    && (draft.pixelHeight === '' || parseFloat(draft.pixelHeight) > 0);
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="space-y-2 mt-2">
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Active Profile</label>
+        <select value={active} onChange={(e) => onSelect(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+          <option value="">None (Hx / Hy Frame Size)</option>
+          {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Name</label>
+          <input type="text" value={draft.name} onChange={update('name')} placeholder="Camera / objective" className="w-full p-2 border border-gray-300 rounded-md" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Unit</label>
+          <select value={draft.unit} onChange={update('unit')} className="w-full p-2 border border-gray-300 rounded-md">
+            {LENGTH_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Pixel Width ({draft.unit}/px)</label>
+          <input type="number" step="any" min="0" value={draft.pixelWidth} onChange={update('pixelWidth')} className="w-full p-2 border border-gray-300 rounded-md" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Pixel Height ({draft.unit}/px)</label>
+          <input type="number" step="any" min="0" value={draft.pixelHeight} onChange={update('pixelHeight')} placeholder="= width" className="w-full p-2 border border-gray-300 rounded-md" />
+        </div>
+      </div>
+
+      <div className="p-2 bg-gray-50 rounded-md border border-gray-200 space-y-2">
+        <button
+          onClick={onMeasure}
+          className={`flex items-center text-xs font-medium transition ${measuring ? 'text-blue-600' : 'text-gray-600 hover:text-blue-600'}`}
+        >
+          <Ruler className="w-4 h-4 mr-1" /> {measuring ? "Drag a line on the image..." : "Measure a line on the image"}
+        </button>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={knownLength}
+            onChange={(e) => setKnownLength(e.target.value)}
+            placeholder={`Known length (${draft.unit})`}
+            className="flex-1 min-w-0 p-2 border border-gray-300 rounded-md"
+          />
+          <button
+            onClick={applyLine}
+            disabled={!line || !(parseFloat(knownLength) > 0)}
+            className="px-3 py-2 text-xs font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:text-gray-400 disabled:border-gray-200 disabled:hover:bg-transparent"
+          >
+            Apply
+          </button>
+        </div>
+        <p className="text-xs text-gray-400">{line ? `Line: ${lineLength(line).toFixed(2)} px` : "No line drawn"}</p>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        <button onClick={() => onSave(draft)} disabled={!canSave} className="flex items-center px-2 py-1.5 text-xs text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition disabled:text-gray-300 disabled:hover:bg-transparent" title="Save and activate the profile">
+          <Save className="w-4 h-4 mr-1" /> Save
+        </button>
+        <button onClick={() => onDelete(active)} disabled={!active} className="flex items-center px-2 py-1.5 text-xs text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition disabled:text-gray-300 disabled:hover:bg-transparent" title="Delete the active profile">
+          <Trash2 className="w-4 h-4 mr-1" /> Delete
+        </button>
+        <button onClick={onExport} disabled={profiles.length === 0} className="flex items-center px-2 py-1.5 text-xs text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition disabled:text-gray-300 disabled:hover:bg-transparent" title="Export all profiles as JSON">
+          <Download className="w-4 h-4 mr-1" /> Export
+        </button>
+        <label className="flex items-center px-2 py-1.5 text-xs text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition cursor-pointer" title="Import profiles from JSON">
+          <Upload className="w-4 h-4 mr-1" /> Import
+          <input type="file" className="hidden" accept=".json,application/json" onChange={handleImport} />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,167 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Download, GitCompare, Image as ImageIcon, Loader2 } from 'lucide-react';
+import { comparisonImage } from '../analysis/index.js';
+
+const formatValue = (value) => (value === null || value === undefined ? '–' : Number(value.toPrecision(6)).toString());
+
+const formatRelative = (value) => {
+  if (value === null || value === undefined) return '–';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+};
+
+const REGISTRATION_LABELS = {
+  none: "None",
+  centroid: "Centroid",
+  correlation: "Cross-correlation",
+};
+
+// Before / after comparison of two of the loaded images (see
+// analysis/compare.js). `names` are the loaded image names; `reference` and
+// `sample` are indices into them. `comparison` is null before the first run,
+// { error } after a failed one, or { reference, sample, map, rows } with the
+// compared names, the compareImages() result and the compareResults() rows.
+const ComparePanel = ({
+  names,
+  reference,
+  sample,
+  onReferenceChange,
+  onSampleChange,
+  registration,
+  onRegistrationChange,
+  mapMode,
+  onMapModeChange,
+  canCompare,
+  isProcessing,
+  onCompare,
+  comparison,
+  onExportCsv,
+  onExportPng,
+}) => {
+  const canvasRef = useRef(null);
+  const map = comparison?.map ?? null;
+  const rendered = useMemo(() => (map ? comparisonImage(map) : null), [map]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !rendered) return;
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext('2d').putImageData(new ImageData(rendered.data, rendered.width, rendered.height), 0, 0);
+  }, [rendered]);
+
+  const ratio = map?.mode === 'ratio';
+  const legend = rendered && (ratio
+    ? [`×${formatValue(1 / rendered.limit)}`, "×1", `×${formatValue(rendered.limit)}`]
+    : [formatValue(-rendered.limit), "0", `+${formatValue(rendered.limit)}`]);
+  const selectClass = "w-full p-2 text-sm border border-gray-300 rounded-md";
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-700">Compare Images</h3>
+        {map && (
+          <div className="flex items-center gap-1">
+            <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Metric Deltas CSV">
+              <Download className="w-4 h-4 mr-1" /> CSV
+            </button>
+            <button onClick={() => onExportPng(canvasRef.current)} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Map PNG">
+              <ImageIcon className="w-4 h-4 mr-1" /> PNG
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Reference (Before)</label>
+          <select value={reference} onChange={(e) => onReferenceChange(Number(e.target.value))} className={selectClass}>
+            {names.map((name, i) => <option key={i} value={i}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Sample (After)</label>
+          <select value={sample} onChange={(e) => onSampleChange(Number(e.target.value))} className={selectClass}>
+            {names.map((name, i) => <option key={i} value={i}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Registration</label>
+          <select value={registration} onChange={(e) => onRegistrationChange(e.target.value)} className={selectClass}>
+            {Object.entries(REGISTRATION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Map</label>
+          <select value={mapMode} onChange={(e) => onMapModeChange(e.target.value)} className={selectClass}>
+            <option value="difference">Difference (After − Before)</option>
+            <option value="ratio">Ratio (After / Before)</option>
+          </select>
+        </div>
+        <button
+          onClick={onCompare}
+          disabled={!canCompare || reference === sample}
+          className={`py-2 px-4 rounded-lg flex items-center justify-center font-semibold text-white transition
+            ${!canCompare || reference === sample ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
+        >
+          {isProcessing ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <GitCompare className="w-4 h-4 mr-2" />}
+          Compare
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        Runs the selected function with the current parameters on both images; the ROI also limits the map and the registration.
+      </p>
+
+      {comparison?.error && (
+        <p className="mt-4 p-3 text-sm text-red-700 bg-red-50 border border-red-100 rounded-md">{comparison.error}</p>
+      )}
+
+      {map && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 items-start mt-4">
+          <div>
+            <canvas ref={canvasRef} className="w-full h-auto border border-gray-200" style={{ imageRendering: 'pixelated' }} />
+            <div className="mt-2">
+              <div className="h-3 rounded" style={{ background: 'linear-gradient(to right, rgb(37, 99, 235), #ffffff, rgb(220, 38, 38))' }} />
+              <div className="flex justify-between text-xs text-gray-500 font-mono mt-1">
+                {legend.map(label => <span key={label}>{label}</span>)}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Registration: {REGISTRATION_LABELS[map.registration.method]}
+              {map.registration.method !== 'none' && `, shift ${map.registration.dx.toFixed(2)}, ${map.registration.dy.toFixed(2)} px`}
+              {map.registration.peak !== undefined && ` (correlation ${map.registration.peak.toFixed(3)})`}.
+              {' '}{ratio ? "Ratio" : "Difference"}: mean {formatValue(map.stats.mean)}, RMS change {formatValue(map.stats.rmsDeviation)}, range {formatValue(map.stats.min)} to {formatValue(map.stats.max)}.
+              {' '}Grey: no data{ratio ? " (outside the overlap or a dark reference)" : " (outside the overlap)"}.
+            </p>
+          </div>
+
+          <div className="overflow-auto">
+            <table className="w-full text-sm font-mono">
+              <thead>
+                <tr className="border-b border-gray-200 text-left text-gray-500">
+                  <th className="px-3 py-2 font-semibold">Metric</th>
+                  <th className="px-3 py-2 font-semibold">Before</th>
+                  <th className="px-3 py-2 font-semibold">After</th>
+                  <th className="px-3 py-2 font-semibold">Δ</th>
+                  <th className="px-3 py-2 font-semibold">Δ %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map(row => (
+                  <tr key={row.metric} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="px-3 py-1.5 whitespace-nowrap">{row.label}{row.unit ? ` (${row.unit})` : ''}</td>
+                    <td className="px-3 py-1.5">{formatValue(row.reference)}</td>
+                    <td className="px-3 py-1.5">{formatValue(row.sample)}</td>
+                    <td className="px-3 py-1.5">{formatValue(row.delta)}</td>
+                    <td className="px-3 py-1.5">{formatRelative(row.relative)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,205 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Download, Image as ImageIcon } from 'lucide-react';
+import { defaultCellSize, densityMap, histogram, histogramMeasures } from '../analysis/index.js';
+import { chartGeometry, niceTicks } from './chartAxes.js';
+
+// Histogram geometry
+const { WIDTH, HEIGHT, MARGIN, PLOT_W, PLOT_H } = chartGeometry(480, 260, { top: 12, right: 16, bottom: 44, left: 44 });
+
+// Width of the density map in SVG user units; the height follows the image
+const MAP_WIDTH = 480;
+
+const formatNumber = (value) => Number(value.toPrecision(4)).toString();
+
+// White through blue to dark violet for 0..1
+const RAMP = [[255, 255, 255], [147, 197, 253], [37, 99, 235], [76, 29, 149]];
+const rampColor = (t) => {
+  const x = Math.max(0, Math.min(1, t)) * (RAMP.length - 1);
+  const k = Math.min(RAMP.length - 2, Math.floor(x));
+  const f = x - k;
+  const [r, g, b] = RAMP[k].map((c, i) => Math.round(c + (RAMP[k + 1][i] - c) * f));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+const Histogram = ({ svgRef, hist, label, color }) => {
+  const maxCount = hist.bins.reduce((m, bin) => Math.max(m, bin.count), 0);
+  const yTicks = niceTicks(0, maxCount, 4);
+  const yDomain = Math.max(maxCount, yTicks[yTicks.length - 1]) || 1;
+  const barW = hist.bins.length > 0 ? PLOT_W / hist.bins.length : 0;
+  const sy = (c) => MARGIN.top + (1 - c / yDomain) * PLOT_H;
+  // Label every bin edge while they fit, otherwise about six of them
+  const every = Math.max(1, Math.ceil(hist.bins.length / 6));
+
+  return (
+    <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif" fontSize="11">
+      <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+      {yTicks.map(t => (
+        <g key={t}>
+          <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(t)} y2={sy(t)} stroke="#e5e7eb" />
+          <text x={MARGIN.left - 6} y={sy(t) + 4} textAnchor="end" fill="#6b7280">{formatNumber(t)}</text>
+        </g>
+      ))}
+      {hist.bins.map((bin, k) => (
+        <rect key={k} x={MARGIN.left + k * barW + 0.5} y={sy(bin.count)} width={Math.max(0, barW - 1)} height={MARGIN.top + PLOT_H - sy(bin.count)} fill={color}>
+          <title>{`${formatNumber(bin.binStart)} – ${formatNumber(bin.binEnd)}: ${bin.count}`}</title>
+        </rect>
+      ))}
+      {hist.bins.map((bin, k) => (k % every === 0 || k === hist.bins.length - 1) && (
+        <text key={k} x={MARGIN.left + k * barW} y={MARGIN.top + PLOT_H + 14} textAnchor="middle" fill="#6b7280">{formatNumber(bin.binStart)}</text>
+      ))}
+      {hist.bins.length > 0 && (
+        <text x={MARGIN.left + PLOT_W} y={MARGIN.top + PLOT_H + 14} textAnchor="middle" fill="#6b7280">{formatNumber(hist.bins[hist.bins.length - 1].binEnd)}</text>
+      )}
+      <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+      <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 6} textAnchor="middle" fill="#374151">{label}</text>
+      <text x={12} y={MARGIN.top + PLOT_H / 2} textAnchor="middle" fill="#374151" transform={`rotate(-90 12 ${MARGIN.top + PLOT_H / 2})`}>Dots</text>
+    </svg>
+  );
+};
+
+// Size distribution and spatial statistics of a (corrected) Count Points
+// result: histograms of a size measure and of the nearest-neighbour
+// distances with an adjustable number of bins, density, coverage, the
+// Clark-Evans index and a local density map. The exports get the bin count,
+// the density map and the chart's <svg> element.
+const CountStats = ({ result, onExportHistogramsCsv, onExportDensityCsv, onExportPng }) => {
+  const [measure, setMeasure] = useState('area');
+  const [bins, setBins] = useState("20");
+  const [cells, setCells] = useState("16");
+  const sizeRef = useRef(null);
+  const nnRef = useRef(null);
+  const mapRef = useRef(null);
+
+  const measures = histogramMeasures(result);
+  const sizeMeasures = measures.filter(m => !m.key.startsWith('nnDistance'));
+  const nnMeasure = measures.find(m => m.key === (result.calibration ? 'nnDistanceCal' : 'nnDistance'));
+  const sizeMeasure = sizeMeasures.find(m => m.key === measure) ?? sizeMeasures[0];
+  const sizeKey = sizeMeasure.key;
+  const binCount = Math.max(1, Math.min(200, parseInt(bins) || 20));
+  const { objects, spatial } = result;
+  const sizeHist = histogram(objects.map(obj => obj[sizeKey]), binCount);
+  const nnHist = histogram(objects.map(obj => obj[nnMeasure.key]), binCount);
+
+  const cellCount = Math.max(1, Math.min(128, parseInt(cells) || 16));
+  const map = useMemo(() => densityMap(result, defaultCellSize(result, cellCount)), [result, cellCount]);
+  const scale = MAP_WIDTH / result.width;
+  const mapHeight = result.height * scale;
+  const cal = spatial.calibrated;
+  // Nearest-neighbour distances in the calibration unit when there is one
+  const nnStat = cal ?? spatial;
+  const formatDistance = (value) => (cal ? `${formatNumber(value)} ${cal.unit}` : `${value.toFixed(2)} px`);
+
+  const stat = (label, value, note) => (
+    <div className="p-3 bg-gray-50 rounded-lg">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-lg font-semibold text-gray-800 font-mono">{value}</div>
+      {note && <div className="text-xs text-gray-500">{note}</div>}
+    </div>
+  );
+  const buttonClass = "flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition";
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-700">Count Statistics</h3>
+        <div className="flex items-center gap-1">
+          <button onClick={() => onExportHistogramsCsv(binCount)} className={buttonClass} title="Export Histograms CSV">
+            <Download className="w-4 h-4 mr-1" /> Histograms
+          </button>
+          <button onClick={() => onExportDensityCsv(map)} className={buttonClass} title="Export Density Map CSV">
+            <Download className="w-4 h-4 mr-1" /> Density
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-6">
+        {stat("Density", `${formatNumber(spatial.density)} / px²`, cal ? `${formatNumber(cal.density)} / ${cal.unit}²` : null)}
+        {stat("Coverage", `${(spatial.coverage * 100).toFixed(2)}%`, "of the analysed area")}
+        {stat(
+          "Mean Nearest Neighbour",
+          nnStat.meanNnDistance !== null ? formatDistance(nnStat.meanNnDistance) : '–',
+          nnStat.expectedNnDistance !== null ? `${formatDistance(nnStat.expectedNnDistance)} if random` : null,
+        )}
+        {stat(
+          "Clark–Evans R",
+          spatial.clarkEvans !== null ? spatial.clarkEvans.toFixed(3) : '–',
+          spatial.clarkEvans !== null ? `z ${spatial.clarkEvansZ.toFixed(2)}, ${spatial.pattern}` : "needs two or more dots",
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 items-start">
+        <div>
+          <div className="flex items-center justify-between mb-2 gap-2">
+            <select value={sizeKey} onChange={(e) => setMeasure(e.target.value)} className="p-1.5 text-sm border border-gray-300 rounded-md">
+              {sizeMeasures.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+            <div className="flex items-center gap-1">
+              <label className="text-xs text-gray-500">Bins</label>
+              <input type="number" min="1" max="200" value={bins} onChange={(e) => setBins(e.target.value)} className="w-16 p-1.5 text-sm border border-gray-300 rounded-md" />
+              <button onClick={() => onExportPng(sizeRef.current, sizeKey)} className={buttonClass} title="Export Histogram PNG">
+                <ImageIcon className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <Histogram svgRef={sizeRef} hist={sizeHist} label={sizeMeasure.label} color="#3b82f6" />
+        </div>
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-600">Nearest-Neighbour Distances</span>
+            <button onClick={() => onExportPng(nnRef.current, nnMeasure.key)} className={buttonClass} title="Export Histogram PNG">
+              <ImageIcon className="w-4 h-4" />
+            </button>
+          </div>
+          <Histogram svgRef={nnRef} hist={nnHist} label={nnMeasure.label} color="#f59e0b" />
+        </div>
+        <div className="xl:col-span-2">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-600">Local Density ({map.cellSize} px cells)</span>
+            <div className="flex items-center gap-1">
+              <label className="text-xs text-gray-500">Cells Across</label>
+              <input type="number" min="1" max="128" value={cells} onChange={(e) => setCells(e.target.value)} className="w-16 p-1.5 text-sm border border-gray-300 rounded-md" />
+              <button onClick={() => onExportPng(mapRef.current, 'density')} className={buttonClass} title="Export Density Map PNG">
+                <ImageIcon className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <svg ref={mapRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${MAP_WIDTH} ${mapHeight + 36}`} className="w-full max-w-3xl h-auto" fontFamily="sans-serif" fontSize="11">
+            <rect x="0" y="0" width={MAP_WIDTH} height={mapHeight + 36} fill="#ffffff" />
+            {Array.from(map.values, (value, i) => {
+              const col = i % map.cols;
+              const row = Math.floor(i / map.cols);
+              return (
+                <rect
+                  key={i}
+                  x={col * map.cellSize * scale}
+                  y={row * map.cellSize * scale}
+                  width={Math.min(map.cellSize, result.width - col * map.cellSize) * scale}
+                  height={Math.min(map.cellSize, result.height - row * map.cellSize) * scale}
+                  fill={Number.isNaN(value) ? '#d1d5db' : rampColor(map.max > 0 ? value / map.max : 0)}
+                />
+              );
+            })}
+            {objects.map(obj => (
+              <circle key={obj.id} cx={obj.cx * scale} cy={obj.cy * scale} r="1.5" fill="#f97316" />
+            ))}
+            <rect x="0" y="0" width={MAP_WIDTH} height={mapHeight} fill="none" stroke="#9ca3af" />
+            <defs>
+              <linearGradient id="density-ramp">
+                {RAMP.map((c, k) => <stop key={k} offset={k / (RAMP.length - 1)} stopColor={`rgb(${c.join(', ')})`} />)}
+              </linearGradient>
+            </defs>
+            <rect x="0" y={mapHeight + 10} width={MAP_WIDTH / 2} height="10" fill="url(#density-ramp)" stroke="#9ca3af" />
+            <text x="0" y={mapHeight + 32} fill="#6b7280">0</text>
+            <text x={MAP_WIDTH / 2} y={mapHeight + 32} textAnchor="end" fill="#6b7280">{`${formatNumber(map.max)} / px²`}</text>
+            <text x={MAP_WIDTH} y={mapHeight + 20} textAnchor="end" fill="#6b7280">Dots per px² in each cell; grey: outside the ROI</text>
+          </svg>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        R is the mean nearest-neighbour distance over the 0.5 / √density expected for randomly placed dots: below 1 clustered, about 1 random, above 1 regular (2.15 for a hexagonal lattice). The pattern is named when |z| exceeds 1.96; there is no edge correction. Dots added by hand have no size and do not count towards the coverage.
+      </p>
+    </div>
+  );
+};
+
+export default CountStats;
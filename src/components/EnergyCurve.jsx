@@ -0,0 +1,113 @@
+import React, { useRef, useState } from 'react';
+import { Download, Image as ImageIcon } from 'lucide-react';
+import { chartGeometry, formatTick, niceTicks } from './chartAxes.js';
+
+const xAxisLabel = (xKey, unit) => (xKey === 'gamma'
+  ? 'Gamma (Normalised Radius)'
+  : `Equivalent Diameter (${unit})`);
+
+const { WIDTH, HEIGHT, MARGIN, PLOT_W, PLOT_H } = chartGeometry(640, 320, { top: 16, right: 24, bottom: 44, left: 52 });
+
+// Encircled-energy curve of a D86 result (energy fraction against gamma or
+// the equivalent diameter), with the diameters at every requested level.
+// `curve` and `levels` come straight from the result; the PNG export gets the
+// chart's <svg> element. `unit` labels the diameters.
+const EnergyCurve = ({ curve, levels, unit = 'Actual Unit', onExportCurveCsv, onExportLevelsCsv, onExportPng }) => {
+  const [xKey, setXKey] = useState('equivDiameter');
+  const svgRef = useRef(null);
+
+  const xMax = curve.length > 0 ? curve[curve.length - 1][xKey] : 0;
+  const xTicks = niceTicks(0, xMax);
+  const xDomain = Math.max(xMax, xTicks[xTicks.length - 1]) || 1;
+  const sx = (v) => MARGIN.left + (v / xDomain) * PLOT_W;
+  const sy = (f) => MARGIN.top + (1 - f) * PLOT_H;
+  const path = curve.map((p, i) => `${i === 0 ? 'M' : 'L'}${sx(p[xKey]).toFixed(2)},${sy(p.fraction).toFixed(2)}`).join(' ');
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Encircled Energy</h3>
+        <div className="flex items-center gap-1">
+          <select value={xKey} onChange={(e) => setXKey(e.target.value)} className="mr-2 p-1.5 text-sm border border-gray-300 rounded-md">
+            <option value="equivDiameter">X: Equivalent Diameter</option>
+            <option value="gamma">X: Gamma</option>
+          </select>
+          <button onClick={onExportCurveCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Curve CSV">
+            <Download className="w-4 h-4 mr-1" /> Curve
+          </button>
+          <button onClick={onExportLevelsCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Levels CSV">
+            <Download className="w-4 h-4 mr-1" /> Levels
+          </button>
+          <button onClick={() => onExportPng(svgRef.current)} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Chart PNG">
+            <ImageIcon className="w-4 h-4 mr-1" /> PNG
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 items-start">
+        <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif" fontSize="11">
+          <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+          {/* Grid and ticks */}
+          {xTicks.map(t => (
+            <g key={`x${t}`}>
+              <line x1={sx(t)} x2={sx(t)} y1={MARGIN.top} y2={MARGIN.top + PLOT_H} stroke="#e5e7eb" />
+              <text x={sx(t)} y={MARGIN.top + PLOT_H + 16} textAnchor="middle" fill="#6b7280">{formatTick(t)}</text>
+            </g>
+          ))}
+          {[0, 0.2, 0.4, 0.6, 0.8, 1].map(f => (
+            <g key={`y${f}`}>
+              <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(f)} y2={sy(f)} stroke="#e5e7eb" />
+              <text x={MARGIN.left - 6} y={sy(f) + 4} textAnchor="end" fill="#6b7280">{f * 100}%</text>
+            </g>
+          ))}
+          <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+          <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 6} textAnchor="middle" fill="#374151">{xAxisLabel(xKey, unit)}</text>
+          <text transform={`translate(14 ${MARGIN.top + PLOT_H / 2}) rotate(-90)`} textAnchor="middle" fill="#374151">Enclosed Energy</text>
+
+          {/* Level markers */}
+          {levels.map(l => (
+            <g key={l.level}>
+              <path
+                d={`M${MARGIN.left},${sy(l.level / 100)} H${sx(l[xKey])} V${MARGIN.top + PLOT_H}`}
+                fill="none"
+                stroke="#f97316"
+                strokeDasharray="4 3"
+              />
+              <circle cx={sx(l[xKey])} cy={sy(l.level / 100)} r="3" fill="#f97316" />
+              <text x={sx(l[xKey]) + 5} y={sy(l.level / 100) + 12} fill="#c2410c">D{l.level}</text>
+            </g>
+          ))}
+
+          <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+        </svg>
+
+        <div className="overflow-auto">
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="px-3 py-2 font-semibold">Level</th>
+                <th className="px-3 py-2 font-semibold">Eq. Diameter</th>
+                <th className="px-3 py-2 font-semibold">Major Axis</th>
+                <th className="px-3 py-2 font-semibold">Minor Axis</th>
+                <th className="px-3 py-2 font-semibold">Gamma</th>
+              </tr>
+            </thead>
+            <tbody>
+              {levels.map(l => (
+                <tr key={l.level} className="border-b border-gray-100 hover:bg-gray-50">
+                  <td className="px-3 py-1.5">D{l.level}</td>
+                  <td className="px-3 py-1.5">{l.equivDiameter.toFixed(6)}</td>
+                  <td className="px-3 py-1.5">{l.majorAxis.toFixed(6)}</td>
+                  <td className="px-3 py-1.5">{l.minorAxis.toFixed(6)}</td>
+                  <td className="px-3 py-1.5">{l.gamma.toFixed(4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {levels.length === 0 && <p className="text-sm text-gray-400 mt-2">No energy levels requested.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EnergyCurve;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Download } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'status', label: 'Status' },
+  { key: 'row', label: 'Row' },
+  { key: 'col', label: 'Col' },
+  { key: 'id', label: 'Dot ID' },
+  { key: 'x', label: 'X', digits: 2 },
+  { key: 'y', label: 'Y', digits: 2 },
+  { key: 'dx', label: 'dX (px)', digits: 3 },
+  { key: 'dy', label: 'dY (px)', digits: 3 },
+  { key: 'displacement', label: '|d| (px)', digits: 3 },
+];
+
+const STATUS_STYLES = {
+  ok: 'hover:bg-gray-50',
+  missing: 'bg-red-50 text-red-700',
+  extra: 'bg-fuchsia-50 text-fuchsia-700',
+};
+
+const formatCell = (value, digits) => {
+  if (value === null || value === undefined) return '–';
+  return digits !== undefined ? value.toFixed(digits) : value;
+};
+
+// Missing sites have no measured position, show the nominal one instead
+const cellValue = (row, key) => {
+  if (row.status === 'missing' && key === 'x') return row.siteX;
+  if (row.status === 'missing' && key === 'y') return row.siteY;
+  return row[key];
+};
+
+// Missing values always sort last, regardless of direction
+const compareRows = (key, dir) => (a, b) => {
+  const va = cellValue(a, key);
+  const vb = cellValue(b, key);
+  if (va === vb) return 0;
+  if (va === undefined || va === null) return 1;
+  if (vb === undefined || vb === null) return -1;
+  const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+  return dir === 'asc' ? order : -order;
+};
+
+// Lattice dots, missing sites and extra dots of a grid result, one row each.
+// `rows` comes from gridRows(); missing sites show their nominal position.
+const GridTable = ({ grid, rows, onExportCsv }) => {
+  const [sortKey, setSortKey] = useState('row');
+  const [sortDir, setSortDir] = useState('asc');
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDir('asc');
+    }
+  };
+
+  const sorted = [...rows].sort((a, b) => compareRows(sortKey, sortDir)(a, b)
+    || (sortKey === 'row' ? compareRows('col', 'asc')(a, b) : 0));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">
+          Grid ({grid.rows} × {grid.cols})
+          <span className="ml-3 text-sm font-normal text-gray-500">
+            {grid.missing.length} missing, {grid.extra.length} extra, RMS distortion {grid.rmsDistortion.toFixed(3)} px
+          </span>
+        </h3>
+        <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export CSV">
+          <Download className="w-4 h-4 mr-1" /> CSV
+        </button>
+      </div>
+      <div className="overflow-auto max-h-96">
+        <table className="w-full text-sm font-mono">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-gray-200 text-left text-gray-500">
+              {COLUMNS.map(col => (
+                <th key={col.key} onClick={() => toggleSort(col.key)} className="px-3 py-2 font-semibold cursor-pointer select-none whitespace-nowrap hover:text-blue-600">
+                  <span className="inline-flex items-center">
+                    {col.label}
+                    {sortKey === col.key && (sortDir === 'asc'
+                      ? <ArrowUp className="w-3 h-3 ml-1" />
+                      : <ArrowDown className="w-3 h-3 ml-1" />)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(row => (
+              <tr key={`${row.status}-${row.id ?? `${row.row},${row.col}`}`} className={`border-b border-gray-100 ${STATUS_STYLES[row.status]}`}>
+                {COLUMNS.map(col => (
+                  <td key={col.key} className="px-3 py-1.5">{formatCell(cellValue(row, col.key), col.digits)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default GridTable;
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pixelAt, useZoomPan } from '../viewport.js';
+
+// Shows `src` on a canvas at the zoom and pan of `view` (see viewport.js),
+// with `draw(ctx, scale)` painting on top in image px. Drawing at screen
+// resolution keeps overlay lines thin however far the image is zoomed.
+// onHover gets the pixel under the pointer. With onPick, a click (a press
+// that does not drag) hands over the image point and the scale instead.
+const ImageViewer = ({ src, view = null, onView, onHover, draw = null, onPick = null }) => {
+  const panelRef = useRef(null);
+  const canvasRef = useRef(null);
+  const pressRef = useRef(null); // client position of the last press
+  const [loaded, setLoaded] = useState(null); // { src, img }
+
+  useEffect(() => {
+    const img = new Image();
+    img.onload = () => setLoaded({ src, img });
+    img.src = src;
+  }, [src]);
+
+  const img = loaded?.src === src ? loaded.img : null;
+  const width = img?.naturalWidth ?? 0;
+  const height = img?.naturalHeight ?? 0;
+  const zoomPan = useZoomPan(panelRef, { width, height, view, onView });
+  const { ready, panel, scale } = zoomPan;
+  const { cx, cy } = zoomPan.view;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !img || !ready) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(panel.width * dpr);
+    canvas.height = Math.round(panel.height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * (panel.width / 2 - cx * scale), dpr * (panel.height / 2 - cy * scale));
+    ctx.imageSmoothingEnabled = scale <= 1;
+    ctx.drawImage(img, 0, 0);
+    draw?.(ctx, scale);
+  }, [img, ready, panel, scale, cx, cy, draw]);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 && e.button !== 1) return;
+    pressRef.current = e.button === 0 ? [e.clientX, e.clientY] : null;
+    zoomPan.startPan(e);
+  };
+
+  const handlePointerUp = (e) => {
+    zoomPan.endPan();
+    const press = pressRef.current;
+    pressRef.current = null;
+    if (onPick && press && Math.hypot(e.clientX - press[0], e.clientY - press[1]) < 4) {
+      onPick(zoomPan.toImage(e), scale);
+    }
+  };
+
+  const cursor = onPick ? 'cursor-crosshair' : zoomPan.panning ? 'cursor-grabbing' : 'cursor-grab';
+
+  const handlePointerMove = (e) => {
+    onHover?.(pixelAt(zoomPan.toImage(e), width, height));
+    zoomPan.movePan(e);
+  };
+
+  return (
+    <div ref={panelRef} className="w-full h-full">
+      <canvas
+        ref={canvasRef}
+        className={`block w-full h-full touch-none ${cursor}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => onHover?.(null)}
+      />
+    </div>
+  );
+};
+
+export default ImageViewer;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Download } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'cx', label: 'X', digits: 2 },
+  { key: 'cy', label: 'Y', digits: 2 },
+  { key: 'area', label: 'Area (px)' },
+  { key: 'x', label: 'Box X' },
+  { key: 'y', label: 'Box Y' },
+  { key: 'width', label: 'Box W' },
+  { key: 'height', label: 'Box H' },
+  { key: 'equivDiameter', label: 'Eq. Diameter', digits: 2 },
+  { key: 'circularity', label: 'Circularity', digits: 3 },
+  { key: 'meanIntensity', label: 'Mean Int.', digits: 1 },
+  { key: 'integratedIntensity', label: 'Integrated Int.', digits: 0 },
+  { key: 'nnDistance', label: 'NN Dist. (px)', digits: 2 },
+];
+
+// Extra columns of calibrated results, labelled with the unit
+const calibratedColumns = (unit) => [
+  { key: 'areaCal', label: `Area (${unit}²)`, digits: 4 },
+  { key: 'equivDiameterCal', label: `Eq. Diameter (${unit})`, digits: 4 },
+  { key: 'perimeterCal', label: `Perimeter (${unit})`, digits: 4 },
+  { key: 'nnDistanceCal', label: `NN Dist. (${unit})`, digits: 4 },
+];
+
+// Extra columns of sub-pixel fitted results
+const FIT_COLUMNS = [
+  { key: 'fitX', label: 'Fit X', digits: 3 },
+  { key: 'fitY', label: 'Fit Y', digits: 3 },
+  { key: 'sigmaMajor', label: 'σ Major', digits: 3 },
+  { key: 'sigmaMinor', label: 'σ Minor', digits: 3 },
+  { key: 'fitAngle', label: 'Fit Angle (°)', digits: 1 },
+  { key: 'amplitude', label: 'Amplitude', digits: 1 },
+  { key: 'background', label: 'Background', digits: 1 },
+  { key: 'fitRSquared', label: 'Fit R²', digits: 4 },
+];
+
+const STATS = ['mean', 'std', 'min', 'max'];
+
+const formatCell = (value, digits) => {
+  if (value === null || value === undefined) return '–';
+  return digits !== undefined ? value.toFixed(digits) : value;
+};
+
+// Summary cells use at least two decimals, since means of integer columns
+// are not integers
+const formatStat = (value, digits) => formatCell(value, Math.max(digits ?? 0, 2));
+
+// Per-object measurements of one Count Points result, with the summary from
+// summarizeObjects() underneath. `objects` and `summary` come straight from
+// the result; with `fitted` the sub-pixel fit columns are shown too and rows
+// whose fit failed are highlighted, with a calibration `unit` the sizes in it.
+// Dots added by hand (see analysis/corrections.js) are highlighted in green.
+const ObjectsTable = ({ objects, summary, fitted = false, unit = null, onExportCsv, onExportJson }) => {
+  const [sortKey, setSortKey] = useState('id');
+  const [sortDir, setSortDir] = useState('asc');
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDir('asc');
+    }
+  };
+
+  const columns = [
+    ...COLUMNS,
+    ...(unit ? calibratedColumns(unit) : []),
+    ...(fitted ? FIT_COLUMNS : []),
+  ];
+
+  const sorted = [...objects].sort((a, b) => {
+    const va = a[sortKey] ?? -Infinity;
+    const vb = b[sortKey] ?? -Infinity;
+    return sortDir === 'asc' ? va - vb : vb - va;
+  });
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Objects ({objects.length})</h3>
+        <div className="flex gap-1">
+          <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export CSV">
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </button>
+          <button onClick={onExportJson} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export JSON">
+            <Download className="w-4 h-4 mr-1" /> JSON
+          </button>
+        </div>
+      </div>
+      <div className="overflow-auto max-h-96">
+        <table className="w-full text-sm font-mono">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-gray-200 text-left text-gray-500">
+              {columns.map(col => (
+                <th key={col.key} onClick={() => toggleSort(col.key)} className="px-3 py-2 font-semibold cursor-pointer select-none whitespace-nowrap hover:text-blue-600">
+                  <span className="inline-flex items-center">
+                    {col.label}
+                    {sortKey === col.key && (sortDir === 'asc'
+                      ? <ArrowUp className="w-3 h-3 ml-1" />
+                      : <ArrowDown className="w-3 h-3 ml-1" />)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(obj => (
+              <tr
+                key={obj.id}
+                className={`border-b border-gray-100 ${obj.source === 'manual'
+                  ? 'bg-green-50 text-green-700'
+                  : fitted && !obj.fitOk ? 'bg-fuchsia-50 text-fuchsia-700' : 'hover:bg-gray-50'}`}
+                title={obj.source === 'manual' ? "Added manually" : fitted && !obj.fitOk ? "Gaussian fit failed" : undefined}
+              >
+                {columns.map(col => (
+                  <td key={col.key} className="px-3 py-1.5">{formatCell(obj[col.key], col.digits)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="sticky bottom-0 bg-gray-50">
+            {STATS.map(stat => (
+              <tr key={stat} className="border-t border-gray-200 text-gray-600">
+                {columns.map(col => (
+                  <td key={col.key} className="px-3 py-1.5">
+                    {col.key === 'id'
+                      ? <span className="font-semibold capitalize">{stat}</span>
+                      : summary[col.key] ? formatStat(summary[col.key][stat], col.digits) : ''}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ObjectsTable;
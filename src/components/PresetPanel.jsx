@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Download, FolderOpen, Link, RotateCcw, Save, Trash2, Upload } from 'lucide-react';
+
+const buttonClass = "flex items-center px-2 py-1.5 text-xs text-gray-600 rounded-lg transition disabled:text-gray-300 disabled:hover:bg-transparent";
+
+// Named parameter presets (see recipeStore.js). Loading a preset replaces
+// the function and every parameter; the link and the JSON export carry the
+// current settings.
+const PresetPanel = ({ presets, onLoad, onSave, onDelete, onImport, onExport, onCopyLink, onReset }) => {
+  const [selected, setSelected] = useState('');
+  const [name, setName] = useState('');
+
+  // A deleted or replaced list may no longer hold the selection
+  const current = presets.some(p => p.name === selected) ? selected : '';
+
+  const handleSelect = (e) => {
+    setSelected(e.target.value);
+    if (e.target.value) setName(e.target.value);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="space-y-2 mt-2">
+      <div className="flex items-center gap-1">
+        <select value={current} onChange={handleSelect} className="flex-1 min-w-0 p-2 border border-gray-300 rounded-md">
+          <option value="">{presets.length > 0 ? "Choose a preset..." : "No saved presets"}</option>
+          {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <button onClick={() => onLoad(current)} disabled={!current} className={`${buttonClass} hover:text-blue-600 hover:bg-blue-50`} title="Load the preset">
+          <FolderOpen className="w-4 h-4" />
+        </button>
+        <button onClick={() => onDelete(current)} disabled={!current} className={`${buttonClass} hover:text-red-600 hover:bg-red-50`} title="Delete the preset">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex items-center gap-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          className="flex-1 min-w-0 p-2 border border-gray-300 rounded-md"
+        />
+        <button onClick={() => onSave(name.trim())} disabled={name.trim() === ''} className={`${buttonClass} hover:text-green-600 hover:bg-green-50`} title="Save the current settings under this name">
+          <Save className="w-4 h-4 mr-1" /> Save
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        <button onClick={() => onExport(name.trim())} className={`${buttonClass} hover:text-green-600 hover:bg-green-50`} title="Export the current settings as a JSON recipe">
+          <Download className="w-4 h-4 mr-1" /> Export
+        </button>
+        <label className={`${buttonClass} hover:text-blue-600 hover:bg-blue-50 cursor-pointer`} title="Import recipes from JSON">
+          <Upload className="w-4 h-4 mr-1" /> Import
+          <input type="file" className="hidden" accept=".json,application/json" onChange={handleImport} />
+        </label>
+        <button onClick={onCopyLink} className={`${buttonClass} hover:text-blue-600 hover:bg-blue-50`} title="Copy a link that opens with the current settings">
+          <Link className="w-4 h-4 mr-1" /> Copy Link
+        </button>
+        <button onClick={onReset} className={`${buttonClass} hover:text-red-600 hover:bg-red-50`} title="Reset all parameters to their defaults">
+          <RotateCcw className="w-4 h-4 mr-1" /> Defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PresetPanel;
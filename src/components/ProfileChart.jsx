@@ -0,0 +1,132 @@
+import React, { useRef, useState } from 'react';
+import { Download, Image as ImageIcon, X } from 'lucide-react';
+import { chartGeometry, formatTick, niceTicks } from './chartAxes.js';
+
+const { WIDTH, HEIGHT, MARGIN, PLOT_W, PLOT_H } = chartGeometry(640, 320, { top: 16, right: 24, bottom: 44, left: 60 });
+
+const formatValue = (value, digits) => (value === null ? '–' : value.toFixed(digits));
+
+// Intensity profiles (see analysis/profile.js): the selected one as a chart,
+// with its background, half-maximum and 1/e² levels, and the measurements of
+// all of them. `profiles` are [{ name, lineIndex, samples, ...measureProfile }]
+// with `lineIndex` null for the axis profiles of a result and the index of
+// a drawn line otherwise, which onRemove(lineIndex) deletes. `unit` labels
+// the positions and widths.
+const ProfileChart = ({ profiles, unit, onRemove, onExportCsv, onExportPng }) => {
+  const [selected, setSelected] = useState(0);
+  const svgRef = useRef(null);
+
+  const index = Math.min(selected, profiles.length - 1);
+  const profile = profiles[index];
+  const { samples } = profile;
+  const xMax = samples[samples.length - 1].position;
+  const yMax = Math.max(...samples.map(s => s.value));
+  const xTicks = niceTicks(0, xMax);
+  const yTicks = niceTicks(0, yMax);
+  const xDomain = Math.max(xMax, xTicks[xTicks.length - 1]) || 1;
+  const yDomain = Math.max(yMax, yTicks[yTicks.length - 1]) || 1;
+  const sx = (v) => MARGIN.left + (v / xDomain) * PLOT_W;
+  const sy = (v) => MARGIN.top + (1 - Math.max(v, 0) / yDomain) * PLOT_H;
+  const path = samples.map((s, i) => `${i === 0 ? 'M' : 'L'}${sx(s.position).toFixed(2)},${sy(s.value).toFixed(2)}`).join(' ');
+
+  const { peak, background } = profile;
+  const levels = [
+    { label: 'Background', value: background, color: '#9ca3af', show: true },
+    { label: 'FWHM', value: background + 0.5 * (peak - background), color: '#f97316', show: profile.fwhm !== null },
+    { label: '1/e²', value: background + Math.exp(-2) * (peak - background), color: '#a855f7', show: profile.e2Width !== null },
+  ].filter(level => level.show);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Intensity Profiles</h3>
+        <div className="flex items-center gap-1">
+          <select value={index} onChange={(e) => setSelected(Number(e.target.value))} className="mr-2 p-1.5 text-sm border border-gray-300 rounded-md">
+            {profiles.map((p, i) => <option key={p.name} value={i}>{p.name}</option>)}
+          </select>
+          <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export All Profiles CSV">
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </button>
+          <button onClick={() => onExportPng(svgRef.current, profile.name)} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Chart PNG">
+            <ImageIcon className="w-4 h-4 mr-1" /> PNG
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 items-start">
+        <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif" fontSize="11">
+          <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+          {/* Grid and ticks */}
+          {xTicks.map(t => (
+            <g key={`x${t}`}>
+              <line x1={sx(t)} x2={sx(t)} y1={MARGIN.top} y2={MARGIN.top + PLOT_H} stroke="#e5e7eb" />
+              <text x={sx(t)} y={MARGIN.top + PLOT_H + 16} textAnchor="middle" fill="#6b7280">{formatTick(t)}</text>
+            </g>
+          ))}
+          {yTicks.map(t => (
+            <g key={`y${t}`}>
+              <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(t)} y2={sy(t)} stroke="#e5e7eb" />
+              <text x={MARGIN.left - 6} y={sy(t) + 4} textAnchor="end" fill="#6b7280">{formatTick(t)}</text>
+            </g>
+          ))}
+          <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+          <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 6} textAnchor="middle" fill="#374151">{`Position along ${profile.name} (${unit})`}</text>
+          <text transform={`translate(14 ${MARGIN.top + PLOT_H / 2}) rotate(-90)`} textAnchor="middle" fill="#374151">Intensity</text>
+
+          {/* Levels the widths are measured at */}
+          {levels.map(level => (
+            <g key={level.label}>
+              <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(level.value)} y2={sy(level.value)} stroke={level.color} strokeDasharray="4 3" />
+              <text x={MARGIN.left + PLOT_W - 4} y={sy(level.value) - 4} textAnchor="end" fill={level.color}>{level.label}</text>
+            </g>
+          ))}
+
+          <path d={path} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+        </svg>
+
+        <div className="overflow-auto">
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="px-3 py-2 font-semibold">Profile</th>
+                <th className="px-3 py-2 font-semibold">FWHM</th>
+                <th className="px-3 py-2 font-semibold">1/e² Width</th>
+                <th className="px-3 py-2 font-semibold">Peak</th>
+                <th className="px-3 py-2 font-semibold">Background</th>
+                <th className="px-3 py-2 font-semibold">Peak/Bg</th>
+                <th className="px-1 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map((p, i) => (
+                <tr
+                  key={p.name}
+                  onClick={() => setSelected(i)}
+                  className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${i === index ? 'bg-blue-50' : ''}`}
+                >
+                  <td className="px-3 py-1.5">{p.name}</td>
+                  <td className="px-3 py-1.5">{formatValue(p.fwhm, 4)}</td>
+                  <td className="px-3 py-1.5">{formatValue(p.e2Width, 4)}</td>
+                  <td className="px-3 py-1.5">{formatValue(p.peak, 2)}</td>
+                  <td className="px-3 py-1.5">{formatValue(p.background, 2)}</td>
+                  <td className="px-3 py-1.5">{formatValue(p.peakToBackground, 2)}</td>
+                  <td className="px-1 py-1.5">
+                    {p.lineIndex !== null && (
+                      <button onClick={(e) => { e.stopPropagation(); onRemove(p.lineIndex); }} className="p-1 text-gray-400 hover:text-red-600 rounded-full" title="Remove Line">
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Widths in {unit}. Luminance of the image as loaded; the background is the mean of both ends of the line.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileChart;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Download } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'file', label: 'File' },
+  { key: 'gamma', label: 'Gamma', digits: 6 },
+  { key: 'majorAxis', label: 'Major Axis', digits: 6 },
+  { key: 'minorAxis', label: 'Minor Axis', digits: 6 },
+  { key: 'angleDeg', label: 'Angle (°)', digits: 2 },
+  { key: 'dx', label: 'Dx', digits: 6 },
+  { key: 'dy', label: 'Dy', digits: 6 },
+  { key: 'ellipticity', label: 'Ellipticity', digits: 4 },
+  { key: 'count', label: 'Count' },
+];
+
+const formatCell = (value, digits) => {
+  if (value === null || value === undefined) return '–';
+  return digits !== undefined ? value.toFixed(digits) : value;
+};
+
+// Missing values always sort last, regardless of direction
+const compareRows = (key, dir) => (a, b) => {
+  const va = a.row[key];
+  const vb = b.row[key];
+  if (va === vb) return 0;
+  if (va === undefined || va === null) return 1;
+  if (vb === undefined || vb === null) return -1;
+  const order = typeof va === 'string' ? va.localeCompare(vb, undefined, { numeric: true }) : va - vb;
+  return dir === 'asc' ? order : -order;
+};
+
+// One row per analysed image. `rows` is [{ index, row, error }] where `row`
+// comes from resultRow(); clicking a row selects that image.
+const ResultsTable = ({ rows, activeIndex, onSelect, onExportCsv }) => {
+  const [sortKey, setSortKey] = useState('file');
+  const [sortDir, setSortDir] = useState('asc');
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDir('asc');
+    }
+  };
+
+  const sorted = [...rows].sort(compareRows(sortKey, sortDir));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Batch Results ({rows.length})</h3>
+        <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export CSV">
+          <Download className="w-4 h-4 mr-1" /> Export CSV
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm font-mono">
+          <thead>
+            <tr className="border-b border-gray-200 text-left text-gray-500">
+              {COLUMNS.map(col => (
+                <th key={col.key} onClick={() => toggleSort(col.key)} className="px-3 py-2 font-semibold cursor-pointer select-none hover:text-blue-600">
+                  <span className="inline-flex items-center">
+                    {col.label}
+                    {sortKey === col.key && (sortDir === 'asc'
+                      ? <ArrowUp className="w-3 h-3 ml-1" />
+                      : <ArrowDown className="w-3 h-3 ml-1" />)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(({ index, row, error }) => (
+              <tr
+                key={index}
+                onClick={() => onSelect(index)}
+                className={`border-b border-gray-100 cursor-pointer transition ${index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                {error ? (
+                  <>
+                    <td className="px-3 py-2">{row.file}</td>
+                    <td colSpan={COLUMNS.length - 1} className="px-3 py-2 text-red-600">Error: {error}</td>
+                  </>
+                ) : (
+                  COLUMNS.map(col => (
+                    <td key={col.key} className="px-3 py-2">{formatCell(row[col.key], col.digits)}</td>
+                  ))
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ResultsTable;
@@ -0,0 +1,214 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pixelAt, useZoomPan, viewBox } from '../viewport.js';
+
+const MIN_SIZE = 2; // px, smaller drags are treated as clicks
+
+const shapeProps = {
+  fill: 'rgba(0, 229, 255, 0.12)',
+  stroke: '#00E5FF',
+  strokeWidth: 2,
+  strokeDasharray: '8 6',
+  vectorEffect: 'non-scaling-stroke',
+};
+
+const lineProps = {
+  stroke: '#FACC15',
+  strokeWidth: 2,
+  strokeLinecap: 'round',
+  vectorEffect: 'non-scaling-stroke',
+};
+
+// Calibration measuring line [x1, y1, x2, y2] with end ticks
+const MeasureLine = ({ line }) => (
+  <g>
+    <line x1={line[0]} y1={line[1]} x2={line[2]} y2={line[3]} {...lineProps} />
+    <circle cx={line[0]} cy={line[1]} r="3" fill="#FACC15" vectorEffect="non-scaling-stroke" />
+    <circle cx={line[2]} cy={line[3]} r="3" fill="#FACC15" vectorEffect="non-scaling-stroke" />
+  </g>
+);
+
+const profileProps = { ...lineProps, stroke: '#F472B6' };
+
+// Intensity profile line, labelled at its start; `scale` keeps the label at
+// the same screen size at any zoom
+const ProfileLine = ({ line, label, scale }) => (
+  <g>
+    <line x1={line[0]} y1={line[1]} x2={line[2]} y2={line[3]} {...profileProps} />
+    <circle cx={line[2]} cy={line[3]} r={3 / scale} fill="#F472B6" />
+    {label && (
+      <text x={line[0]} y={line[1] - 4 / scale} fontSize={12 / scale} fontWeight="bold" fill="#F472B6" stroke="#000000" strokeWidth={3 / scale} paintOrder="stroke">
+        {label}
+      </text>
+    )}
+  </g>
+);
+
+const RoiShape = ({ roi }) => {
+  if (roi.type === 'rect') {
+    return <rect x={roi.x} y={roi.y} width={roi.width} height={roi.height} {...shapeProps} />;
+  }
+  if (roi.type === 'ellipse') {
+    return <ellipse cx={roi.cx} cy={roi.cy} rx={roi.rx} ry={roi.ry} {...shapeProps} />;
+  }
+  return <polygon points={roi.points.map(p => p.join(',')).join(' ')} {...shapeProps} />;
+};
+
+// Shows `src` with the current ROI on top and lets the user draw a new one.
+// `tool` is 'none', 'rect', 'ellipse', 'polygon', 'line' or 'profile'; 'line'
+// draws the calibration measuring `line`, handed to onLine as [x1, y1, x2,
+// y2], and 'profile' adds an intensity profile line to `profileLines` (shown
+// as P1, P2 ...) through onProfileLine. All coordinates are in full-image
+// pixels (see analysis/roi.js).
+//
+// The wheel zooms and, with no tool selected (or the middle button), dragging
+// pans `view` (see viewport.js); onHover gets the pixel under the pointer.
+const RoiEditor = ({ src, roi, tool, onChange, line = null, onLine, profileLines = [], onProfileLine, view = null, onView, onHover }) => {
+  const panelRef = useRef(null);
+  const svgRef = useRef(null);
+  const [size, setSize] = useState(null); // { src, width, height }
+  const [drag, setDrag] = useState(null); // { start, end } while drawing a rect/ellipse
+  const [points, setPoints] = useState([]); // polygon vertices while drawing
+  const [cursor, setCursor] = useState(null);
+
+  useEffect(() => {
+    const img = new Image();
+    img.onload = () => setSize({ src, width: img.naturalWidth, height: img.naturalHeight });
+    img.src = src;
+  }, [src]);
+
+  const loaded = size !== null && size.src === src;
+  const zoomPan = useZoomPan(panelRef, {
+    width: loaded ? size.width : 0,
+    height: loaded ? size.height : 0,
+    view,
+    onView,
+  });
+
+  // Switching tools abandons whatever was half drawn
+  const [prevTool, setPrevTool] = useState(tool);
+  if (tool !== prevTool) {
+    setPrevTool(tool);
+    setDrag(null);
+    setPoints([]);
+  }
+
+  const isLineTool = tool === 'line' || tool === 'profile';
+
+  const toImage = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return [
+      Math.min(Math.max(p.x, 0), size.width),
+      Math.min(Math.max(p.y, 0), size.height),
+    ];
+  };
+
+  const dragRoi = ({ start, end }) => {
+    const x0 = Math.min(start[0], end[0]);
+    const y0 = Math.min(start[1], end[1]);
+    const w = Math.abs(end[0] - start[0]);
+    const h = Math.abs(end[1] - start[1]);
+    if (tool === 'rect') return { type: 'rect', x: x0, y: y0, width: w, height: h };
+    return { type: 'ellipse', cx: x0 + w / 2, cy: y0 + h / 2, rx: w / 2, ry: h / 2 };
+  };
+
+  const handlePointerDown = (e) => {
+    if (tool === 'none' || e.button === 1) {
+      zoomPan.startPan(e);
+      return;
+    }
+    if (tool !== 'rect' && tool !== 'ellipse' && !isLineTool) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const p = toImage(e);
+    setDrag({ start: p, end: p });
+  };
+
+  const handlePointerMove = (e) => {
+    onHover?.(pixelAt(zoomPan.toImage(e), size.width, size.height));
+    if (zoomPan.movePan(e)) return;
+    const p = toImage(e);
+    if (drag) setDrag({ ...drag, end: p });
+    if (tool === 'polygon') setCursor(p);
+  };
+
+  const handlePointerUp = () => {
+    if (zoomPan.endPan() || !drag) return;
+    setDrag(null);
+    if (isLineTool) {
+      const next = [...drag.start, ...drag.end];
+      if (Math.hypot(next[2] - next[0], next[3] - next[1]) < MIN_SIZE) return;
+      if (tool === 'line') onLine(next); else onProfileLine(next);
+      return;
+    }
+    const next = dragRoi(drag);
+    const w = next.type === 'rect' ? next.width : next.rx * 2;
+    const h = next.type === 'rect' ? next.height : next.ry * 2;
+    if (w >= MIN_SIZE && h >= MIN_SIZE) onChange(next);
+  };
+
+  const handleClick = (e) => {
+    if (tool !== 'polygon') return;
+    const p = toImage(e);
+    const last = points[points.length - 1];
+    // The two clicks of a double click land on the same spot
+    if (last && Math.hypot(p[0] - last[0], p[1] - last[1]) < 1) return;
+    setPoints([...points, p]);
+  };
+
+  const handleDoubleClick = () => {
+    if (tool !== 'polygon' || points.length < 3) return;
+    onChange({ type: 'polygon', points });
+    setPoints([]);
+  };
+
+  const handlePointerLeave = () => {
+    setCursor(null);
+    onHover?.(null);
+  };
+
+  const toolCursor = tool !== 'none' ? 'cursor-crosshair' : zoomPan.panning ? 'cursor-grabbing' : 'cursor-grab';
+
+  return (
+    <div ref={panelRef} className="w-full h-full">
+      {loaded && zoomPan.ready && (
+        <svg
+          ref={svgRef}
+          viewBox={viewBox(zoomPan.view, size.width, size.height)}
+          preserveAspectRatio="xMidYMid meet"
+          className={`w-full h-full select-none touch-none ${toolCursor}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerLeave}
+          onClick={handleClick}
+          onDoubleClick={handleDoubleClick}
+        >
+          <image
+            href={src}
+            width={size.width}
+            height={size.height}
+            style={{ imageRendering: zoomPan.scale > 1 ? 'pixelated' : 'auto' }}
+          />
+          {roi && !(drag && !isLineTool) && points.length === 0 && <RoiShape roi={roi} />}
+          {drag && !isLineTool && <RoiShape roi={dragRoi(drag)} />}
+          {drag && tool === 'line' && <MeasureLine line={[...drag.start, ...drag.end]} />}
+          {line && !(drag && tool === 'line') && <MeasureLine line={line} />}
+          {profileLines.map((l, i) => <ProfileLine key={i} line={l} label={`P${i + 1}`} scale={zoomPan.scale} />)}
+          {drag && tool === 'profile' && <ProfileLine line={[...drag.start, ...drag.end]} label={null} scale={zoomPan.scale} />}
+          {points.length > 0 && (
+            <polyline
+              points={[...points, ...(cursor ? [cursor] : [])].map(p => p.join(',')).join(' ')}
+              {...shapeProps}
+              fill="none"
+            />
+          )}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default RoiEditor;
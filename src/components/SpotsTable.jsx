@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Download } from 'lucide-react';
+
+// Columns of the spot table; `{unit}` is replaced by the length unit
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'cx', label: 'X', digits: 2 },
+  { key: 'cy', label: 'Y', digits: 2 },
+  { key: 'majorAxis', label: 'Major ({unit})', digits: 4 },
+  { key: 'minorAxis', label: 'Minor ({unit})', digits: 4 },
+  { key: 'equivDiameter', label: 'Eq. Diameter ({unit})', digits: 4 },
+  { key: 'angleDeg', label: 'Angle (°)', digits: 1 },
+  { key: 'gamma', label: 'Gamma', digits: 4 },
+  { key: 'energy', label: 'Energy', digits: 0 },
+  { key: 'energyFraction', label: 'Energy %', digits: 2, scale: 100 },
+  { key: 'area', label: 'Area (px)' },
+];
+
+// Footer rows: the statistic and how to format it
+const STATS = [
+  { key: 'mean', label: 'Mean' },
+  { key: 'std', label: 'Std' },
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'cv', label: 'CV %', percent: true },
+  { key: 'nonUniformity', label: 'Non-unif. %', percent: true },
+];
+
+const formatCell = (value, digits, scale = 1) => {
+  if (value === null || value === undefined) return '–';
+  return digits !== undefined ? (value * scale).toFixed(digits) : value;
+};
+
+// One D86 fit per spot of a multi-spot result, with the uniformity
+// statistics from spotUniformity() underneath; `unit` labels the axes.
+const SpotsTable = ({ spots, uniformity, unit = 'Actual Unit', onExportCsv }) => {
+  const [sortKey, setSortKey] = useState('id');
+  const [sortDir, setSortDir] = useState('asc');
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortKey(key);
+      setSortDir('asc');
+    }
+  };
+
+  const columns = COLUMNS.map(col => ({ ...col, label: col.label.replace('{unit}', unit) }));
+  const sorted = [...spots].sort((a, b) => (sortDir === 'asc' ? a[sortKey] - b[sortKey] : b[sortKey] - a[sortKey]));
+
+  const statCell = (col, stat) => {
+    const s = uniformity[col.key];
+    if (!s) return '';
+    if (stat.percent) return formatCell(s[stat.key], 2, 100);
+    return formatCell(s[stat.key], Math.max(col.digits ?? 0, 2));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Spots ({spots.length})</h3>
+        <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export CSV">
+          <Download className="w-4 h-4 mr-1" /> CSV
+        </button>
+      </div>
+      <div className="overflow-auto max-h-96">
+        <table className="w-full text-sm font-mono">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-gray-200 text-left text-gray-500">
+              {columns.map(col => (
+                <th key={col.key} onClick={() => toggleSort(col.key)} className="px-3 py-2 font-semibold cursor-pointer select-none whitespace-nowrap hover:text-blue-600">
+                  <span className="inline-flex items-center">
+                    {col.label}
+                    {sortKey === col.key && (sortDir === 'asc'
+                      ? <ArrowUp className="w-3 h-3 ml-1" />
+                      : <ArrowDown className="w-3 h-3 ml-1" />)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(spot => (
+              <tr key={spot.id} className="border-b border-gray-100 hover:bg-gray-50">
+                {columns.map(col => (
+                  <td key={col.key} className="px-3 py-1.5">{formatCell(spot[col.key], col.digits, col.scale)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="sticky bottom-0 bg-gray-50">
+            {STATS.map(stat => (
+              <tr key={stat.key} className="border-t border-gray-200 text-gray-600">
+                {columns.map(col => (
+                  <td key={col.key} className="px-3 py-1.5 whitespace-nowrap">
+                    {col.key === 'id' ? <span className="font-semibold">{stat.label}</span> : statCell(col, stat)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tfoot>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        CV is the standard deviation over the mean; non-uniformity is (max − min) / (max + min).
+      </p>
+    </div>
+  );
+};
+
+export default SpotsTable;
@@ -0,0 +1,146 @@
+import React, { useRef, useState } from 'react';
+import { Download, Image as ImageIcon } from 'lucide-react';
+import { chartGeometry, formatTick, niceTicks } from './chartAxes.js';
+
+const QUANTITIES = [
+  { key: 'centroidX', label: 'Centroid X', unit: 'px' },
+  { key: 'centroidY', label: 'Centroid Y', unit: 'px' },
+  { key: 'majorAxis', label: 'Major Axis', unit: null },
+  { key: 'minorAxis', label: 'Minor Axis', unit: null },
+  { key: 'angleDeg', label: 'Angle', unit: 'deg' },
+  { key: 'gamma', label: 'Gamma', unit: '' },
+];
+
+const { WIDTH, HEIGHT, MARGIN, PLOT_W, PLOT_H } = chartGeometry(640, 320, { top: 16, right: 24, bottom: 44, left: 64 });
+
+const formatStat = (value) => Number(value.toPrecision(5)).toString();
+
+// Domain of `values` as [lo, hi, ticks], padded when they are all equal
+const axis = (values) => {
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi === lo) {
+    const pad = Math.abs(lo) * 0.01 || 1;
+    lo -= pad;
+    hi += pad;
+  }
+  const ticks = niceTicks(lo, hi);
+  return [Math.min(lo, ticks[0]), Math.max(hi, ticks[ticks.length - 1]), ticks];
+};
+
+// One quantity of a D86 time series (see analysis/timeseries.js) against the
+// frame number or the time, with the drift statistics of every quantity.
+// `rows` and `drift` come from timeSeriesRows / driftStats, `activeFrame` is
+// the frame shown in the viewers and onSelect(frame) picks another one.
+const TimeSeriesChart = ({ rows, drift, unit = 'Actual Unit', activeFrame, onSelect, onExportCsv, onExportPng }) => {
+  const [yKey, setYKey] = useState('centroidX');
+  const [xMode, setXMode] = useState('frame');
+  const svgRef = useRef(null);
+
+  const timed = rows.every(row => row.time !== null);
+  const xKey = timed ? xMode : 'frame';
+  const quantityUnit = (q) => (q.unit === null ? unit : q.unit);
+  const quantity = QUANTITIES.find(q => q.key === yKey);
+
+  const [xLo, xHi, xTicks] = axis(rows.map(row => row[xKey]));
+  const [yLo, yHi, yTicks] = axis(rows.map(row => row[yKey]));
+  const sx = (v) => MARGIN.left + ((v - xLo) / (xHi - xLo)) * PLOT_W;
+  const sy = (v) => MARGIN.top + (1 - (v - yLo) / (yHi - yLo)) * PLOT_H;
+  const path = rows.map((row, i) => `${i === 0 ? 'M' : 'L'}${sx(row[xKey]).toFixed(2)},${sy(row[yKey]).toFixed(2)}`).join(' ');
+  const mean = drift.columns[yKey].mean;
+  const yLabel = quantityUnit(quantity) ? `${quantity.label} (${quantityUnit(quantity)})` : quantity.label;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Time Series <span className="text-sm font-normal text-gray-400">{drift.frames} frames</span></h3>
+        <div className="flex items-center gap-1">
+          <select value={yKey} onChange={(e) => setYKey(e.target.value)} className="mr-1 p-1.5 text-sm border border-gray-300 rounded-md">
+            {QUANTITIES.map(q => <option key={q.key} value={q.key}>Y: {q.label}</option>)}
+          </select>
+          <select value={xKey} onChange={(e) => setXMode(e.target.value)} disabled={!timed} className="mr-2 p-1.5 text-sm border border-gray-300 rounded-md">
+            <option value="frame">X: Frame</option>
+            <option value="time">X: Time</option>
+          </select>
+          <button onClick={onExportCsv} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Per-Frame CSV">
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </button>
+          <button onClick={() => onExportPng(svgRef.current)} className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-lg transition" title="Export Chart PNG">
+            <ImageIcon className="w-4 h-4 mr-1" /> PNG
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 items-start">
+        <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif" fontSize="11">
+          <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+          {/* Grid and ticks */}
+          {xTicks.map(t => (
+            <g key={`x${t}`}>
+              <line x1={sx(t)} x2={sx(t)} y1={MARGIN.top} y2={MARGIN.top + PLOT_H} stroke="#e5e7eb" />
+              <text x={sx(t)} y={MARGIN.top + PLOT_H + 16} textAnchor="middle" fill="#6b7280">{formatTick(t)}</text>
+            </g>
+          ))}
+          {yTicks.map(t => (
+            <g key={`y${t}`}>
+              <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(t)} y2={sy(t)} stroke="#e5e7eb" />
+              <text x={MARGIN.left - 6} y={sy(t) + 4} textAnchor="end" fill="#6b7280">{formatTick(t)}</text>
+            </g>
+          ))}
+          <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+          <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 6} textAnchor="middle" fill="#374151">{xKey === 'time' ? 'Time (s)' : 'Frame'}</text>
+          <text transform={`translate(14 ${MARGIN.top + PLOT_H / 2}) rotate(-90)`} textAnchor="middle" fill="#374151">{yLabel}</text>
+
+          {/* Mean */}
+          <line x1={MARGIN.left} x2={MARGIN.left + PLOT_W} y1={sy(mean)} y2={sy(mean)} stroke="#f97316" strokeDasharray="4 3" />
+
+          <path d={path} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+          {rows.map(row => (
+            <circle
+              key={row.frame}
+              cx={sx(row[xKey])}
+              cy={sy(row[yKey])}
+              r={row.frame === activeFrame ? 4.5 : 2.5}
+              fill={row.frame === activeFrame ? '#f97316' : '#2563eb'}
+              className="cursor-pointer"
+              onClick={() => onSelect(row.frame)}
+            >
+              <title>{`${row.file}: ${formatStat(row[yKey])}`}</title>
+            </circle>
+          ))}
+        </svg>
+
+        <div className="overflow-auto">
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="px-3 py-2 font-semibold">Quantity</th>
+                <th className="px-3 py-2 font-semibold">Mean</th>
+                <th className="px-3 py-2 font-semibold">Peak-to-Peak</th>
+                <th className="px-3 py-2 font-semibold">RMS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {QUANTITIES.map(q => {
+                const s = drift.columns[q.key];
+                return (
+                  <tr key={q.key} className={`border-b border-gray-100 hover:bg-gray-50 ${q.key === yKey ? 'bg-blue-50' : ''}`}>
+                    <td className="px-3 py-1.5">{q.label}{quantityUnit(q) ? ` (${quantityUnit(q)})` : ''}</td>
+                    <td className="px-3 py-1.5">{formatStat(s.mean)}</td>
+                    <td className="px-3 py-1.5">{formatStat(s.peakToPeak)}</td>
+                    <td className="px-3 py-1.5">{formatStat(s.rms)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Pointing (centroid distance from its mean): RMS {formatStat(drift.pointing.rms)} px, max {formatStat(drift.pointing.max)} px.
+            RMS is the deviation from the mean.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,25 @@
+// Axes shared by the SVG charts: the plot area and round tick values.
+
+// Chart geometry in SVG user units: the `width` x `height` chart with the
+// plot inside `margin` ({ top, right, bottom, left })
+export const chartGeometry = (width, height, margin) => ({
+  WIDTH: width,
+  HEIGHT: height,
+  MARGIN: margin,
+  PLOT_W: width - margin.left - margin.right,
+  PLOT_H: height - margin.top - margin.bottom,
+});
+
+// About `count` round tick values from the one at or below `lo` up to `hi`
+export const niceTicks = (lo, hi, count = 5) => {
+  const span = hi - lo;
+  if (!(span > 0)) return [lo];
+  const raw = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(lo / step) * step; t <= hi + step * 1e-9; t += step) ticks.push(t);
+  return ticks;
+};
+
+export const formatTick = (value) => Number(value.toPrecision(6)).toString();
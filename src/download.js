@@ -0,0 +1,39 @@
+// Browser download helpers shared by the image, CSV and report exports.
+
+export const downloadUrl = (href, filename) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+export const downloadText = (text, filename, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  downloadUrl(url, filename);
+  URL.revokeObjectURL(url);
+};
+
+// Rasterises an inline <svg> element to a PNG download at `scale` times its
+// size. The SVG must carry its styling in attributes, page CSS does not apply.
+export const downloadSvgAsPng = async (svg, filename, scale = 2) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const markup = new XMLSerializer().serializeToString(svg);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    downloadUrl(canvas.toDataURL('image/png'), filename);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
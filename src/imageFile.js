@@ -0,0 +1,133 @@
+import { decodeImageFile, decodePng, isNativeFormat, isPng, toDisplayImage } from './analysis/index.js';
+
+// Uploads are either something the browser can show (JPEG ...), which is
+// decoded through a canvas like before, or a format the engine decodes
+// itself: the scientific ones, and PNG through the same pngjs decoder as the
+// CLI so 16-bit files and their results match. The latter keep their
+// full-precision `raster` and get an 8-bit preview as `src`.
+
+export const isSupportedUpload = (file) => file.type.startsWith('image/') || isNativeFormat(file.name);
+
+const readAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const rasterToDataURL = (raster) => {
+  const display = toDisplayImage(raster);
+  const canvas = document.createElement('canvas');
+  canvas.width = display.width;
+  canvas.height = display.height;
+  canvas.getContext('2d').putImageData(new ImageData(display.data, display.width, display.height), 0, 0);
+  return canvas.toDataURL();
+};
+
+// -> { name, src, raster }, `raster` is null for browser formats
+export const loadUpload = async (file, rawOptions) => {
+  if (!isNativeFormat(file.name)) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isPng(bytes)) return { name: file.name, src: await readAsDataURL(file), raster: null };
+    // pngjs and its Buffer polyfill load with the first PNG, not the app
+    const [{ PNG }, { Buffer }] = await Promise.all([import('pngjs/browser'), import('buffer')]);
+    const raster = decodePng(PNG, Buffer.from(bytes.buffer));
+    return { name: file.name, src: rasterToDataURL(raster), raster };
+  }
+  const raster = decodeImageFile(await file.arrayBuffer(), file.name, rawOptions);
+  return { name: file.name, src: rasterToDataURL(raster), raster };
+};
+
+// Videos are split into frames for time-series analysis
+export const isVideoUpload = (file) => file.type.startsWith('video/');
+
+// Longest run of frames taken from one video
+export const MAX_VIDEO_FRAMES = 1000;
+
+// Resolves once `target` fires `type`, rejects if it fires 'error' first
+const nextEvent = (target, type) => new Promise((resolve, reject) => {
+  const handleError = () => {
+    target.removeEventListener(type, handleEvent);
+    reject(new Error("The browser cannot decode this video"));
+  };
+  const handleEvent = () => {
+    target.removeEventListener('error', handleError);
+    resolve();
+  };
+  target.addEventListener(type, handleEvent, { once: true });
+  target.addEventListener('error', handleError, { once: true });
+});
+
+// Decodes `file` locally with a <video> element, taking one frame every
+// `interval` seconds. -> [{ name, src, raster: null, time }] where `src` is
+// a PNG object URL (release with releaseUpload) and `time` the frame's
+// position in s. onProgress(fraction) follows the decoding.
+export const loadVideoFrames = async (file, { interval, onProgress }) => {
+  const step = parseFloat(interval);
+  if (!(step > 0)) throw new Error("The video frame interval must be a positive number of seconds");
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+  try {
+    const loaded = nextEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+    const { duration, videoWidth, videoHeight } = video;
+    if (!Number.isFinite(duration) || videoWidth === 0) throw new Error("The video has no readable duration or size");
+    const count = Math.floor(duration / step) + 1;
+    if (count > MAX_VIDEO_FRAMES) {
+      throw new Error(`${count} frames at ${step} s intervals, at most ${MAX_VIDEO_FRAMES}; increase the frame interval`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = videoWidth;
+    canvas.height = videoHeight;
+    const ctx = canvas.getContext('2d');
+    const base = file.name.replace(/\.[^.]+$/, '');
+    const digits = String(count - 1).length;
+    const frames = [];
+    for (let k = 0; k < count; k++) {
+      const time = Math.min(k * step, duration);
+      const seeked = nextEvent(video, 'seeked');
+      video.currentTime = time;
+      await seeked;
+      ctx.drawImage(video, 0, 0);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      frames.push({ name: `${base}_f${String(k).padStart(digits, '0')}.png`, src: URL.createObjectURL(blob), raster: null, time });
+      onProgress?.((k + 1) / count);
+    }
+    return frames;
+  } catch (err) {
+    throw new Error(`${file.name}: ${err.message}`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Frees what an upload holds beyond garbage-collected memory
+export const releaseUpload = (entry) => {
+  if (entry.src.startsWith('blob:')) URL.revokeObjectURL(entry.src);
+};
+
+// Decode an upload into a canvas so both pipelines see the same pixels. The
+// canvas holds the (preview) image for drawing overlays on; `image` is what
+// gets analysed, a private copy since its buffer is handed to the worker.
+export const loadImageCanvas = async (entry) => {
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = () => reject(new Error("The browser cannot decode this image"));
+    img.src = entry.src;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  const image = entry.raster
+    ? { ...entry.raster, data: entry.raster.data.slice() }
+    : ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return { canvas, ctx, image };
+};
@@ -0,0 +1,21 @@
+import bundledOpenCV from '@techstark/opencv-js/dist/opencv.js?url';
+
+// Where the analysis worker looks for opencv.js, tried in order until one
+// loads. The bundled copy ships with the build, so the app works without
+// network access; the CDN is the fallback for a build whose asset is missing.
+//
+// Both can be replaced at build time:
+//   VITE_OPENCV_URLS     comma-separated URLs, relative ones against the page
+//   VITE_OPENCV_TIMEOUT  seconds allowed per URL (download and start-up each)
+
+const CDN_URL = "https://docs.opencv.org/4.8.0/opencv.js";
+
+const configuredUrls = (import.meta.env.VITE_OPENCV_URLS ?? '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(url => url !== '');
+
+export const OPENCV_URLS = (configuredUrls.length > 0 ? configuredUrls : [bundledOpenCV, CDN_URL])
+  .map(url => new URL(url, document.baseURI).href);
+
+export const OPENCV_TIMEOUT_MS = (Number(import.meta.env.VITE_OPENCV_TIMEOUT) || 60) * 1000;
@@ -0,0 +1,368 @@
+// Layers of the result overlay that can be switched on and off; which of
+// them a result has depends on its function, see overlayLayers()
+export const OVERLAY_LAYERS = [
+  { id: 'roi', label: "ROI" },
+  { id: 'centroid', label: "Centroid" },
+  { id: 'ellipse', label: "Ellipse" },
+  { id: 'area', label: "Integration Area" },
+  { id: 'profiles', label: "Profile Lines" },
+  { id: 'boxes', label: "Bounding Boxes" },
+  { id: 'labels', label: "Labels" },
+  { id: 'fits', label: "Sub-pixel Fits" },
+  { id: 'edits', label: "Manual Edits" },
+  { id: 'vectors', label: "Displacement" },
+  { id: 'defects', label: "Missing / Extra" },
+];
+
+export const ALL_LAYERS = Object.fromEntries(OVERLAY_LAYERS.map(layer => [layer.id, true]));
+
+// Ids of the layers drawOverlay() can draw for `result`
+export const overlayLayers = (result) => {
+  const ids = result.roi ? ['roi'] : [];
+  if (result.function === 'grid') return [...ids, 'vectors', 'defects', 'labels'];
+  if (result.function === 'multispot') return [...ids, 'centroid', 'ellipse', 'labels'];
+  if (result.function === 'count') {
+    return [...ids, 'boxes', 'labels', ...(result.subpixel ? ['fits'] : []), ...(result.corrections ? ['edits'] : [])];
+  }
+  return [
+    ...ids,
+    'centroid',
+    'ellipse',
+    ...(result.integration?.area ? ['area'] : []),
+    ...(result.profiles ? ['profiles'] : []),
+  ];
+};
+
+// Line width unit, label size and marker arm length in image px. Exported
+// images size labels and markers to the image; on screen (`scale` = screen
+// px per image px) everything keeps the same size at any zoom.
+const overlayUnits = (result, scale) => {
+  if (scale) return { line: 1 / scale, font: 12 / scale, arm: 4 / scale };
+  const size = Math.min(result.width, result.height);
+  return { line: 1, font: Math.max(10, Math.round(size / 50)), arm: Math.max(3, Math.round(size / 200)) };
+};
+
+// Traces `roi` (see analysis/roi.js) as the current path
+export const traceRoi = (ctx, roi) => {
+  ctx.beginPath();
+  if (roi.type === 'rect') {
+    ctx.rect(roi.x, roi.y, roi.width, roi.height);
+  } else if (roi.type === 'ellipse') {
+    ctx.ellipse(roi.cx, roi.cy, roi.rx, roi.ry, 0, 0, 2 * Math.PI);
+  } else {
+    roi.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+  }
+};
+
+const drawRoi = (ctx, roi, line = 1) => {
+  ctx.save();
+  ctx.strokeStyle = '#00E5FF';
+  ctx.lineWidth = 2 * line;
+  ctx.setLineDash([8 * line, 6 * line]);
+  traceRoi(ctx, roi);
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Distinct hue per object (golden angle steps), so neighbouring pieces of
+// a split blob never share a colour
+const objectColor = (id, alpha) => `hsla(${(id * 137.508) % 360}, 100%, 50%, ${alpha})`;
+
+// Watershed results: each object's outline filled in its own colour
+const drawSeparatedObjects = (ctx, objects, line) => {
+  ctx.save();
+  ctx.lineWidth = line;
+  for (const obj of objects) {
+    const pts = obj.contour;
+    if (!pts || pts.length === 0) continue;
+    ctx.beginPath();
+    ctx.moveTo(pts[0] + 0.5, pts[1] + 0.5);
+    for (let k = 2; k < pts.length; k += 2) ctx.lineTo(pts[k] + 0.5, pts[k + 1] + 0.5);
+    ctx.closePath();
+    ctx.fillStyle = objectColor(obj.id, 0.35);
+    ctx.fill();
+    ctx.strokeStyle = objectColor(obj.id, 1);
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// Object IDs just above each box, sized so they stay legible
+const drawObjectIds = (ctx, result, { line, font: fontSize }) => {
+  const gap = 2 * line;
+  ctx.save();
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'bottom';
+  ctx.lineWidth = 3 * line;
+  ctx.strokeStyle = '#000000';
+  ctx.fillStyle = '#FFFF00';
+  for (const obj of result.objects) {
+    const y = obj.y - gap < fontSize ? obj.y + obj.height + fontSize + gap : obj.y - gap;
+    ctx.strokeText(String(obj.id), obj.x, y);
+    ctx.fillText(String(obj.id), obj.x, y);
+  }
+  ctx.restore();
+};
+
+// Sub-pixel fits: a small cross on every fitted centre, and a dashed magenta
+// box with an X over dots whose fit failed
+const drawSpotFits = (ctx, result, { line, arm }) => {
+  ctx.save();
+  ctx.lineWidth = line;
+  for (const obj of result.objects) {
+    if (obj.source === 'manual') continue;
+    if (obj.fitOk) {
+      const x = obj.fitX + 0.5;
+      const y = obj.fitY + 0.5;
+      ctx.strokeStyle = '#00FF00';
+      ctx.beginPath();
+      ctx.moveTo(x - arm, y);
+      ctx.lineTo(x + arm, y);
+      ctx.moveTo(x, y - arm);
+      ctx.lineTo(x, y + arm);
+      ctx.stroke();
+    } else {
+      ctx.strokeStyle = '#FF00FF';
+      ctx.setLineDash([4 * line, 3 * line]);
+      ctx.strokeRect(obj.x - 2 * line, obj.y - 2 * line, obj.width + 4 * line, obj.height + 4 * line);
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(obj.x, obj.y);
+      ctx.lineTo(obj.x + obj.width, obj.y + obj.height);
+      ctx.moveTo(obj.x + obj.width, obj.y);
+      ctx.lineTo(obj.x, obj.y + obj.height);
+      ctx.stroke();
+    }
+  }
+  ctx.restore();
+};
+
+// Manual corrections (see analysis/corrections.js): a green ring with a plus
+// on every added dot, and a grey dashed box crossed out on every deleted one
+const drawCorrections = (ctx, result, { line, arm }) => {
+  ctx.save();
+  ctx.lineWidth = 2 * line;
+  ctx.strokeStyle = '#22C55E';
+  for (const obj of result.objects) {
+    if (obj.source !== 'manual') continue;
+    const x = obj.cx + 0.5;
+    const y = obj.cy + 0.5;
+    ctx.beginPath();
+    ctx.arc(x, y, 2 * arm, 0, 2 * Math.PI);
+    ctx.moveTo(x - arm, y);
+    ctx.lineTo(x + arm, y);
+    ctx.moveTo(x, y - arm);
+    ctx.lineTo(x, y + arm);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = '#9CA3AF';
+  ctx.lineWidth = line;
+  for (const obj of result.corrections.removedObjects) {
+    ctx.setLineDash([4 * line, 3 * line]);
+    ctx.strokeRect(obj.x, obj.y, obj.width, obj.height);
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(obj.x, obj.y);
+    ctx.lineTo(obj.x + obj.width, obj.y + obj.height);
+    ctx.moveTo(obj.x + obj.width, obj.y);
+    ctx.lineTo(obj.x, obj.y + obj.height);
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// Grid results: every dot's displacement from its lattice site as a vector,
+// exaggerated so that the largest one spans half a pitch, plus red circles on
+// missing sites and magenta crosses on extra dots
+const drawGrid = (ctx, result, layers, { line, font: fontSize }) => {
+  const { grid } = result;
+  const pitch = Math.min(grid.pitchX, grid.pitchY);
+  const gain = grid.maxDistortion > 0 ? Math.max(1, (0.5 * pitch) / grid.maxDistortion) : 1;
+  const mark = Math.max(2, pitch * 0.3);
+
+  ctx.save();
+  ctx.lineWidth = 1.5 * line;
+  for (const dot of layers.vectors ? grid.dots : []) {
+    const x0 = dot.siteX + 0.5;
+    const y0 = dot.siteY + 0.5;
+    const x1 = x0 + dot.dx * gain;
+    const y1 = y0 + dot.dy * gain;
+    ctx.fillStyle = '#9CA3AF';
+    ctx.fillRect(x0 - line, y0 - line, 2 * line, 2 * line);
+    ctx.strokeStyle = '#00E5FF';
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    // Arrow head
+    const angle = Math.atan2(y1 - y0, x1 - x0);
+    const head = Math.min(4 * line, Math.hypot(x1 - x0, y1 - y0) / 2);
+    ctx.lineTo(x1 - head * Math.cos(angle - 0.5), y1 - head * Math.sin(angle - 0.5));
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x1 - head * Math.cos(angle + 0.5), y1 - head * Math.sin(angle + 0.5));
+    ctx.stroke();
+  }
+
+  ctx.lineWidth = 2 * line;
+  ctx.strokeStyle = '#FF0000';
+  for (const m of layers.defects ? grid.missing : []) {
+    ctx.beginPath();
+    ctx.arc(m.x + 0.5, m.y + 0.5, mark, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = '#FF00FF';
+  for (const e of layers.defects ? grid.extra : []) {
+    ctx.beginPath();
+    ctx.moveTo(e.x + 0.5 - mark, e.y + 0.5 - mark);
+    ctx.lineTo(e.x + 0.5 + mark, e.y + 0.5 + mark);
+    ctx.moveTo(e.x + 0.5 + mark, e.y + 0.5 - mark);
+    ctx.lineTo(e.x + 0.5 - mark, e.y + 0.5 + mark);
+    ctx.stroke();
+  }
+
+  // Vector scale legend
+  if (layers.labels && layers.vectors) {
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = 3 * line;
+    ctx.strokeStyle = '#000000';
+    ctx.fillStyle = '#00E5FF';
+    const legend = `Displacement x${gain.toFixed(1)}`;
+    ctx.strokeText(legend, 4 * line, 4 * line);
+    ctx.fillText(legend, 4 * line, 4 * line);
+  }
+  ctx.restore();
+};
+
+// Multi-spot results: every spot's D86 ellipse and centroid, in the spot's
+// own colour, with its ID just outside the ellipse
+const drawSpots = (ctx, result, layers, { line, font: fontSize }) => {
+  ctx.save();
+  ctx.lineWidth = 2 * line;
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'bottom';
+  for (const spot of result.spots) {
+    const { cx, cy, rx, ry, rotation } = spot.ellipse;
+    if (layers.ellipse) {
+      ctx.strokeStyle = objectColor(spot.id, 1);
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, rx, ry, rotation, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    if (layers.centroid) {
+      ctx.fillStyle = '#00FF00';
+      ctx.beginPath();
+      ctx.arc(cx, cy, 2 * line, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+    if (layers.labels) {
+      const reach = Math.max(rx, ry);
+      ctx.lineWidth = 3 * line;
+      ctx.strokeStyle = '#000000';
+      ctx.fillStyle = '#FFFF00';
+      ctx.strokeText(String(spot.id), cx + 0.7 * reach, cy - 0.7 * reach);
+      ctx.fillText(String(spot.id), cx + 0.7 * reach, cy - 0.7 * reach);
+      ctx.lineWidth = 2 * line;
+    }
+  }
+  ctx.restore();
+};
+
+// Paints a countMask() result as white foreground on black, with the ROI.
+// `ctx` must belong to a canvas of the mask's size.
+export const drawMask = (ctx, result) => {
+  const { width, height, mask } = result;
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < mask.length; i++) {
+    const o = i * 4;
+    rgba[o] = rgba[o + 1] = rgba[o + 2] = mask[i];
+    rgba[o + 3] = 255;
+  }
+  ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+  if (result.roi) drawRoi(ctx, result.roi);
+};
+
+// Draws analysis results on top of the source image. `ctx` is a 2D canvas
+// context that already contains the original image, in image px. `layers`
+// switches individual layers off (see OVERLAY_LAYERS); `scale` is given when
+// drawing on screen, see overlayUnits().
+export const drawOverlay = (ctx, result, { layers = ALL_LAYERS, scale = null } = {}) => {
+  const units = overlayUnits(result, scale);
+  const { line } = units;
+  if (result.roi && layers.roi) drawRoi(ctx, result.roi, line);
+
+  if (result.function === 'grid') {
+    drawGrid(ctx, result, layers, units);
+    return;
+  }
+
+  if (result.function === 'multispot') {
+    drawSpots(ctx, result, layers, units);
+    return;
+  }
+
+  if (result.function === 'count') {
+    if (layers.boxes) {
+      if (result.separation) {
+        drawSeparatedObjects(ctx, result.objects, line);
+      } else {
+        ctx.strokeStyle = '#FF0000';
+        ctx.lineWidth = 2 * line;
+        for (const obj of result.objects) {
+          if (obj.source !== 'manual') ctx.strokeRect(obj.x, obj.y, obj.width, obj.height);
+        }
+      }
+    }
+    if (result.subpixel && layers.fits) drawSpotFits(ctx, result, units);
+    if (result.corrections && layers.edits) drawCorrections(ctx, result, units);
+    if (layers.labels) drawObjectIds(ctx, result, units);
+    return;
+  }
+
+  // D4-sigma integration area
+  const area = result.integration?.area;
+  if (area && layers.area) {
+    ctx.save();
+    ctx.strokeStyle = '#FFFF00';
+    ctx.lineWidth = line;
+    ctx.setLineDash([6 * line, 4 * line]);
+    ctx.translate(area.cx, area.cy);
+    ctx.rotate(area.rotation);
+    ctx.strokeRect(-area.halfU, -area.halfV, 2 * area.halfU, 2 * area.halfV);
+    ctx.restore();
+  }
+
+  // D86 axis profile lines
+  if (result.profiles && layers.profiles) {
+    ctx.save();
+    ctx.strokeStyle = '#F472B6';
+    ctx.lineWidth = line;
+    ctx.setLineDash([4 * line, 3 * line]);
+    for (const { line: [x1, y1, x2, y2] } of [result.profiles.major, result.profiles.minor]) {
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  const { cx, cy, rx, ry, rotation } = result.ellipse;
+
+  // Draw Center
+  if (layers.centroid) {
+    ctx.fillStyle = '#00FF00';
+    ctx.beginPath();
+    ctx.arc(cx, cy, 3 * line, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  // Draw Ellipse/Circle
+  if (layers.ellipse) {
+    ctx.strokeStyle = '#FF0000';
+    ctx.lineWidth = 2 * line;
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, ry, rotation, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+};
@@ -0,0 +1,219 @@
+import { DEFAULT_RAW_OPTIONS, normalizeCalibration } from './analysis/index.js';
+
+// Analysis recipes: the selected function with every parameter of the
+// controls, as named presets in localStorage, JSON files and URL query
+// strings. Numbers are kept as the strings the inputs hold. The ROI belongs
+// to the loaded images and is not part of a recipe.
+
+const PRESETS_KEY = 'dot-analyzer.presets';
+const SETTINGS_KEY = 'dot-analyzer.settings';
+
+const FUNCTIONS = ['d86', 'd4sigma', 'gaussfit', 'count', 'grid', 'multispot'];
+
+// Recipe fields and their types
+const FIELDS = {
+  function: 'function',
+  hx: 'number',
+  hy: 'number',
+  energyRatio: 'number',
+  energyLevels: 'text',
+  areaFactor: 'number',
+  background: 'text',
+  borderWidth: 'number',
+  corner: 'text',
+  patchSize: 'number',
+  noiseFloor: 'number',
+  channel: 'text',
+  channelWeights: 'text',
+  linearize: 'boolean',
+  minArea: 'number',
+  blur: 'number',
+  thresholdType: 'text',
+  thresholdValue: 'number',
+  blockSize: 'number',
+  adaptiveC: 'number',
+  invert: 'boolean',
+  morphology: 'text',
+  morphKernel: 'number',
+  morphShape: 'text',
+  separate: 'boolean',
+  minSeparation: 'number',
+  prominence: 'number',
+  subpixel: 'boolean',
+  spotMargin: 'number',
+  registration: 'text',
+  compareMap: 'text',
+  rawWidth: 'number',
+  rawHeight: 'number',
+  rawBitDepth: 'number',
+  rawOffset: 'number',
+  videoInterval: 'number',
+  calibration: 'calibration',
+};
+
+export const DEFAULT_RECIPE = {
+  function: 'd86',
+  hx: "1.0",
+  hy: "1.0",
+  energyRatio: "86",
+  energyLevels: "50, 80, 86, 95",
+  areaFactor: "3",
+  background: "none",
+  borderWidth: "10",
+  corner: "tl",
+  patchSize: "20",
+  noiseFloor: "0",
+  channel: "luminance",
+  channelWeights: "0.299, 0.587, 0.114",
+  linearize: false,
+  minArea: "5",
+  blur: "0",
+  thresholdType: "otsu",
+  thresholdValue: "127",
+  blockSize: "11",
+  adaptiveC: "2",
+  invert: false,
+  morphology: "none",
+  morphKernel: "3",
+  morphShape: "ellipse",
+  separate: false,
+  minSeparation: "3",
+  prominence: "1",
+  subpixel: false,
+  spotMargin: "1",
+  registration: "none",
+  compareMap: "difference",
+  rawWidth: "",
+  rawHeight: "",
+  rawBitDepth: String(DEFAULT_RAW_OPTIONS.bitDepth),
+  rawOffset: String(DEFAULT_RAW_OPTIONS.offset),
+  videoInterval: "1",
+  calibration: null,
+};
+
+// A field value from JSON or a query string, or undefined if unusable
+const coerce = (type, value) => {
+  if (value === undefined) return undefined;
+  switch (type) {
+    case 'function':
+      return FUNCTIONS.includes(value) ? value : undefined;
+    case 'boolean':
+      return value === true || value === 'true' || value === '1';
+    case 'calibration': {
+      try {
+        const cal = normalizeCalibration(value);
+        return cal && { ...cal, name: cal.name || 'Recipe' };
+      } catch {
+        return undefined;
+      }
+    }
+    default:
+      return value === null ? undefined : String(value);
+  }
+};
+
+// Checked copy of a (partial) recipe; unknown fields and unusable values
+// are dropped, so the result can be spread over the current settings
+export const normalizeRecipe = (recipe) => {
+  const out = {};
+  if (!recipe || typeof recipe !== 'object') return out;
+  for (const [key, type] of Object.entries(FIELDS)) {
+    const value = coerce(type, recipe[key]);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+};
+
+// Query string holding the function and the fields that differ from
+// DEFAULT_RECIPE, so that even an all-default link is recognised as one. The
+// calibration is spelled out so the link works without the profile.
+export const encodeRecipe = (recipe) => {
+  const query = new URLSearchParams();
+  for (const [key, type] of Object.entries(FIELDS)) {
+    const value = recipe[key];
+    if (value === undefined || (key !== 'function' && value === DEFAULT_RECIPE[key])) continue;
+    if (type === 'calibration') {
+      if (!value) continue;
+      query.set('calName', value.name);
+      query.set('calUnit', value.unit);
+      query.set('calWidth', value.pixelWidth);
+      query.set('calHeight', value.pixelHeight);
+    } else if (type === 'boolean') {
+      query.set(key, value ? '1' : '0');
+    } else {
+      query.set(key, value);
+    }
+  }
+  return query.toString();
+};
+
+// Recipe fields found in a query string such as location.search
+export const decodeRecipe = (search) => {
+  const query = new URLSearchParams(search);
+  const recipe = {};
+  for (const key of Object.keys(FIELDS)) {
+    if (query.has(key)) recipe[key] = query.get(key);
+  }
+  if (query.has('calWidth')) {
+    recipe.calibration = {
+      name: query.get('calName'),
+      unit: query.get('calUnit'),
+      pixelWidth: query.get('calWidth'),
+      pixelHeight: query.get('calHeight') ?? undefined,
+    };
+  }
+  return normalizeRecipe(recipe);
+};
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+// Named presets, [{ name, ...recipe }] sorted by name. Imported files hold
+// one preset or an array of them.
+export const parsePresets = (value) => (Array.isArray(value) ? value : [value])
+  .filter(p => p && typeof p.name === 'string' && p.name.trim() !== '')
+  .map(p => ({ name: p.name.trim(), ...normalizeRecipe(p) }));
+
+export const loadPresets = () => parsePresets(readJson(PRESETS_KEY, []));
+
+export const storePresets = (presets) => writeJson(PRESETS_KEY, presets);
+
+export const mergePresets = (presets, added) => {
+  const byName = new Map(presets.map(p => [p.name, p]));
+  for (const p of added) byName.set(p.name, p);
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Settings of the last session, restored on the next page load
+export const loadSettings = () => normalizeRecipe(readJson(SETTINGS_KEY, {}));
+
+// `json` is the recipe already stringified, as App keeps it for the effect
+export const storeSettings = (json) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, json);
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+// Starting recipe: a shared link in the page URL as its sender had it (the
+// fields it leaves out are defaults, a missing calibration means none, as
+// for applied presets), else the last session over the defaults
+export const initialRecipe = () => {
+  const linked = decodeRecipe(window.location.search);
+  if (Object.keys(linked).length > 0) return { ...DEFAULT_RECIPE, ...linked };
+  return { ...DEFAULT_RECIPE, ...loadSettings() };
+};
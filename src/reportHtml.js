@@ -0,0 +1,134 @@
+import { formatCalibration, formatRoi, LEVEL_COLUMNS, OBJECT_COLUMNS, objectColumns, objectRows, SPOT_COLUMNS } from './analysis/index.js';
+
+// Self-contained, printable HTML report of one result document (see
+// analysis/document.js), with the original and annotated images embedded as
+// data URLs. Printing it from the browser gives the PDF.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '–';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(8)));
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Parameters worth spelling out instead of dumping as JSON
+const formatParam = (key, value) => {
+  if (key === 'roi') return value ? formatRoi(value) : 'Full frame';
+  if (key === 'calibration') return value ? formatCalibration(value) : 'None (Hx / Hy frame size)';
+  if (Array.isArray(value)) return value.join(', ');
+  return formatValue(value);
+};
+
+const keyValueTable = (entries) => `<table class="kv">${entries
+  .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`)
+  .join('')}</table>`;
+
+const dataTable = (rows, columns) => `<table class="data"><thead><tr>${columns
+  .map(col => `<th>${escapeHtml(col)}</th>`).join('')}</tr></thead><tbody>${rows
+  .map(row => `<tr>${columns.map(col => `<td>${escapeHtml(formatValue(row[col]))}</td>`).join('')}</tr>`)
+  .join('')}</tbody></table>`;
+
+// Tables of the per-level, per-object, per-spot or per-dot results
+const detailSections = (result) => {
+  const sections = [];
+  if (result.function === 'd86' && result.levels?.length > 0) {
+    sections.push(['Energy Levels', dataTable(result.levels, LEVEL_COLUMNS)]);
+  }
+  if (result.function === 'grid') {
+    const grid = result.grid;
+    const missing = grid.missing.map(m => ({ row: m.row, col: m.col, x: m.x, y: m.y }));
+    if (missing.length > 0) sections.push(['Missing Dots', dataTable(missing, ['row', 'col', 'x', 'y'])]);
+    if (grid.extra.length > 0) sections.push(['Extra Dots', dataTable(grid.extra, ['id', 'x', 'y'])]);
+  }
+  if (result.function === 'multispot' && result.spots.length > 0) {
+    sections.push([`Spots (${result.count})`, dataTable(result.spots, SPOT_COLUMNS)]);
+  }
+  if (result.function === 'count' || result.function === 'grid') {
+    sections.push([`Objects (${result.count})`, dataTable(objectRows(result), objectColumns(result))]);
+  }
+  if (result.corrections?.removedObjects.length > 0) {
+    sections.push(['Deleted Manually', dataTable(result.corrections.removedObjects, OBJECT_COLUMNS)]);
+  }
+  return sections;
+};
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, "Noto Sans TC", sans-serif; color: #1f2937; margin: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .meta { color: #6b7280; font-size: 13px; }
+  .images { display: flex; gap: 16px; }
+  figure { flex: 1; margin: 0; }
+  figure img { width: 100%; border: 1px solid #e5e7eb; image-rendering: pixelated; }
+  figcaption { font-size: 12px; color: #6b7280; text-align: center; margin-top: 4px; }
+  table { border-collapse: collapse; font-size: 12px; }
+  .kv th { text-align: left; font-weight: 600; padding: 2px 16px 2px 0; color: #4b5563; vertical-align: top; }
+  .kv td { font-family: ui-monospace, Menlo, Consolas, monospace; padding: 2px 0; }
+  .data { width: 100%; font-family: ui-monospace, Menlo, Consolas, monospace; }
+  .data th, .data td { border: 1px solid #e5e7eb; padding: 2px 6px; text-align: right; }
+  .data th { background: #f9fafb; }
+  pre { background: #f9fafb; border: 1px solid #e5e7eb; padding: 12px; font-size: 12px; white-space: pre-wrap; }
+  @media print {
+    body { margin: 0; }
+    h2 { break-after: avoid; }
+    figure, tr { break-inside: avoid; }
+  }
+`;
+
+// `doc` is a result document, `originalSrc` / `annotatedSrc` data URLs of
+// the images. With `autoPrint` the print dialog opens once it has loaded.
+export const reportHtml = ({ doc, originalSrc, annotatedSrc, autoPrint = false }) => {
+  const title = `${doc.title} – ${doc.source.file}`;
+  const created = new Date(doc.createdAt).toLocaleString();
+  const about = [
+    ['Source File', doc.source.file],
+    ['Image Size', `${doc.source.width} × ${doc.source.height} px`],
+    ['Function', doc.title],
+    ['Created', `${created} (${doc.createdAt})`],
+    ['Software', `${doc.software.name} ${doc.software.version}`],
+    ['OpenCV', doc.opencv ?? 'not loaded'],
+  ];
+  const params = Object.entries(doc.params).map(([key, value]) => [key, formatParam(key, value)]);
+  const summary = Object.entries(doc.summary)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, formatValue(value)]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(created)}</div>
+
+<h2>Images</h2>
+<div class="images">
+  <figure><img src="${originalSrc}" alt="Original"><figcaption>Original</figcaption></figure>
+  <figure><img src="${annotatedSrc}" alt="Annotated"><figcaption>Annotated</figcaption></figure>
+</div>
+
+<h2>Analysis</h2>
+${keyValueTable(about)}
+
+<h2>Parameters</h2>
+${keyValueTable(params)}
+
+<h2>Results</h2>
+${keyValueTable(summary)}
+<pre>${escapeHtml(doc.report)}</pre>
+${detailSections(doc.result).map(([heading, table]) => `<h2>${escapeHtml(heading)}</h2>\n${table}`).join('\n')}
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,38 @@
+// Service worker of the deployed app. vite.config.js emits it as sw.js with
+// self.__PRECACHE__ replaced by { version, files }: every file of the build,
+// relative to the base path. Installing caches all of them, so after the
+// first visit the app, including opencv.js, runs without network access.
+const PRECACHE = self.__PRECACHE__;
+const CACHE_PREFIX = 'dot-image-analyzer-';
+const CACHE = `${CACHE_PREFIX}${PRECACHE.version}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE)
+    .then(cache => cache.addAll(PRECACHE.files))
+    .then(() => self.skipWaiting()));
+});
+
+// Drop the files of earlier deployments
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Pages come from the network while it is there, so a new deployment shows
+// up (and installs its own worker), and from the cache offline, whatever
+// the query string. Build files have hashed names and always come from the
+// cache. Other origins, such as a CDN fallback for OpenCV, are left alone.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('./index.html', { cacheName: CACHE })));
+    return;
+  }
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then(hit => hit ?? fetch(request)));
+});
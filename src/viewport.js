@@ -0,0 +1,116 @@
+import { useEffect, useState } from 'react';
+
+// Zoom and pan shared by the image viewers, so the original and the result
+// always show the same part of the image. A view is { zoom, cx, cy }: the
+// magnification relative to fitting the whole image in the panel, and the
+// image point (px) in the middle of the panel. A null view fits the image.
+
+export const MAX_ZOOM = 64;
+
+const clamp = (value, lo, hi) => Math.min(Math.max(value, lo), hi);
+
+// `view` limited to the zoom range and to centres that keep the image in
+// the panel, for an image of `width` x `height` px
+export const clampView = (view, width, height) => {
+  if (!view) return { zoom: 1, cx: width / 2, cy: height / 2 };
+  const zoom = clamp(view.zoom, 1, MAX_ZOOM);
+  const halfW = width / zoom / 2;
+  const halfH = height / zoom / 2;
+  return { zoom, cx: clamp(view.cx, halfW, width - halfW), cy: clamp(view.cy, halfH, height - halfH) };
+};
+
+// Zooms by `factor`, keeping the image point `at` ([x, y]) where it is on
+// screen; without `at`, about the middle of the panel
+export const zoomView = (view, width, height, factor, at = null) => {
+  const current = clampView(view, width, height);
+  const zoom = clamp(current.zoom * factor, 1, MAX_ZOOM);
+  const [x, y] = at ?? [current.cx, current.cy];
+  const ratio = current.zoom / zoom;
+  return clampView({ zoom, cx: x - (x - current.cx) * ratio, cy: y - (y - current.cy) * ratio }, width, height);
+};
+
+// Visible image rectangle, as an SVG viewBox
+export const viewBox = ({ zoom, cx, cy }, width, height) => {
+  const w = width / zoom;
+  const h = height / zoom;
+  return `${cx - w / 2} ${cy - h / 2} ${w} ${h}`;
+};
+
+// Content size of the element in `ref`, following resizes
+export const usePanelSize = (ref) => {
+  const [size, setSize] = useState(null);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+  return size;
+};
+
+// Wheel zoom about the pointer and drag panning for a viewer whose panel
+// element is `ref`. Returns the clamped `view`, `scale` (screen px per image
+// px), `toImage` (pointer event -> unclamped image point) and the pan
+// handlers; movePan / endPan return false when no pan is in progress.
+export const useZoomPan = (ref, { width, height, view, onView }) => {
+  const panel = usePanelSize(ref);
+  const [pan, setPan] = useState(null); // { x, y, view } where the drag started
+  const ready = panel !== null && width > 0 && height > 0;
+  const current = clampView(view, width, height);
+  const scale = ready ? Math.min(panel.width / width, panel.height / height) * current.zoom : 1;
+
+  const toImage = (e) => {
+    const rect = ref.current.getBoundingClientRect();
+    return [
+      current.cx + (e.clientX - rect.left - rect.width / 2) / scale,
+      current.cy + (e.clientY - rect.top - rect.height / 2) / scale,
+    ];
+  };
+
+  // React registers wheel listeners as passive, which cannot stop the page
+  // from scrolling
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || !ready) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY; // lines -> px
+      onView(zoomView(current, width, height, Math.exp(-delta * 0.002), toImage(e)));
+    };
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  });
+
+  const startPan = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setPan({ x: e.clientX, y: e.clientY, view: current });
+  };
+
+  const movePan = (e) => {
+    if (!pan) return false;
+    onView(clampView({
+      ...pan.view,
+      cx: pan.view.cx - (e.clientX - pan.x) / scale,
+      cy: pan.view.cy - (e.clientY - pan.y) / scale,
+    }, width, height));
+    return true;
+  };
+
+  const endPan = () => {
+    if (!pan) return false;
+    setPan(null);
+    return true;
+  };
+
+  return { ready, panel, view: current, scale, toImage, startPan, movePan, endPan, panning: pan !== null };
+};
+
+// Pixel [x, y] under an image point, or null outside the image
+export const pixelAt = ([x, y], width, height) => {
+  const px = Math.floor(x);
+  const py = Math.floor(y);
+  return px >= 0 && py >= 0 && px < width && py < height ? [px, py] : null;
+};
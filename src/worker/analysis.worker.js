@@ -0,0 +1,129 @@
+// Runs the analysis engine off the main thread. OpenCV.js is loaded here
+// rather than on the page, since Count Points needs it inside the worker.
+//
+// Messages in:  { type: 'init', opencvUrls, timeoutMs }
+//               { type: 'run', id, fn: 'd86' | 'd4sigma' | 'gaussfit' | 'count' | 'grid' | 'multispot' | 'mask' | 'compare', image, params }
+// Messages out: { type: 'cv', status: 'ready' | 'error', message, version, source }
+//               { type: 'progress', id, fraction, stage }
+//               { type: 'result', id, result } | { type: 'error', id, message }
+import { analyzeD4Sigma, analyzeD86, analyzeGaussianFit, analyzeGrid, analyzeMultiSpot, compareImages, countMask, countPoints, opencvVersion } from '../analysis/index.js';
+
+// Analyses that work without OpenCV
+const PLAIN_FUNCTIONS = {
+  d86: analyzeD86,
+  d4sigma: analyzeD4Sigma,
+  gaussfit: analyzeGaussianFit,
+  compare: compareImages,
+};
+
+// Analyses that run on OpenCV
+const CV_FUNCTIONS = {
+  count: countPoints,
+  grid: analyzeGrid,
+  multispot: analyzeMultiSpot,
+  mask: countMask,
+};
+
+let cvLoading = null;
+
+// Rejects with a timeout error if `promise` has not settled after `ms`
+const withTimeout = (promise, ms, what) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms / 1000} s`)), ms);
+  promise.then(
+    (value) => { clearTimeout(timer); resolve(value); },
+    (err) => { clearTimeout(timer); reject(err); },
+  );
+});
+
+const fetchScript = async (url, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.text();
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`download timed out after ${timeoutMs / 1000} s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// opencv.js is a UMD script. Module workers cannot importScripts(), so it is
+// evaluated in the global scope, where it attaches itself to self.cv.
+const loadFrom = async (url, timeoutMs) => {
+  const source = await fetchScript(url, timeoutMs);
+  (0, eval)(source);
+
+  // In a worker the UMD wrapper hands out the module factory instead of
+  // calling it. The factory picks up a global `Module` as its configuration.
+  // opencv.js takes a moment to initialize even after that.
+  const initialized = new Promise((resolve) => {
+    if (typeof self.cv === 'function') {
+      const factory = self.cv;
+      const instance = {
+        onRuntimeInitialized: () => {
+          self.cv = instance;
+          resolve();
+        },
+      };
+      self.Module = instance;
+      factory();
+    } else if (self.cv.getBuildInformation) {
+      resolve();
+    } else {
+      self.cv['onRuntimeInitialized'] = resolve;
+    }
+  });
+  await withTimeout(initialized, timeoutMs, "start-up");
+};
+
+// Tries `urls` in order and returns the one OpenCV was loaded from
+const loadOpenCV = async (urls, timeoutMs) => {
+  const failures = [];
+  for (const url of urls) {
+    try {
+      await loadFrom(url, timeoutMs);
+      return url;
+    } catch (err) {
+      failures.push(`${url}: ${err.message}`);
+      // A half-started module must not be mistaken for the next one
+      delete self.cv;
+      delete self.Module;
+    }
+  }
+  throw new Error(`OpenCV could not be loaded (${failures.join('; ')})`);
+};
+
+const handleInit = async ({ opencvUrls, timeoutMs }) => {
+  cvLoading = loadOpenCV(opencvUrls, timeoutMs);
+  try {
+    const source = await cvLoading;
+    self.postMessage({ type: 'cv', status: 'ready', version: opencvVersion(self.cv), source });
+  } catch (err) {
+    self.postMessage({ type: 'cv', status: 'error', message: err.message });
+  }
+};
+
+const handleRun = async ({ id, fn, image, params }) => {
+  const onProgress = (fraction, stage) => self.postMessage({ type: 'progress', id, fraction, stage });
+  try {
+    let result;
+    if (PLAIN_FUNCTIONS[fn]) {
+      result = PLAIN_FUNCTIONS[fn](image, params, { onProgress });
+    } else {
+      if (!cvLoading) throw new Error("OpenCV has not been initialised.");
+      await cvLoading;
+      result = CV_FUNCTIONS[fn](self.cv, image, params, { onProgress });
+    }
+    self.postMessage({ type: 'result', id, result });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message });
+  }
+};
+
+self.onmessage = (e) => {
+  if (e.data.type === 'init') handleInit(e.data);
+  else if (e.data.type === 'run') handleRun(e.data);
+};
@@ -0,0 +1,77 @@
+// Main-thread handle on the analysis worker.
+//
+// Cancelling terminates the worker outright (there is no way to interrupt a
+// synchronous pass from the outside) and starts a fresh one, which reloads
+// OpenCV. Pending runs reject with an AbortError DOMException. Retrying after
+// a failed OpenCV load does the same.
+//
+// `opencvUrls` are tried in order, each allowed `timeoutMs` to download and
+// as long again to start.
+export const createAnalysisClient = ({ opencvUrls, timeoutMs, onCvStatus }) => {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+  const handleMessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'cv') {
+      onCvStatus(msg.status, msg.message, msg.version, msg.source);
+      return;
+    }
+    const job = pending.get(msg.id);
+    if (!job) return;
+    if (msg.type === 'progress') {
+      job.onProgress?.(msg.fraction, msg.stage);
+    } else {
+      pending.delete(msg.id);
+      if (msg.type === 'result') job.resolve(msg.result);
+      else job.reject(new Error(msg.message));
+    }
+  };
+
+  const spawn = () => {
+    worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (e) => {
+      console.error(e);
+      onCvStatus('error', e.message);
+    };
+    onCvStatus('loading');
+    worker.postMessage({ type: 'init', opencvUrls, timeoutMs });
+  };
+
+  const rejectAll = (message) => {
+    for (const job of pending.values()) job.reject(new DOMException(message, 'AbortError'));
+    pending.clear();
+  };
+
+  const restart = (message) => {
+    worker.terminate();
+    rejectAll(message);
+    spawn();
+  };
+
+  spawn();
+
+  return {
+    // `image` is an engine image (see analysis/raster.js); its pixel buffer
+    // is transferred to the worker
+    run: (fn, image, params, onProgress) => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, onProgress });
+      const { width, height, data, channels, bitDepth, maxValue } = image;
+      const payload = { width, height, data, channels, bitDepth, maxValue };
+      worker.postMessage({ type: 'run', id, fn, image: payload, params }, [image.data.buffer]);
+    }),
+
+    cancel: () => restart("Analysis cancelled"),
+
+    // Loads OpenCV again in a fresh worker
+    retry: () => restart("Analysis worker restarted"),
+
+    dispose: () => {
+      worker.terminate();
+      rejectAll("Analysis worker closed");
+    },
+  };
+};
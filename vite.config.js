@@ -1,8 +1,47 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/sw.js as sw.js, with the list of every file of the build (the
+// bundle and public/) to precache and a version that changes with them.
+const serviceWorker = () => {
+  let publicDir = null
+  return {
+    name: 'dot-image-analyzer:service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(options, bundle) {
+      const hash = createHash('sha256')
+      const files = ['./']
+      for (const [fileName, chunk] of Object.entries(bundle)) {
+        if (fileName.endsWith('.map')) continue
+        files.push(fileName)
+        hash.update(fileName)
+        if (fileName === 'index.html') hash.update(chunk.source)
+      }
+      if (publicDir) {
+        for (const entry of readdirSync(publicDir, { recursive: true, withFileTypes: true })) {
+          if (!entry.isFile()) continue
+          const path = join(entry.parentPath, entry.name)
+          files.push(path.slice(publicDir.length + 1).split('\\').join('/'))
+          hash.update(readFileSync(path))
+        }
+      }
+      const precache = { version: hash.digest('hex').slice(0, 12), files: files.sort() }
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('const PRECACHE = self.__PRECACHE__', 'const PRECACHE = ' + JSON.stringify(precache))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/dot-image-analyzer/',
 })